@@ -0,0 +1,445 @@
+const fs = require('fs');
+const path = require('path');
+const _ = require('underscore');
+const VError = require('verror');
+const helpers = require('./helpers');
+const models = require('./models');
+const promises = require('./promises');
+
+var MINUTE = 60 * 1000,
+    HOUR = 60 * MINUTE,
+    DAY = 24 * HOUR;
+
+/**
+ * Milliseconds of each kline type
+ */
+var intervals = {
+    '1min': MINUTE,
+    '3min': 3 * MINUTE,
+    '5min': 5 * MINUTE,
+    '15min': 15 * MINUTE,
+    '30min': 30 * MINUTE,
+    '1hour': HOUR,
+    '2hour': 2 * HOUR,
+    '4hour': 4 * HOUR,
+    '6hour': 6 * HOUR,
+    '12hour': 12 * HOUR,
+    '1day': DAY,
+    '3day': 3 * DAY,
+    '1week': 7 * DAY
+};
+
+// the most candles OKEX returns for each request
+var PAGE_SIZE = 2000;
+
+/**
+ * Downloads candles of any date range by chaining getKline or getFutureKline requests and caches them on disk.
+ *
+ * Candles are arrays of numbers [timestamp, open, high, low, close, volume] like the OKEX kline responses,
+ * with the volume in coins as a 7th number for futures.
+ * The cache has a file for each symbol, contract type and kline type with the candles and the time ranges
+ * that were downloaded. Candles that have not closed yet are not cached.
+ * The candles are read in their v1 shapes so the client must use the v1 API.
+ *
+ * @param  {OKEX}    client    The client to request the candles with
+ * @param  {Object}  options   optional cacheDir: directory of the cache files. Without one nothing is cached
+ *                             fillGaps: false to leave out the candles OKEX does not have rather than
+ *                             filling them with the previous close. Defaults to true
+ */
+var CandleHistory = function (client, options) {
+    options = options || {};
+
+    if (client.transport && client.transport.version != 'v1') {
+        throw new VError('CandleHistory() needs the v1 API, not %s', client.transport.version);
+    }
+
+    this.client = client;
+    this.cacheDir = options.cacheDir || null;
+    this.fillGaps = options.fillGaps !== false;
+};
+
+/**
+ * Gets the candles of a date range from the cache and OKEX
+ * @param callback  called with an error or the candles from the oldest
+ * @param symbol
+ * @param type  1min/3min/5min/15min/30min/1hour/2hour/4hour/6hour/12hour/1day/3day/1week
+ * @param from  Date or milliseconds of the first candle
+ * @param to  Date or milliseconds the candles end before. Defaults to now
+ * @param contract_type  optional futures contract type
+ */
+CandleHistory.prototype.getCandles = function getCandles(callback, symbol, type, from, to, contract_type) {
+    var self = this,
+        interval = intervals[type];
+
+    if (!interval) {
+        return callback(new VError('CandleHistory.getCandles() type %s must be one of %s', type, _.keys(intervals).join(', ')));
+    }
+
+    // candles start on a multiple of their interval
+    from = Math.floor(Number(from) / interval) * interval;
+    to = _.isUndefined(to) || _.isNull(to) ? Date.now() : Number(to);
+
+    // the cache is read, completed and written back one request at a time so requests do not drop each other's candles
+    withCacheFile(this.cacheDir ? this.cacheFile(symbol, type, contract_type) : null, function (release) {
+        function done(err, candles) {
+            release();
+            callback(err, candles);
+        }
+
+        self.readCache(symbol, type, contract_type, function (err, cache) {
+            if (err) return done(err);
+
+            var missing = subtractRanges([from, to], cache.ranges);
+
+            fetchRanges(self, missing, symbol, type, contract_type, function (err, fetched) {
+                if (err) return done(err);
+
+                var candles = mergeCandles(cache.candles, fetched),
+                    closedBefore = Math.floor(Date.now() / interval) * interval;
+
+                // ranges are only complete up to the last closed candle
+                var fetchedRanges = _.map(missing, function (range) {
+                    return [range[0], Math.min(range[1], closedBefore)];
+                });
+
+                var updated = {
+                    ranges: mergeRanges(cache.ranges.concat(fetchedRanges)),
+                    candles: _.filter(candles, function (candle) {
+                        return candle[0] < closedBefore;
+                    })
+                };
+
+                self.writeCache(symbol, type, contract_type, updated, function (err) {
+                    if (err) return done(err);
+
+                    var result = _.filter(candles, function (candle) {
+                        return candle[0] >= from && candle[0] < to;
+                    });
+
+                    done(null, self.fillGaps ? fillGaps(result, type, Math.min(to, closedBefore)) : result);
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Gets candles and resamples them to a longer interval. eg 1min candles to 15min
+ * @param callback  called with an error or the resampled candles
+ * @param symbol
+ * @param type  The kline type to download
+ * @param toType  The kline type to return
+ * @param from
+ * @param to
+ * @param contract_type
+ */
+CandleHistory.prototype.getResampled = function getResampled(callback, symbol, type, toType, from, to, contract_type) {
+    this.getCandles(function (err, candles) {
+        if (err) return callback(err);
+
+        try {
+            callback(null, resample(candles, type, toType));
+        }
+        catch (e) {
+            callback(e);
+        }
+    }, symbol, type, from, to, contract_type);
+};
+
+CandleHistory.prototype.cacheFile = function (symbol, type, contract_type) {
+    return path.join(this.cacheDir, [symbol, contract_type || 'spot', type].join('_') + '.json');
+};
+
+CandleHistory.prototype.readCache = function (symbol, type, contract_type, callback) {
+    var empty = {ranges: [], candles: []};
+
+    if (!this.cacheDir) return callback(null, empty);
+
+    var file = this.cacheFile(symbol, type, contract_type);
+
+    fs.readFile(file, 'utf8', function (err, data) {
+        if (err && err.code == 'ENOENT') return callback(null, empty);
+        if (err) return callback(new VError(err, 'CandleHistory could not read the cache %s', file));
+
+        try {
+            callback(null, JSON.parse(data));
+        }
+        catch (e) {
+            // a corrupt cache is downloaded again
+            callback(null, empty);
+        }
+    });
+};
+
+CandleHistory.prototype.writeCache = function (symbol, type, contract_type, cache, callback) {
+    if (!this.cacheDir) return callback();
+
+    var file = this.cacheFile(symbol, type, contract_type);
+
+    fs.mkdir(this.cacheDir, {recursive: true}, function (err) {
+        if (err) return callback(new VError(err, 'CandleHistory could not create the cache directory'));
+
+        fs.writeFile(file, JSON.stringify(cache), function (err) {
+            callback(err ? new VError(err, 'CandleHistory could not write the cache %s', file) : null);
+        });
+    });
+};
+
+// tasks waiting to read and write each cache file, keyed by file. The first one is running
+var cacheQueues = {};
+
+/**
+ * Runs the tasks of a cache file one after the other. A task that throws releases the file and the error is thrown on
+ * @param  {String}    file   The cache file, or null to run the task right away
+ * @param  {Function}  task   function(release) that calls release once it is done with the file
+ */
+function withCacheFile(file, task) {
+    if (!file) return task(function () {});
+
+    var queue = cacheQueues[file] || (cacheQueues[file] = []);
+
+    function release() {
+        queue.shift();
+
+        // the next task starts on its own tick so what it throws does not unwind into the task that released the file
+        if (queue.length) process.nextTick(run, queue[0]);
+        else delete cacheQueues[file];
+    }
+
+    function run(next) {
+        var released = false;
+
+        function releaseOnce() {
+            if (released) return;
+            released = true;
+            release();
+        }
+
+        try {
+            next(releaseOnce);
+        }
+        catch (err) {
+            releaseOnce();
+            throw err;
+        }
+    }
+
+    queue.push(task);
+    if (queue.length == 1) run(task);
+}
+
+/**
+ * Downloads the candles of each range one after the other
+ */
+function fetchRanges(history, ranges, symbol, type, contract_type, callback) {
+    var candles = [];
+
+    function next(i) {
+        if (i >= ranges.length) return callback(null, candles);
+
+        fetchRange(history.client, ranges[i], symbol, type, contract_type, function (err, fetched) {
+            if (err) return callback(err);
+
+            candles = candles.concat(fetched);
+            next(i + 1);
+        });
+    }
+
+    next(0);
+}
+
+/**
+ * Downloads the candles of a range by requesting the candles since the last one until the end of the range
+ */
+function fetchRange(client, range, symbol, type, contract_type, callback) {
+    var candles = [],
+        since = range[0];
+
+    function next() {
+        var params = {symbol: symbol, type: type, size: PAGE_SIZE, since: since};
+
+        function handleResponse(err, data) {
+            if (err) return callback(err);
+
+            var page = _.map(models.rawOf(data) || [], toNumbers),
+                newer = _.filter(page, function (candle) {
+                    return candle[0] >= since;
+                });
+
+            candles = candles.concat(_.filter(newer, function (candle) {
+                return candle[0] < range[1];
+            }));
+
+            var last = _.last(newer);
+
+            // stop at the end of the range or when OKEX has nothing newer
+            if (!last || last[0] + intervals[type] >= range[1]) return callback(null, candles);
+
+            since = last[0] + intervals[type];
+            next();
+        }
+
+        if (contract_type) client.getFutureKline(handleResponse, _.extend(params, {contract_type: contract_type}));
+        else client.getKline(handleResponse, params);
+    }
+
+    next();
+}
+
+function toNumbers(candle) {
+    return _.map(candle, Number);
+}
+
+/**
+ * Returns the candles of both lists sorted by time. Candles of the second list replace those at the same time
+ */
+function mergeCandles(candles, newer) {
+    var byTime = {};
+
+    _.each(candles.concat(newer), function (candle) {
+        byTime[candle[0]] = candle;
+    });
+
+    return _.sortBy(_.values(byTime), function (candle) {
+        return candle[0];
+    });
+}
+
+/**
+ * Returns the times of the missing candles as [start, end) ranges
+ * @param  {Array}   candles   candles sorted by time
+ * @param  {String}  type      The kline type
+ * @param  {Number}  from      milliseconds of the first expected candle
+ * @param  {Number}  to        milliseconds the candles end before
+ * @return {Array}             [start, end] ranges of the missing candles
+ */
+function findGaps(candles, type, from, to) {
+    var interval = intervals[type],
+        gaps = [],
+        expected = from;
+
+    _.each(candles, function (candle) {
+        if (candle[0] > expected) gaps.push([expected, candle[0]]);
+        expected = Math.max(expected, candle[0] + interval);
+    });
+
+    if (expected < to) gaps.push([expected, Math.ceil(to / interval) * interval]);
+
+    return gaps;
+}
+
+/**
+ * Returns the candles with the gaps filled by candles at the previous close with no volume.
+ * Gaps before the first candle are left as they are
+ * @param  {Array}   candles   candles sorted by time
+ * @param  {String}  type      The kline type
+ * @param  {Number}  to        milliseconds the candles end before
+ * @return {Array}             The filled candles
+ */
+function fillGaps(candles, type, to) {
+    var interval = intervals[type],
+        filled = [];
+
+    if (!candles.length) return [];
+
+    var gaps = findGaps(candles, type, candles[0][0], to),
+        byStart = _.indexBy(gaps, 0);
+
+    _.each(candles, function (candle) {
+        filled.push(candle);
+
+        var gap = byStart[candle[0] + interval];
+        if (!gap) return;
+
+        for (var time = gap[0]; time < gap[1] && time < to; time += interval) {
+            var flat = [time, candle[4], candle[4], candle[4], candle[4], 0];
+            if (candle.length > 6) flat.push(0);
+            filled.push(flat);
+        }
+    });
+
+    return filled;
+}
+
+/**
+ * Combines candles into candles of a longer interval. Buckets start on multiples of the new interval in UTC
+ * @param  {Array}   candles    candles sorted by time
+ * @param  {String}  fromType   The kline type of the candles. eg 1min
+ * @param  {String}  toType     The kline type to return. eg 15min, 1hour or 1day
+ * @return {Array}              The resampled candles
+ */
+function resample(candles, fromType, toType) {
+    var fromInterval = intervals[fromType],
+        toInterval = intervals[toType];
+
+    if (!fromInterval || !toInterval || toInterval < fromInterval || toInterval % fromInterval !== 0) {
+        throw new VError('resample() can not resample %s candles to %s', fromType, toType);
+    }
+
+    var buckets = _.groupBy(candles, function (candle) {
+        return Math.floor(candle[0] / toInterval) * toInterval;
+    });
+
+    return _.map(_.sortBy(_.keys(buckets), Number), function (start) {
+        var group = buckets[start],
+            candle = [
+                Number(start),
+                group[0][1],
+                _.max(_.pluck(group, 2)),
+                _.min(_.pluck(group, 3)),
+                _.last(group)[4],
+                helpers.sum(_.pluck(group, 5))
+            ];
+
+        if (group[0].length > 6) candle.push(helpers.sum(_.pluck(group, 6)));
+
+        return candle;
+    });
+}
+
+/**
+ * Returns sorted ranges with the overlapping and touching ones joined
+ */
+function mergeRanges(ranges) {
+    var merged = [];
+
+    _.each(_.sortBy(ranges, 0), function (range) {
+        var last = _.last(merged);
+
+        if (range[1] <= range[0]) return;
+
+        if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+        else merged.push([range[0], range[1]]);
+    });
+
+    return merged;
+}
+
+/**
+ * Returns the parts of a range that are not covered by a list of ranges
+ */
+function subtractRanges(range, covered) {
+    var missing = [],
+        start = range[0];
+
+    _.each(mergeRanges(covered), function (cover) {
+        if (cover[1] <= start || cover[0] >= range[1]) return;
+
+        if (cover[0] > start) missing.push([start, cover[0]]);
+        start = Math.max(start, cover[1]);
+    });
+
+    if (start < range[1]) missing.push([start, range[1]]);
+
+    return missing;
+}
+
+CandleHistory.prototype.getCandles = promises.callbackOrPromise(CandleHistory.prototype.getCandles);
+CandleHistory.prototype.getResampled = promises.callbackOrPromise(CandleHistory.prototype.getResampled);
+
+CandleHistory.intervals = intervals;
+CandleHistory.findGaps = findGaps;
+CandleHistory.fillGaps = fillGaps;
+CandleHistory.resample = resample;
+
+module.exports = CandleHistory;
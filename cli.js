@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const _ = require('underscore');
+const VError = require('verror');
+const OKEX = require('./rest');
+
+// flags that do not take a value
+var booleanFlags = ['json', 'yes', 'market', 'close', 'futures', 'help'];
+
+/**
+ * Subcommands of the okex command. Each has
+ *  usage        arguments and flags of the command
+ *  description  what the command does
+ *  private      true if the command needs the API key and secret
+ *  confirm      true if the command places orders or withdraws and needs --yes
+ *  run          function (client, args, flags, config, callback) that calls back with an error or
+ *               {columns, rows, data}. data is printed with --json
+ */
+var commands = {
+    ticker: {
+        usage: '<symbol> [--contract type]',
+        description: 'last, best bid and ask, high, low and volume',
+        run: function (client, args, flags, config, callback) {
+            function done(err, data) {
+                if (err) return callback(err);
+
+                var ticker = data.ticker;
+                callback(null, {
+                    columns: ['symbol', 'last', 'buy', 'sell', 'high', 'low', 'vol'],
+                    rows: [_.extend({symbol: args[0]}, ticker)],
+                    data: data
+                });
+            }
+
+            if (flags.contract) client.getFutureTicker(done, args[0], flags.contract);
+            else client.getTicker(done, args[0]);
+        }
+    },
+
+    depth: {
+        usage: '<symbol> [--size n] [--contract type]',
+        description: 'asks from the highest price down to the bids',
+        run: function (client, args, flags, config, callback) {
+            var size = flags.size || 10;
+
+            function done(err, data) {
+                if (err) return callback(err);
+
+                // asks come from the highest price so the best asks are last
+                var asks = _.last(data.asks, size),
+                    bids = _.first(data.bids, size),
+                    rows = _.map(asks, function (ask) {
+                        return {side: 'ask', price: ask[0], amount: ask[1]};
+                    }).concat(_.map(bids, function (bid) {
+                        return {side: 'bid', price: bid[0], amount: bid[1]};
+                    }));
+
+                callback(null, {columns: ['side', 'price', 'amount'], rows: rows, data: data});
+            }
+
+            if (flags.contract) client.getFutureDepth(done, args[0], size, null, flags.contract);
+            else client.getDepth(done, args[0], size);
+        }
+    },
+
+    kline: {
+        usage: '<symbol> [--type 1min] [--size n] [--since ms] [--contract type]',
+        description: 'candles from the oldest',
+        run: function (client, args, flags, config, callback) {
+            var params = {symbol: args[0], type: flags.type || '1min', size: flags.size, since: flags.since};
+
+            function done(err, data) {
+                if (err) return callback(err);
+
+                callback(null, {
+                    columns: ['time', 'open', 'high', 'low', 'close', 'volume'],
+                    rows: _.map(data, function (candle) {
+                        return {
+                            time: new Date(candle[0]).toISOString(),
+                            open: candle[1],
+                            high: candle[2],
+                            low: candle[3],
+                            close: candle[4],
+                            volume: candle[5]
+                        };
+                    }),
+                    data: data
+                });
+            }
+
+            if (flags.contract) client.getFutureKline(done, _.extend(params, {contract_type: flags.contract}));
+            else client.getKline(done, params);
+        }
+    },
+
+    balance: {
+        usage: '[--futures]',
+        description: 'free and frozen balances, or the futures accounts with --futures',
+        private: true,
+        run: function (client, args, flags, config, callback) {
+            if (flags.futures) {
+                return client.getFutureUserInfo(function (err, data) {
+                    if (err) return callback(err);
+
+                    callback(null, {
+                        columns: ['currency', 'account_rights', 'keep_deposit', 'profit_real', 'profit_unreal', 'risk_rate'],
+                        rows: _.map(data.info, function (account, currency) {
+                            return _.extend({currency: currency}, account);
+                        }),
+                        data: data
+                    });
+                });
+            }
+
+            client.getUserInfo(function (err, data) {
+                if (err) return callback(err);
+
+                var funds = data.info.funds,
+                    currencies = _.filter(_.keys(funds.free), function (currency) {
+                        return Number(funds.free[currency]) || Number(funds.freezed[currency]);
+                    });
+
+                callback(null, {
+                    columns: ['currency', 'free', 'freezed'],
+                    rows: _.map(currencies, function (currency) {
+                        return {currency: currency, free: funds.free[currency], freezed: funds.freezed[currency]};
+                    }),
+                    data: data
+                });
+            });
+        }
+    },
+
+    orders: {
+        usage: '<symbol> [--contract type]',
+        description: 'open orders',
+        private: true,
+        run: function (client, args, flags, config, callback) {
+            var done = ordersResult(callback);
+
+            if (flags.contract) client.getFutureOrderInfo(done, args[0], -1, 1, flags.contract);
+            else client.getOrderInfo(done, args[0], -1);
+        }
+    },
+
+    buy: {
+        usage: '<symbol> <amount> <price | --market> [--contract type] [--lever 10] [--close] --yes',
+        description: 'places a buy order. The amount of a spot --market buy is the total to spend. ' +
+            'Futures buys open a long or close a short with --close',
+        private: true,
+        confirm: true,
+        run: function (client, args, flags, config, callback) {
+            placeOrder(client, 'buy', args, flags, callback);
+        }
+    },
+
+    sell: {
+        usage: '<symbol> <amount> <price | --market> [--contract type] [--lever 10] [--close] --yes',
+        description: 'places a sell order. Futures sells open a short or close a long with --close',
+        private: true,
+        confirm: true,
+        run: function (client, args, flags, config, callback) {
+            placeOrder(client, 'sell', args, flags, callback);
+        }
+    },
+
+    cancel: {
+        usage: '<symbol> <order_id> [--contract type]',
+        description: 'cancels an order. order_id can be a comma separated list',
+        private: true,
+        run: function (client, args, flags, config, callback) {
+            var done = resultOf(callback);
+
+            if (flags.contract) client.cancelFutureOrder(done, args[0], args[1], flags.contract);
+            else client.cancelOrder(done, args[0], args[1]);
+        }
+    },
+
+    positions: {
+        usage: '<symbol> [--contract type]',
+        description: 'futures positions',
+        private: true,
+        run: function (client, args, flags, config, callback) {
+            client.getFuturePosition(function (err, data) {
+                if (err) return callback(err);
+
+                callback(null, {
+                    columns: ['contract_type', 'buy_amount', 'buy_price_avg', 'sell_amount', 'sell_price_avg',
+                        'lever_rate'],
+                    rows: data.holding || [],
+                    data: data
+                });
+            }, args[0], flags.contract);
+        }
+    },
+
+    history: {
+        usage: '<symbol> [--limit n] [--from date] [--to date]',
+        description: 'filled and cancelled spot orders from the newest',
+        private: true,
+        run: function (client, args, flags, config, callback) {
+            var from = dateFlag(flags, 'from'),
+                to = dateFlag(flags, 'to');
+
+            if (from instanceof Error) return callback(from);
+            if (to instanceof Error) return callback(to);
+
+            var options = _.omit({
+                limit: flags.limit && Number(flags.limit),
+                from: from,
+                to: to
+            }, _.isUndefined);
+
+            client.collectAll(function (err, orders) {
+                if (err) return callback(err);
+                ordersResult(callback)(null, {orders: orders});
+            }, 'getOrderHistory', {symbol: args[0], status: 1}, options);
+        }
+    },
+
+    withdraw: {
+        usage: '<symbol> <address> <amount> --fee n --yes',
+        description: 'withdraws to an address. The trade password is read from OKEX_TRADE_PWD or trade_pwd of the config',
+        private: true,
+        confirm: true,
+        run: function (client, args, flags, config, callback) {
+            if (!config.trade_pwd) return callback(new VError('withdraw needs the trade password in OKEX_TRADE_PWD'));
+
+            client.addWithdraw(resultOf(callback), args[0], flags.fee, config.trade_pwd, args[1], args[2]);
+        }
+    }
+};
+
+function placeOrder(client, side, args, flags, callback) {
+    var symbol = args[0],
+        amount = args[1],
+        price = args[2],
+        done = resultOf(callback);
+
+    // an order without a price is only sent at the market price when that is asked for
+    if (!flags.market && _.isUndefined(price)) return callback(new VError('%s needs a price or --market', side));
+
+    if (flags.contract) {
+        // 1 open long, 2 open short, 3 close long, 4 close short
+        var type = side == 'buy' ? (flags.close ? 4 : 1) : (flags.close ? 3 : 2);
+
+        return client.addFutureTrade(done, symbol, type, amount, flags.market ? undefined : price,
+            flags.market ? 1 : 0, flags.contract, flags.lever || 10);
+    }
+
+    if (!flags.market) return client.addTrade(done, symbol, side, amount, price);
+
+    // the price of a buy_market order is the total to spend
+    if (side == 'buy') client.addTrade(done, symbol, 'buy_market', undefined, amount);
+    else client.addTrade(done, symbol, 'sell_market', amount);
+}
+
+function resultOf(callback) {
+    return function (err, data) {
+        if (err) return callback(err);
+
+        var fields = _.omit(data, _.isObject);
+        callback(null, {columns: _.keys(fields), rows: [fields], data: data});
+    };
+}
+
+function ordersResult(callback) {
+    return function (err, data) {
+        if (err) return callback(err);
+
+        callback(null, {
+            columns: ['order_id', 'type', 'price', 'amount', 'deal_amount', 'status', 'create_date'],
+            rows: _.map(data.orders || [], function (order) {
+                return _.extend({}, order, {create_date: new Date(order.create_date).toISOString()});
+            }),
+            data: data
+        });
+    };
+}
+
+/**
+ * Splits command line arguments into positional arguments and flags
+ * @param  {Array}   argv   The arguments after the script name
+ * @return {Object}         args and flags
+ */
+function parseArgs(argv) {
+    var args = [],
+        flags = {};
+
+    for (var i = 0; i < argv.length; i++) {
+        var match = /^--([^=]+)(?:=(.*))?$/.exec(argv[i]);
+
+        if (!match) args.push(argv[i]);
+        else if (!_.isUndefined(match[2])) flags[match[1]] = match[2];
+        else if (_.contains(booleanFlags, match[1])) flags[match[1]] = true;
+        else flags[match[1]] = argv[++i];
+    }
+
+    return {args: args, flags: flags};
+}
+
+/**
+ * Returns a date flag in milliseconds
+ * @param  {Object}  flags   The command line flags
+ * @param  {String}  name    The name of the flag. eg from
+ * @return {Number}          milliseconds, undefined if the flag is not set or an error if it is not a date
+ */
+function dateFlag(flags, name) {
+    if (!_.has(flags, name)) return undefined;
+
+    var time = _.isString(flags[name]) ? new Date(flags[name]).getTime() : NaN;
+    if (isNaN(time)) return new VError('--%s %s is not a date\n\n%s', name, flags[name], usage());
+
+    return time;
+}
+
+/**
+ * Returns the credentials and server from a config file and the environment. The environment wins
+ * @param  {Object}  flags   The command line flags. --config is the path of the config file
+ * @param  {Object}  env     The environment variables
+ * @return {Object}          api_key, secret, trade_pwd, server and apiVersion
+ */
+function loadConfig(flags, env) {
+    var file = flags.config || env.OKEX_CONFIG || path.join(os.homedir(), '.okex.json'),
+        config = {};
+
+    if (flags.config || fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+        catch (err) {
+            throw new VError(err, 'could not read the config file %s', file);
+        }
+    }
+
+    return _.omit({
+        api_key: env.OKEX_API_KEY || config.api_key,
+        secret: env.OKEX_SECRET || config.secret,
+        trade_pwd: env.OKEX_TRADE_PWD || config.trade_pwd,
+        server: flags.server || env.OKEX_SERVER || config.server,
+        apiVersion: flags['api-version'] || env.OKEX_API_VERSION || config.apiVersion
+    }, _.isUndefined);
+}
+
+/**
+ * Formats rows as a table with a column for each field
+ * @param  {Array}   columns   The fields to show
+ * @param  {Array}   rows      objects with the fields
+ * @return {String}
+ */
+function formatTable(columns, rows) {
+    var cells = [columns].concat(_.map(rows, function (row) {
+            return _.map(columns, function (column) {
+                return _.isUndefined(row[column]) || _.isNull(row[column]) ? '' : String(row[column]);
+            });
+        })),
+        widths = _.map(columns, function (column, i) {
+            return _.max(_.map(cells, function (line) {
+                return line[i].length;
+            }));
+        });
+
+    return _.map(cells, function (line) {
+        return _.map(line, function (cell, i) {
+            return cell + new Array(widths[i] - cell.length + 1).join(' ');
+        }).join('  ').replace(/\s+$/, '');
+    }).join('\n');
+}
+
+function usage() {
+    var lines = ['Usage: okex <command> [arguments] [--json] [--config file] [--server url]', '', 'Commands:'];
+
+    _.each(commands, function (command, name) {
+        lines.push(util.format('  %s %s', name, command.usage));
+        lines.push('      ' + command.description);
+    });
+
+    lines.push('', 'Credentials are read from OKEX_API_KEY and OKEX_SECRET',
+        'or api_key and secret of ~/.okex.json or the --config file.');
+
+    return lines.join('\n');
+}
+
+/**
+ * Runs a command
+ * @param  {Array}     argv       The arguments after the script name
+ * @param  {Object}    env        The environment variables
+ * @param  {Function}  callback   called with an error or the text to print
+ */
+function run(argv, env, callback) {
+    var parsed = parseArgs(argv),
+        name = parsed.args.shift(),
+        command = commands[name],
+        flags = parsed.flags;
+
+    if (!command || flags.help) return callback(name && !command && !flags.help ?
+        new VError('unknown command %s\n\n%s', name, usage()) : null, usage());
+
+    var config;
+    try {
+        config = loadConfig(flags, env);
+    }
+    catch (err) {
+        return callback(err);
+    }
+
+    // the commands read the v1 responses
+    if (config.apiVersion && config.apiVersion != 'v1') {
+        return callback(new VError('api version %s is not supported. The commands use the v1 API', config.apiVersion));
+    }
+
+    if (command.private && (!config.api_key || !config.secret)) {
+        return callback(new VError('%s needs OKEX_API_KEY and OKEX_SECRET or a config file with api_key and secret', name));
+    }
+
+    if (command.confirm && !flags.yes) {
+        return callback(new VError('%s %s was not sent. Add --yes to send it', name, parsed.args.join(' ')));
+    }
+
+    var client = new OKEX(config.api_key, config.secret, config.server, null, {apiVersion: config.apiVersion});
+
+    command.run(client, parsed.args, flags, config, function (err, result) {
+        if (err) return callback(err);
+
+        callback(null, flags.json ? JSON.stringify(result.data, null, 2) : formatTable(result.columns, result.rows));
+    });
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2), process.env, function (err, output) {
+        if (err) {
+            console.error(err.message);
+            process.exitCode = 1;
+            return;
+        }
+
+        console.log(output);
+    });
+}
+
+module.exports = {
+    commands: commands,
+    parseArgs: parseArgs,
+    loadConfig: loadConfig,
+    formatTable: formatTable,
+    run: run
+};
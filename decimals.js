@@ -0,0 +1,153 @@
+const _ = require('underscore');
+const Big = require('big.js');
+
+// big.js rounding modes
+var ROUND_DOWN = 0,
+    ROUND_HALF_EVEN = 2;
+
+// significant digits of a JS number that are free of binary floating point noise. eg 0.1 + 0.2
+var NUMBER_PRECISION = 15;
+
+/**
+ * Request parameters that are prices, amounts or rates
+ */
+var decimalParams = ['price', 'amount', 'withdraw_amount', 'chargefee', 'rate'];
+
+/**
+ * Returns a value as a Big decimal
+ * @param  {Big|String|Number}  value   The decimal value. Numbers must survive being read to 15 significant digits.
+ *                                      Floating point noise like 0.1 + 0.2 = 0.30000000000000004 has lost precision
+ * @return {Big}                        The decimal or null if the value is not a valid decimal or
+ *                                      is a number that has already lost precision
+ */
+function toDecimal(value) {
+    if (value instanceof Big) return value;
+
+    try {
+        if (_.isNumber(value)) {
+            if (!_.isFinite(value)) return null;
+            // integers above 2^53 can not be represented exactly
+            if (value % 1 === 0 && Math.abs(value) > Math.pow(2, 53)) return null;
+            if (Number(value.toPrecision(NUMBER_PRECISION)) !== value) return null;
+
+            return new Big(String(value));
+        }
+
+        if (_.isString(value) && value.trim() !== '') return new Big(value.trim());
+    }
+    catch (e) {
+        // big.js throws on invalid numbers
+    }
+
+    return null;
+}
+
+/**
+ * Returns a decimal as a string in normal notation that is safe to sign and send
+ * @param  {Big}  decimal
+ * @return {String}         eg 0.00000001 rather than 1e-8
+ */
+function formatDecimal(decimal) {
+    return decimal.toFixed();
+}
+
+/**
+ * Returns a decimal rounded to a multiple of a step
+ * @param  {Big}     decimal    The value to round
+ * @param  {Big}     step       The tick size or lot size
+ * @param  {Number}  rounding   big.js rounding mode
+ * @return {Big}                The rounded value
+ */
+function roundToStep(decimal, step, rounding) {
+    return decimal.div(step).round(0, rounding).times(step);
+}
+
+/**
+ * Converts the price and amount parameters to decimal strings and rounds them to the tick size and lot size of an instrument
+ * @param  {Object}  params       The request parameters
+ * @param  {Object}  instrument   optional tickSize and lotSize of the symbol
+ * @param  {String}  mode         strict to reject values that are not a multiple of the tick size or lot size,
+ *                                round to round prices to the nearest tick and amounts down to the lot size
+ * @return {Object}               params with decimals as strings, or problems listing the parameters that were rejected
+ */
+function applyPrecision(params, instrument, mode) {
+    var result = _.clone(params),
+        problems = [];
+
+    _.each(decimalParams, function (name) {
+        if (!_.has(params, name)) return;
+
+        var decimal = toDecimal(params[name]);
+
+        if (!decimal) {
+            problems.push(name + ' ' + JSON.stringify(params[name]) + ' is not a decimal that can be sent without losing precision');
+            return;
+        }
+
+        var step = stepOf(instrument, name, params);
+
+        if (step) {
+            var rounded = roundToStep(decimal, step, name == 'price' ? ROUND_HALF_EVEN : ROUND_DOWN);
+
+            if (!rounded.eq(decimal) && mode != 'round') {
+                problems.push(name + ' ' + formatDecimal(decimal) + ' is not a multiple of ' + formatDecimal(step));
+                return;
+            }
+
+            decimal = rounded;
+        }
+
+        result[name] = formatDecimal(decimal);
+    });
+
+    return {params: result, problems: problems};
+}
+
+function stepOf(instrument, name, params) {
+    if (!instrument) return null;
+
+    var step = name == 'price' ? instrument.tickSize : name == 'amount' ? instrument.lotSize : null;
+
+    // the price of a buy_market order is the total to spend in the quote currency, not a price on the tick size
+    if (name == 'price' && params.type == 'buy_market') return null;
+
+    return step ? toDecimal(step) : null;
+}
+
+/**
+ * Returns a value as a Big decimal like toDecimal, except that numbers are read to 15 significant digits first.
+ * It takes the results of floating point arithmetic, eg 0.1 + 0.2 is read as 0.3
+ * @param  {Big|String|Number}  value   The decimal value
+ * @return {Big}                        The decimal or null if the value is not a valid decimal
+ */
+function readDecimal(value) {
+    if (_.isNumber(value) && _.isFinite(value)) return toDecimal(Number(value.toPrecision(NUMBER_PRECISION)));
+    return toDecimal(value);
+}
+
+/**
+ * Converts the number fields of a model to Big decimals.
+ * Fields like the total of a balance are sums of OKEX values, so they are read to 15 significant digits
+ * to drop the floating point noise of the sum
+ * @param  {Object}  model   a model from models.js
+ * @return {Object}          The model
+ */
+function toDecimalFields(model) {
+    _.each(_.keys(model), function (key) {
+        if (key != 'raw' && _.isNumber(model[key]) && _.isFinite(model[key])) {
+            model[key] = readDecimal(model[key]);
+        }
+    });
+    return model;
+}
+
+module.exports = {
+    Big: Big,
+    decimalParams: decimalParams,
+    toDecimal: toDecimal,
+    readDecimal: readDecimal,
+    formatDecimal: formatDecimal,
+    roundToStep: roundToStep,
+    applyPrecision: applyPrecision,
+    toDecimalFields: toDecimalFields
+};
@@ -0,0 +1,323 @@
+const util = require('util');
+const _ = require('underscore');
+const VError = require('verror');
+
+/**
+ * Error classes returned by the OKEX client.
+ *
+ * Every error has
+ *  code        OKEX error code or HTTP status code. undefined for network and client side errors
+ *  retryable   true if sending the same request again may succeed
+ *  endpoint    the OKEX API method. eg trade or future_position
+ *  params      the request parameters with secrets redacted
+ *  messageEn   English description of the error code
+ *  messageCn   Chinese description of the error code
+ */
+
+/**
+ * Base class of all OKEX client errors
+ * @param  {Object}  info      code, retryable, endpoint, params, messageEn and messageCn
+ * @param  {Error}   cause     optional error that caused this error
+ * @param  {String}  message   The error message
+ */
+function OKEXError(info, cause, message) {
+    VError.call(this, cause || {}, '%s', message);
+
+    info = info || {};
+
+    this.code = info.code;
+    this.retryable = _.has(info, 'retryable') ? info.retryable : this.retryable;
+    this.endpoint = info.endpoint;
+    this.params = redactParams(info.params);
+    this.messageEn = info.messageEn;
+    this.messageCn = info.messageCn;
+}
+util.inherits(OKEXError, VError);
+OKEXError.prototype.name = 'OKEXError';
+OKEXError.prototype.retryable = false;
+
+function defineError(name, parent, retryable) {
+    var ErrorClass = function (info, cause, message) {
+        parent.call(this, info, cause, message);
+    };
+    util.inherits(ErrorClass, parent);
+    Object.defineProperty(ErrorClass, 'name', {value: name});
+    ErrorClass.prototype.name = name;
+    ErrorClass.prototype.retryable = retryable;
+    return ErrorClass;
+}
+
+// request did not get a response. eg ETIMEDOUT or ECONNRESET
+var NetworkError = defineError('NetworkError', OKEXError, true);
+// HTTP status code outside 2xx
+var HttpError = defineError('HttpError', OKEXError, false);
+// response could not be parsed
+var InvalidResponseError = defineError('InvalidResponseError', OKEXError, false);
+// parameters failed validation before the request was sent
+var InvalidParameterError = defineError('InvalidParameterError', OKEXError, false);
+// withdrawal stopped by the WithdrawalGuard before it was sent
+var WithdrawalBlockedError = defineError('WithdrawalBlockedError', OKEXError, false);
+// order stopped by the RiskGuard before it was sent
+var RiskLimitError = defineError('RiskLimitError', OKEXError, false);
+
+// OKEX returned an error_code
+var ExchangeError = defineError('ExchangeError', OKEXError, false);
+var RateLimitError = defineError('RateLimitError', ExchangeError, true);
+var SystemError = defineError('SystemError', ExchangeError, true);
+var AuthError = defineError('AuthError', ExchangeError, false);
+var AccountError = defineError('AccountError', ExchangeError, false);
+var InsufficientBalanceError = defineError('InsufficientBalanceError', ExchangeError, false);
+var OrderNotFoundError = defineError('OrderNotFoundError', ExchangeError, false);
+var OrderRejectedError = defineError('OrderRejectedError', ExchangeError, false);
+var WithdrawalError = defineError('WithdrawalError', ExchangeError, false);
+var LendingError = defineError('LendingError', ExchangeError, false);
+var ContractSettlingError = defineError('ContractSettlingError', ExchangeError, true);
+
+/**
+ * OKEX error codes with the English message, Chinese message and error class
+ */
+var errorCodes = {
+    10000: ['Required parameter can not be null', '必填参数为空', InvalidParameterError],
+    10001: ['Requests are too frequent', '用户请求过于频繁', RateLimitError],
+    10002: ['System Error', '系统错误', SystemError],
+    10003: ['Restricted list request, please try again later', '未在请求限制列表中,稍后请重试', RateLimitError],
+    10004: ['IP restriction', 'IP限制不能请求该资源', AuthError],
+    10005: ['Key does not exist', '密钥不存在', AuthError],
+    10006: ['User does not exist', '用户不存在', AuthError],
+    10007: ['Signatures do not match', '签名不匹配', AuthError],
+    10008: ['Illegal parameter', '非法参数', InvalidParameterError],
+    10009: ['Order does not exist', '订单不存在', OrderNotFoundError],
+    10010: ['Insufficient balance', '余额不足', InsufficientBalanceError],
+    10011: ['Order is less than minimum trade amount', '买卖的数量小于最小买卖额度', OrderRejectedError],
+    10012: ['Unsupported symbol (not btc_usd or ltc_usd)', '当前网站暂时只支持btc_usd ltc_usd', InvalidParameterError],
+    10013: ['This interface only accepts https requests', '此接口只支持https请求', ExchangeError],
+    10014: ['Order price must be between 0 and 1,000,000', '下单价格不得≤0或≥1000000', OrderRejectedError],
+    10015: ['Order price differs from current market price too much', '下单价格与最新成交价偏差过大', OrderRejectedError],
+    10016: ['Insufficient coins balance', '币数量不足', InsufficientBalanceError],
+    10017: ['API authorization error', 'API鉴权失败', AuthError],
+    10018: ['Borrow amount less than lower limit [usd:100,btc:0.1,ltc:1]', '借款金额小于最低借款额度 [usd:100,btc:0.1,ltc:1]',
+        LendingError],
+    10019: ['Loan agreement not checked', '未勾选借款协议', LendingError],
+    10020: ['Rate cannot exceed 1%', '借款利率不能超过1%', LendingError],
+    10021: ['Rate cannot less than 1‰', '借款利率不能低于1‰', LendingError],
+    10023: ['Fail to get latest ticker', '获取最新成交价错误', SystemError],
+    10024: ['Balance not sufficient', '可借金额不足', InsufficientBalanceError],
+    10025: ['Quota is full, cannot borrow temporarily', '额度已满，暂时无法借款', LendingError],
+    10026: ['Loan (including reserved loan) and margin cannot be withdrawn', '借入不能提出', WithdrawalError],
+    10027: ['Cannot withdraw within 24 hrs of authentication information modification',
+        '修改敏感提币验证信息，24小时内不允许提现', WithdrawalError],
+    10028: ['Withdrawal amount exceeds daily limit', '提币金额已超过今日提币限额', WithdrawalError],
+    10029: ['Account has unpaid loan, please cancel/pay off the loan before withdraw',
+        '账户有借款，请撤消借款或者还清借款后再提币', WithdrawalError],
+    10031: ['Deposits can only be withdrawn after 6 confirmations', '充值6次确认后方可提现', WithdrawalError],
+    10032: ['Please enabled phone/google authenticator', '请开通手机/谷歌验证', WithdrawalError],
+    10033: ['Fee higher than maximum network transaction fee', '手续费大于最大网络手续费', WithdrawalError],
+    10034: ['Fee lower than minimum network transaction fee', '手续费小于最低网络手续费', WithdrawalError],
+    10035: ['Insufficient BTC/LTC', '可用BTC/LTC不足', InsufficientBalanceError],
+    10036: ['Withdrawal amount too low', '提币数量小于最小提币数量', WithdrawalError],
+    10037: ['Trade password not set', '交易密码未设置', WithdrawalError],
+    10040: ['Withdrawal cancellation fails', '取消提币失败', WithdrawalError],
+    10041: ['Withdrawal address not approved', '提币地址未认证', WithdrawalError],
+    10042: ['Admin password error', '资金密码错误', AuthError],
+    10100: ['User account frozen', '账户被冻结', AccountError],
+    10216: ['Non-available API', '非开放API', AuthError],
+    20001: ['User does not exist', '用户不存在', AuthError],
+    20002: ['Account frozen', '用户被冻结', AccountError],
+    20003: ['Account frozen due to liquidation', '用户被爆仓冻结', AccountError],
+    20004: ['Futures account frozen', '合约账户被冻结', AccountError],
+    20005: ['User futures account does not exist', '用户合约账户不存在', AccountError],
+    20006: ['Required field missing', '必填参数为空', InvalidParameterError],
+    20007: ['Illegal parameter', '参数错误', InvalidParameterError],
+    20008: ['Futures account balance is too low', '合约账户余额为空', InsufficientBalanceError],
+    20009: ['Future contract status error', '虚拟合约状态错误', ExchangeError],
+    20010: ['Risk rate ratio does not exist', '合约风险率信息不存在', ExchangeError],
+    20011: ['Risk rate lower than 90%/80% before opening BTC position with 10x/20x leverage. ' +
+        'or risk rate lower than 80%/60% before opening LTC position with 10x/20x leverage',
+        '10倍/20倍杠杆开BTC前保证金率低于90%/80%，10倍/20倍杠杆开LTC前保证金率低于80%/60%', InsufficientBalanceError],
+    20012: ['Risk rate lower than 90%/80% after opening BTC position with 10x/20x leverage. ' +
+        'or risk rate lower than 80%/60% after opening LTC position with 10x/20x leverage',
+        '10倍/20倍杠杆开BTC后保证金率低于90%/80%，10倍/20倍杠杆开LTC后保证金率低于80%/60%', InsufficientBalanceError],
+    20013: ['Temporally no counter party price', '暂无对手价', OrderRejectedError],
+    20014: ['System error', '系统错误', SystemError],
+    20015: ['Order does not exist', '订单信息不存在', OrderNotFoundError],
+    20016: ['Close amount bigger than your open positions', '平仓数量是否大于同方向可用持仓数量', OrderRejectedError],
+    20017: ['Not authorized/illegal operation', '非本人操作', AuthError],
+    20018: ['Order price differ more than 3% from the price in the last minute',
+        '下单价格高于前一分钟的103%或低于97%', OrderRejectedError],
+    20019: ['IP restricted from accessing the resource', '该IP限制不能请求该资源', AuthError],
+    20020: ['Secretkey does not exist', '密钥不存在', AuthError],
+    20021: ['Index information does not exist', '指数信息不存在', ExchangeError],
+    20022: ['Wrong API interface (Cross margin mode shall call cross margin API, ' +
+        'fixed margin mode shall call fixed margin API)',
+        '接口调用错误（全仓模式调用全仓接口，逐仓模式调用逐仓接口）', InvalidParameterError],
+    20023: ['Account in fixed-margin mode', '逐仓用户', InvalidParameterError],
+    20024: ['Signature does not match', 'sign签名不匹配', AuthError],
+    20025: ['Leverage rate error', '杠杆比率错误', InvalidParameterError],
+    20026: ['API Permission Error', 'API鉴权错误', AuthError],
+    20027: ['No transaction record', '无交易记录', ExchangeError],
+    20028: ['No such contract', '合约不存在', InvalidParameterError],
+    20029: ['Amount is large than available funds', '转出金额大于可转金额', InsufficientBalanceError],
+    20030: ['Account still has debts', '账户存在借款', AccountError],
+    20038: ['Due to regulation, this function is not available in the country/region your currently reside in',
+        '根据相关法律，您所在的国家或地区不能使用该功能。', AccountError],
+    20049: ['Request frequency too high', '用户请求接口过于频繁', RateLimitError],
+    20061: ['Only one leverage rate is supported for each direction of a contract. ' +
+        'A 20x long cannot be opened while there is a 10x long',
+        '合约相同方向只支持一个杠杆，若有10倍多单，就不能再下20倍多单', OrderRejectedError],
+    21020: ['Contract is being delivered, orders cannot be placed', '合约交割中，无法下单', ContractSettlingError],
+    21021: ['Contract is being settled, orders cannot be placed', '合约清算中，无法下单', ContractSettlingError],
+
+    // v3 API
+    30001: ['OK-ACCESS-KEY header is required', '请求头"OK_ACCESS_KEY"不能为空', AuthError],
+    30002: ['OK-ACCESS-SIGN header is required', '请求头"OK_ACCESS_SIGN"不能为空', AuthError],
+    30003: ['OK-ACCESS-TIMESTAMP header is required', '请求头"OK_ACCESS_TIMESTAMP"不能为空', AuthError],
+    30004: ['OK-ACCESS-PASSPHRASE header is required', '请求头"OK_ACCESS_PASSPHRASE"不能为空', AuthError],
+    30005: ['Invalid OK-ACCESS-TIMESTAMP', '无效的OK_ACCESS_TIMESTAMP', AuthError],
+    30006: ['Invalid OK-ACCESS-KEY', '无效的OK_ACCESS_KEY', AuthError],
+    30007: ['Invalid Content-Type, please use application/json', '无效的Content_Type，请使用“application/json”格式',
+        InvalidParameterError],
+    30008: ['Timestamp request expired', '请求时间戳过期', AuthError],
+    30009: ['System error', '系统错误', SystemError],
+    30010: ['API validation failed', 'API 校验失败', AuthError],
+    30011: ['Invalid IP', 'IP 无效', AuthError],
+    30012: ['Invalid authorization', '无效的授权', AuthError],
+    30013: ['Invalid sign', '无效的sign', AuthError],
+    30014: ['Request too frequent', '请求太频繁', RateLimitError],
+    30015: ['Invalid OK-ACCESS-PASSPHRASE', '无效的OK_ACCESS_PASSPHRASE', AuthError],
+    30016: ['You are using the v1 API key, please use the v1 endpoints', '您使用的是v1的apiKey，请调用v1接口', AuthError],
+    30017: ['Exchange ID does not exist', '交易所ID不存在', InvalidParameterError],
+    30023: ['Required parameter cannot be blank', '必填参数不能为空', InvalidParameterError],
+    30024: ['Illegal parameter value', '参数值非法', InvalidParameterError],
+    30025: ['Parameter category error', '参数类型错误', InvalidParameterError],
+    30026: ['Requested too frequent', '请求接口超过限频', RateLimitError],
+    30027: ['Login failure', '登录失败', AuthError],
+    30030: ['Endpoint request failed, please try again', '请求接口失败，请您重试', SystemError],
+    30032: ['Pair suspended', '币对暂停交易', OrderRejectedError],
+    30036: ['No relevant data', '没有相关数据', ExchangeError],
+    30038: ['User does not exist', '用户不存在', AccountError],
+    32014: ['Your closing amount exceeds the available amount', '平仓数量大于可平数量', OrderRejectedError],
+    32015: ['Insufficient margin', '保证金不足', InsufficientBalanceError],
+    32019: ['Order price exceeds the price limit', '委托价格超过限价范围', OrderRejectedError],
+    32029: ['Order does not exist', '订单不存在', OrderNotFoundError],
+    33014: ['Order does not exist', '订单不存在', OrderNotFoundError],
+    33017: ['Insufficient balance', '余额不足', InsufficientBalanceError],
+    33026: ['Transaction completed', '交易已完成', OrderRejectedError],
+
+    429: ['Too many requests (Http)', '请求过于频繁 (Http)', RateLimitError],
+    503: ['Too many requests (Http)', '请求过于频繁 (Http)', RateLimitError]
+};
+
+/**
+ * Returns the message of an OKEX error code
+ * @param  {Integer}  code       OKEX error code
+ * @param  {String}   language   en or cn. Defaults to en
+ * @return {String}              error message
+ */
+function messageFor(code, language) {
+    var entry = errorCodes[code];
+
+    if (!entry) {
+        return (language == 'cn' ? '未知错误代码: ' : 'Unknown OKEX error code: ') + code;
+    }
+
+    return language == 'cn' ? entry[1] : entry[0];
+}
+
+/**
+ * Returns the error for an error_code returned by OKEX
+ * @param  {Integer}  code       OKEX error code
+ * @param  {Object}   info       endpoint and params of the request
+ * @param  {String}   message    The error message
+ * @return {ExchangeError}       an instance of the class of the error code
+ */
+function fromCode(code, info, message) {
+    var entry = errorCodes[code],
+        ErrorClass = entry ? entry[2] : ExchangeError;
+
+    return new ErrorClass(_.extend({
+        code: Number(code),
+        messageEn: messageFor(code, 'en'),
+        messageCn: messageFor(code, 'cn')
+    }, info), null, message);
+}
+
+/**
+ * Returns the error for a HTTP status code outside 2xx
+ * @param  {Integer}  statusCode   HTTP status code
+ * @param  {Object}   info         endpoint and params of the request
+ * @param  {String}   message      The error message
+ * @return {HttpError}             a RateLimitError for 503 otherwise a HttpError
+ */
+function fromStatusCode(statusCode, info, message) {
+    if (errorCodes[statusCode]) return fromCode(statusCode, info, message);
+
+    return new HttpError(_.extend({
+        code: statusCode,
+        retryable: statusCode >= 500,
+        messageEn: 'HTTP status code ' + statusCode,
+        messageCn: 'HTTP状态码 ' + statusCode
+    }, info), null, message);
+}
+
+var networkRetryable = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Returns the error for a request that did not get a response
+ * @param  {Error}   cause     The error from the request library
+ * @param  {Object}  info      endpoint and params of the request
+ * @param  {String}  message   The error message
+ * @return {NetworkError}
+ */
+function fromNetworkError(cause, info, message) {
+    var error = new NetworkError(_.extend({
+        retryable: _.contains(networkRetryable, cause.code),
+        messageEn: cause.message,
+        messageCn: '网络错误 ' + cause.code
+    }, info), cause, message);
+
+    error.errno = cause.code;
+    return error;
+}
+
+var secretParams = ['api_key', 'secret', 'secret_key', 'sign', 'trade_pwd', 'passphrase'];
+
+/**
+ * Returns a copy of request parameters with the secrets replaced
+ * @param  {Object}  params   The request parameters
+ * @return {Object}           parameters safe to log
+ */
+function redactParams(params) {
+    if (!_.isObject(params)) return params;
+
+    return _.mapObject(params, function (value, key) {
+        return _.contains(secretParams, key) ? '[REDACTED]' : value;
+    });
+}
+
+module.exports = {
+    OKEXError: OKEXError,
+    NetworkError: NetworkError,
+    HttpError: HttpError,
+    InvalidResponseError: InvalidResponseError,
+    InvalidParameterError: InvalidParameterError,
+    WithdrawalBlockedError: WithdrawalBlockedError,
+    RiskLimitError: RiskLimitError,
+    ExchangeError: ExchangeError,
+    RateLimitError: RateLimitError,
+    SystemError: SystemError,
+    AuthError: AuthError,
+    AccountError: AccountError,
+    InsufficientBalanceError: InsufficientBalanceError,
+    OrderNotFoundError: OrderNotFoundError,
+    OrderRejectedError: OrderRejectedError,
+    WithdrawalError: WithdrawalError,
+    LendingError: LendingError,
+    ContractSettlingError: ContractSettlingError,
+
+    errorCodes: errorCodes,
+    messageFor: messageFor,
+    fromCode: fromCode,
+    fromStatusCode: fromStatusCode,
+    fromNetworkError: fromNetworkError,
+    redactParams: redactParams
+};
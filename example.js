@@ -87,7 +87,8 @@ function logResponse(err, data)
     if (err)
     {
         console.log('error name %s', err.name);
-        console.log('error message %s', err.info);
+        console.log('error code %s', err.code);
+        console.log('error message %s', err.messageEn);
     }
 
     console.log('\ndata: %s', JSON.stringify(data));
@@ -0,0 +1,601 @@
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const _ = require('underscore');
+const VError = require('verror');
+const models = require('./models');
+const decimals = require('./decimals');
+const promises = require('./promises');
+const OrderManager = require('./ordermanager');
+
+var defaults = {
+    algorithm: 'twap',
+    duration: 10 * 60 * 1000,   // twap: milliseconds to spread the order over
+    slices: 10,                 // twap: number of child orders
+    visibleAmount: null,        // iceberg: amount of each child order
+    repriceInterval: 2000,      // chase: milliseconds between checks of the top of the book. iceberg: between retries
+    timeout: null,              // optional milliseconds after which the leftovers are cancelled
+    settleTimeout: 30000,       // milliseconds to wait for cancelled child orders to be confirmed
+    maxRejections: 3,           // price band rejections in a row before the execution fails
+    pollInterval: 2000,         // milliseconds between polls of the child orders
+    orderManager: null          // optional OrderManager to place the child orders with
+};
+
+// OKEX rejects orders priced too far from the last price. The next child order is priced from a fresh book
+var priceBandCodes = [10015, 20018];
+
+// big.js rounding modes
+var ROUND_DOWN = 0,
+    ROUND_UP = 3;
+
+var OrderStatus = models.OrderStatus;
+
+/**
+ * Executes a large order as smaller child orders so it does not move the book or get rejected by the price bands.
+ *
+ * Algorithms
+ *  twap      splits the amount into slices placed evenly over the duration at the best opposite price, no worse than
+ *            the limit price. The unfilled rest of a slice is cancelled and added to the next one
+ *  iceberg   shows only visibleAmount at the limit price. The next clip is placed when one is filled.
+ *            start() rejects a visibleAmount below the lot size or minimum order size of the instrument
+ *  chase     keeps a limit order for the rest of the amount at the best price of its own side of the book,
+ *            no worse than the limit price, and reprices it when the book moves away. OKEX v1 has no post only
+ *            orders so pricing at its own side keeps it from taking liquidity
+ *
+ * The execution finishes when the amount is filled, the twap duration or timeout runs out, or it is aborted.
+ * Open child orders are cancelled when it finishes.
+ *
+ * Emits
+ *  order      (order) when a child order is accepted
+ *  fill       (order, summary) when a child order fills more
+ *  rejected   (error, params) when OKEX rejects a child order
+ *  done       (summary) when the execution finishes
+ *  error      (error) when polling or cancelling a child order fails
+ *
+ * @param  {OKEX}    client    The client to place the orders with
+ * @param  {Object}  order     symbol, type, amount and the limit price. type is buy or sell for spot orders or
+ *                             1:开多 2:开空 3:平多 4:平空 with contract_type and optional lever_rate for futures orders.
+ *                             price is required by iceberg
+ * @param  {Object}  options   optional algorithm, duration, slices, visibleAmount, repriceInterval, timeout,
+ *                             settleTimeout, maxRejections, pollInterval and orderManager. See defaults
+ */
+var Execution = function (client, order, options) {
+    EventEmitter.call(this);
+
+    var functionName = 'Execution()';
+
+    this.client = client;
+    this.options = _.extend({}, defaults, options);
+    this.order = _.clone(order || {});
+    this.isFuture = !!this.order.contract_type;
+    this.amount = decimals.toDecimal(this.order.amount);
+    this.price = hasValue(this.order.price) ? decimals.toDecimal(this.order.price) : null;
+
+    if (!algorithms[this.options.algorithm]) {
+        throw new VError('%s algorithm %s must be one of %s', functionName, this.options.algorithm,
+            _.keys(algorithms).join(', '));
+    }
+    if (!this.amount || this.amount.lte(0)) {
+        throw new VError('%s amount %s must be a positive number', functionName, this.order.amount);
+    }
+    if (hasValue(this.order.price) && !(this.price && this.price.gt(0))) {
+        throw new VError('%s price %s must be a positive number', functionName, this.order.price);
+    }
+
+    if (this.isFuture) {
+        if (!_.contains(['1', '2', '3', '4'], String(this.order.type))) {
+            throw new VError('%s futures type %s must be 1, 2, 3 or 4', functionName, this.order.type);
+        }
+        // open long and close short buy contracts
+        this.side = _.contains(['1', '4'], String(this.order.type)) ? 'buy' : 'sell';
+    }
+    else {
+        if (!_.contains(['buy', 'sell'], this.order.type)) {
+            throw new VError('%s spot type %s must be buy or sell', functionName, this.order.type);
+        }
+        this.side = this.order.type;
+    }
+
+    if (this.options.algorithm == 'iceberg') {
+        if (!this.price) throw new VError('%s iceberg orders need a limit price', functionName);
+        if (!(Number(this.options.visibleAmount) > 0)) {
+            throw new VError('%s iceberg orders need a positive visibleAmount', functionName);
+        }
+    }
+
+    this.manager = this.options.orderManager || new OrderManager(client, {pollInterval: this.options.pollInterval});
+    this.instrument = client.instruments ? client.instruments.get(this.order.symbol, this.order.contract_type) : null;
+
+    this.status = 'pending';
+    // ids of the child orders
+    this.children = [];
+    // filled amounts of the child orders keyed by id so fill is only emitted when they grow
+    this.fills = {};
+    this.rejections = 0;
+    // child orders sent to OKEX that have not been answered yet and the callbacks waiting for them
+    this.placing = 0;
+    this.placedCallbacks = [];
+    this.sliceIndex = 0;
+    this.timer = null;
+    this.timeoutTimer = null;
+    this.callbacks = [];
+
+    this.onUpdate = this.handleUpdate.bind(this);
+    this.onManagerError = this.handleError.bind(this);
+};
+util.inherits(Execution, EventEmitter);
+
+/**
+ * Starts placing the child orders
+ * @param callback  called with an error or the summary when the execution finishes.
+ *                  An error has the summary of the execution so far
+ */
+Execution.prototype.start = function start(callback) {
+    var self = this;
+
+    if (this.status != 'pending') {
+        return callback(new VError('Execution.start() execution has already been started'));
+    }
+
+    // the instruments may have been loaded since the execution was created
+    if (!this.instrument && this.client.instruments) {
+        this.instrument = this.client.instruments.get(this.order.symbol, this.order.contract_type);
+    }
+
+    // a clip rounded down to nothing would never be placed and the iceberg would try again forever
+    if (this.options.algorithm == 'iceberg') {
+        var clip = this.roundAmount(decimals.toDecimal(this.options.visibleAmount)),
+            minSize = this.instrument && this.instrument.minSize ? decimals.toDecimal(this.instrument.minSize) : null;
+
+        if (clip.lte(0) || (minSize && clip.lt(minSize))) {
+            return callback(new VError('Execution.start() iceberg visibleAmount %s is less than the lot size %s or ' +
+                'minimum order size %s of %s', this.options.visibleAmount, this.instrument.lotSize,
+                this.instrument.minSize, this.order.symbol));
+        }
+    }
+
+    this.status = 'running';
+    this.startedAt = Date.now();
+    this.callbacks.push(callback);
+
+    this.manager.on('update', this.onUpdate);
+    this.manager.on('error', this.onManagerError);
+
+    if (this.options.timeout) {
+        this.timeoutTimer = setTimeout(function () {
+            self.finish(null, 'expired');
+        }, this.options.timeout);
+    }
+
+    this.step();
+};
+
+/**
+ * Stops placing child orders and cancels the open ones
+ * @param callback  called with an error or the summary once the open child orders are cancelled
+ */
+Execution.prototype.abort = function abort(callback) {
+    if (this.status == 'pending') this.status = 'running';
+
+    if (this.isFinished()) return callback(null, this.summary());
+
+    this.callbacks.push(callback);
+    this.finish(null, 'aborted');
+};
+
+/**
+ * Returns the progress of the execution
+ * @return {Object}   algorithm, status, symbol, contractType, side, amount, filledAmount, remainingAmount,
+ *                    averagePrice and the child orders as models.Order
+ */
+Execution.prototype.summary = function () {
+    var orders = this.orders(),
+        filled = this.filledAmount(),
+        cost = _.reduce(orders, function (total, order) {
+            var price = order.averagePrice || order.price;
+            if (!order.filledAmount || !price) return total;
+
+            return total.plus(decimals.toDecimal(order.filledAmount).times(price));
+        }, new decimals.Big(0));
+
+    return {
+        algorithm: this.options.algorithm,
+        status: this.status,
+        symbol: this.order.symbol,
+        contractType: this.order.contract_type || null,
+        side: this.side,
+        amount: Number(this.amount),
+        filledAmount: Number(filled),
+        remainingAmount: Number(this.amount.minus(filled)),
+        averagePrice: filled.gt(0) ? Number(cost.div(filled)) : null,
+        orders: orders
+    };
+};
+
+Execution.prototype.orders = function () {
+    var manager = this.manager;
+
+    return _.compact(_.map(this.children, function (order_id) {
+        return manager.get(order_id);
+    }));
+};
+
+Execution.prototype.openOrders = function () {
+    return _.filter(this.orders(), isOpen);
+};
+
+Execution.prototype.filledAmount = function () {
+    return _.reduce(this.orders(), function (total, order) {
+        return order.filledAmount ? total.plus(decimals.toDecimal(order.filledAmount)) : total;
+    }, new decimals.Big(0));
+};
+
+/**
+ * Returns the amount that is left to fill, rounded down to the lot size
+ * @return {Big}
+ */
+Execution.prototype.remainingAmount = function () {
+    return this.roundAmount(this.amount.minus(this.filledAmount()));
+};
+
+Execution.prototype.isFinished = function () {
+    return !_.contains(['pending', 'running'], this.status);
+};
+
+/**
+ * Runs the next step of the algorithm unless one is running
+ */
+Execution.prototype.step = function () {
+    var self = this;
+
+    if (this.isFinished() || this.stepping) return;
+
+    this.stepping = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    algorithms[this.options.algorithm].call(this, function (err, delay) {
+        self.stepping = false;
+
+        if (err) return self.finish(err);
+        if (self.isFinished() || _.isUndefined(delay) || _.isNull(delay)) return;
+
+        self.timer = setTimeout(function () {
+            self.step();
+        }, delay);
+    });
+};
+
+/**
+ * Places a child order
+ * @param  {Big}       amount
+ * @param  {Big}       price
+ * @param  {Function}  callback   called with an error or the order. The order is null when it was rejected for
+ *                                its price and can be tried again
+ */
+Execution.prototype.place = function (amount, price, callback) {
+    var self = this,
+        order = this.order;
+
+    amount = this.roundAmount(amount);
+    price = this.roundPrice(price);
+
+    if (amount.lte(0)) return callback(null, null);
+
+    function placed(err, child) {
+        if (err) {
+            self.emit('rejected', err, {amount: decimals.formatDecimal(amount), price: decimals.formatDecimal(price)});
+
+            if (_.contains(priceBandCodes, Number(err.code)) && ++self.rejections < self.options.maxRejections) {
+                return callback(null, null);
+            }
+            return callback(new VError(err, 'Execution.place() child order of %s %s at %s was rejected',
+                decimals.formatDecimal(amount), order.symbol, decimals.formatDecimal(price)));
+        }
+
+        self.rejections = 0;
+        self.children.push(child.id);
+
+        self.emit('order', child);
+        callback(null, child);
+    }
+
+    // an execution that finished while the order was being placed settles once it is answered
+    function answered(err, child) {
+        placed(err, child);
+
+        if (--self.placing) return;
+
+        var callbacks = self.placedCallbacks;
+        self.placedCallbacks = [];
+        _.each(callbacks, function (callback) {
+            callback();
+        });
+    }
+
+    this.placing++;
+
+    if (this.isFuture) {
+        this.manager.placeFutureOrder(answered, order.symbol, order.type, decimals.formatDecimal(amount),
+            decimals.formatDecimal(price), 0, order.contract_type, order.lever_rate);
+    }
+    else {
+        this.manager.placeOrder(answered, order.symbol, order.type, decimals.formatDecimal(amount),
+            decimals.formatDecimal(price));
+    }
+};
+
+/**
+ * Calls back once the child orders being placed are answered
+ * @param  {Function}  callback
+ */
+Execution.prototype.whenPlaced = function (callback) {
+    if (!this.placing) return callback();
+
+    this.placedCallbacks.push(callback);
+};
+
+Execution.prototype.cancelChild = function (child) {
+    var self = this;
+
+    this.manager.cancel(function (err) {
+        // the order may have filled before the cancel got to OKEX. The next poll tells
+        if (err) self.handleError(err);
+    }, child.id);
+};
+
+/**
+ * Cancels the open child orders and waits until OKEX confirms they are cancelled or filled
+ * @param  {Function}  callback   called with an error if they are not confirmed within the settleTimeout
+ */
+Execution.prototype.settle = function (callback) {
+    var self = this,
+        timer = null;
+
+    if (!this.openOrders().length) return callback();
+
+    function onUpdate() {
+        if (self.openOrders().length) return;
+
+        done();
+    }
+
+    function done(err) {
+        clearTimeout(timer);
+        self.manager.removeListener('update', onUpdate);
+        callback(err);
+    }
+
+    this.manager.on('update', onUpdate);
+
+    timer = setTimeout(function () {
+        done(new VError('Execution.settle() child orders %s were not cancelled within %s milliseconds',
+            _.pluck(self.openOrders(), 'id').join(', '), self.options.settleTimeout));
+    }, this.options.settleTimeout);
+
+    _.each(this.openOrders(), this.cancelChild, this);
+};
+
+/**
+ * Gets the best bid and ask of the symbol
+ * @param  {Function}  callback   called with an error or {bid, ask} as Big decimals. Either can be null
+ */
+Execution.prototype.getTop = function (callback) {
+    var order = this.order;
+
+    function top(err, data) {
+        if (err) return callback(err);
+
+        var raw = models.rawOf(data);
+
+        // asks are listed from the highest price so the best prices are found rather than taken from an end
+        callback(null, {
+            bid: bestPrice(raw.bids, _.max),
+            ask: bestPrice(raw.asks, _.min)
+        });
+    }
+
+    if (this.isFuture) this.client.getFutureDepth(top, order.symbol, 5, undefined, order.contract_type);
+    else this.client.getDepth(top, order.symbol, 5);
+};
+
+/**
+ * Returns a price no worse than the limit price. Buys are capped at it and sells are floored
+ * @param  {Big}  price
+ * @return {Big}
+ */
+Execution.prototype.limit = function (price) {
+    if (!this.price) return price;
+    if (!price) return this.price;
+
+    if (this.side == 'buy') return price.gt(this.price) ? this.price : price;
+    return price.lt(this.price) ? this.price : price;
+};
+
+Execution.prototype.roundAmount = function (amount) {
+    var step = this.instrument && this.instrument.lotSize ? decimals.toDecimal(this.instrument.lotSize) : null;
+    return step ? decimals.roundToStep(amount, step, ROUND_DOWN) : amount;
+};
+
+// buys are rounded down and sells up so the tick never makes the price worse
+Execution.prototype.roundPrice = function (price) {
+    var step = this.instrument && this.instrument.tickSize ? decimals.toDecimal(this.instrument.tickSize) : null;
+    return step ? decimals.roundToStep(price, step, this.side == 'buy' ? ROUND_DOWN : ROUND_UP) : price;
+};
+
+Execution.prototype.handleUpdate = function (order) {
+    if (!_.contains(this.children, order.id)) return;
+
+    if (order.filledAmount > (this.fills[order.id] || 0)) {
+        this.fills[order.id] = order.filledAmount;
+        this.emit('fill', order, this.summary());
+    }
+    if (this.isFinished()) return;
+
+    if (this.remainingAmount().lte(0)) return this.finish(null, 'completed');
+
+    // the next clip of an iceberg is shown once the last one is done
+    if (this.options.algorithm == 'iceberg' && !isOpen(order)) this.step();
+};
+
+Execution.prototype.handleError = function (err) {
+    // an error event without listeners would throw
+    if (this.listenerCount('error')) this.emit('error', err);
+};
+
+/**
+ * Stops the execution and cancels the open child orders, including the ones still being placed.
+ * Only the first call has any effect
+ * @param  {Error}   err      optional error the execution failed with
+ * @param  {String}  status   completed, expired or aborted
+ */
+Execution.prototype.finish = function (err, status) {
+    var self = this;
+
+    if (this.isFinished()) return;
+
+    this.status = err ? 'failed' : status;
+    clearTimeout(this.timer);
+    clearTimeout(this.timeoutTimer);
+
+    // a child order placed after the open ones were cancelled would be left open and out of the summary
+    this.whenPlaced(function () {
+        self.settle(done);
+    });
+
+    function done(settleErr) {
+        self.manager.removeListener('update', self.onUpdate);
+        self.manager.removeListener('error', self.onManagerError);
+
+        var error = err || settleErr,
+            summary = self.summary();
+
+        if (error) error.summary = summary;
+        if (!err && status != 'aborted' && self.remainingAmount().lte(0)) self.status = summary.status = 'completed';
+
+        self.emit('done', summary);
+
+        _.each(self.callbacks, function (callback) {
+            callback(error, error ? undefined : summary);
+        });
+        self.callbacks = [];
+    }
+};
+
+/**
+ * The algorithms run one step and call back with an error or the milliseconds until the next step.
+ * No delay means the next step is run by an update of a child order
+ */
+var algorithms = {
+    twap: function (callback) {
+        var self = this,
+            slices = this.options.slices,
+            interval = this.options.duration / slices,
+            index = this.sliceIndex;
+
+        // the last slice had the interval to fill. Its leftover is cancelled when the execution finishes
+        if (index >= slices) {
+            this.finish(null, 'expired');
+            return callback();
+        }
+
+        this.settle(function (err) {
+            if (err) return callback(err);
+            if (self.isFinished()) return callback();
+
+            self.sliceIndex++;
+
+            // the amount that should be filled by the end of this slice less what has been
+            var target = self.amount.times(index + 1).div(slices),
+                amount = target.minus(self.filledAmount());
+
+            if (self.roundAmount(amount).lte(0)) return callback(null, interval);
+
+            self.getTop(function (err, top) {
+                if (err) return callback(err);
+
+                var price = self.limit(self.side == 'buy' ? top.ask : top.bid);
+                // no book and no limit price. The slice is added to the next one
+                if (!price) return callback(null, interval);
+
+                self.place(amount, price, function (err) {
+                    callback(err, interval);
+                });
+            });
+        });
+    },
+
+    iceberg: function (callback) {
+        var self = this,
+            remaining = this.remainingAmount();
+
+        if (this.openOrders().length) return callback();
+        if (remaining.lte(0)) {
+            this.finish(null, 'completed');
+            return callback();
+        }
+
+        var clip = decimals.toDecimal(this.options.visibleAmount);
+
+        this.place(clip.gt(remaining) ? remaining : clip, this.price, function (err, child) {
+            // a rejected clip is tried again after the repriceInterval
+            callback(err, child ? null : self.options.repriceInterval);
+        });
+    },
+
+    chase: function (callback) {
+        var self = this,
+            interval = this.options.repriceInterval;
+
+        this.getTop(function (err, top) {
+            if (err) return callback(err);
+            if (self.isFinished()) return callback();
+
+            var price = self.limit(self.side == 'buy' ? top.bid : top.ask);
+            if (!price) return callback(null, interval);
+
+            price = self.roundPrice(price);
+
+            var open = self.openOrders();
+            if (open.length == 1 && decimals.toDecimal(open[0].price).eq(price)) return callback(null, interval);
+
+            self.settle(function (err) {
+                if (err) return callback(err);
+                if (self.isFinished()) return callback();
+
+                var remaining = self.remainingAmount();
+                if (remaining.lte(0)) {
+                    self.finish(null, 'completed');
+                    return callback();
+                }
+
+                self.place(remaining, price, function (err) {
+                    callback(err, interval);
+                });
+            });
+        });
+    }
+};
+
+Execution.algorithms = _.keys(algorithms);
+
+function bestPrice(levels, pick) {
+    if (!levels || !levels.length) return null;
+    return decimals.toDecimal(pick(_.map(levels, function (level) {
+        return Number(level[0]);
+    })));
+}
+
+function hasValue(value) {
+    return !_.isUndefined(value) && !_.isNull(value);
+}
+
+function isOpen(order) {
+    return order.status != OrderStatus.FILLED && order.status != OrderStatus.CANCELLED;
+}
+
+// methods that take a callback first return a Promise when called without one
+_.each(['start', 'abort'], function (name) {
+    Execution.prototype[name] = promises.callbackOrPromise(Execution.prototype[name]);
+});
+
+module.exports = Execution;
@@ -0,0 +1,89 @@
+const _ = require('underscore');
+const decimals = require('./decimals');
+
+/**
+ * Runs functions that take a callback at the same time and collects their errors and results
+ * @param  {Object}    tasks        functions keyed by name
+ * @param  {Number}    concurrency  optional most functions to run at the same time. Defaults to all of them
+ * @param  {Function}  callback     called with the errors and the results keyed by name once every function is done
+ */
+function gather(tasks, concurrency, callback) {
+    if (_.isFunction(concurrency)) {
+        callback = concurrency;
+        concurrency = Infinity;
+    }
+
+    var errors = {},
+        results = {},
+        names = _.keys(tasks),
+        next = 0,
+        running = 0,
+        pending = names.length;
+
+    if (!pending) return callback(errors, results);
+
+    function startMore() {
+        while (running < (concurrency || 1) && next < names.length) start(names[next++]);
+    }
+
+    function start(name) {
+        running++;
+
+        tasks[name](function (err, result) {
+            running--;
+
+            if (err) errors[name] = err;
+            else results[name] = result;
+
+            if (--pending === 0) return callback(errors, results);
+            startMore();
+        });
+    }
+
+    startMore();
+}
+
+/**
+ * Runs functions that take a callback at the same time
+ * @param  {Object}    tasks      functions keyed by name
+ * @param  {Function}  callback   called with an error of the functions or the results keyed by name
+ */
+function parallel(tasks, callback) {
+    gather(tasks, function (errors, results) {
+        var err = _.find(errors, _.identity);
+
+        if (err) return callback(err);
+        callback(null, results);
+    });
+}
+
+/**
+ * Adds up numbers as decimals so the total does not have floating point noise. Missing values count as 0
+ * @param  {Array}  values   numbers, decimal strings or Big decimals
+ * @return {Number}          The total
+ */
+function sum(values) {
+    return Number(_.reduce(values, function (total, value) {
+        return total.plus(decimals.readDecimal(value) || 0);
+    }, new decimals.Big(0)));
+}
+
+/**
+ * @param  {String}  json
+ * @return {*}                The parsed value or null if it is not valid JSON
+ */
+function safeParse(json) {
+    try {
+        return JSON.parse(json);
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    gather: gather,
+    parallel: parallel,
+    sum: sum,
+    safeParse: safeParse
+};
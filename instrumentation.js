@@ -0,0 +1,135 @@
+const util = require('util');
+const _ = require('underscore');
+
+// upper bounds in milliseconds of the latency histogram buckets. The last bucket has the slower requests
+var defaultBuckets = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Counters and latency histograms of the requests of a client per endpoint, built from its request events.
+ *
+ * Each endpoint has
+ *  requests     attempts sent including retries
+ *  errors       attempts that failed
+ *  retries      attempts that were retried
+ *  errorCodes   failed attempts keyed by OKEX error code, HTTP status code or the errno of network errors
+ *  latency      count, sum, min and max milliseconds and the bucket counts keyed by their upper bound.
+ *               Infinity is the bucket of the slower requests
+ *
+ * @param  {Array}  buckets   optional upper bounds in milliseconds of the latency histogram buckets
+ */
+var Metrics = function (buckets) {
+    this.buckets = (buckets || defaultBuckets).slice().sort(function (a, b) {
+        return a - b;
+    });
+    this.reset();
+};
+
+/**
+ * Counts the requests, responses, errors and retries of a client
+ * @param  {OKEX}  client
+ */
+Metrics.prototype.attach = function (client) {
+    var self = this;
+
+    client.on('request', function (event) {
+        self.endpointOf(event.endpoint).requests++;
+    });
+
+    client.on('response', function (event) {
+        self.recordLatency(event.endpoint, event.latency);
+    });
+
+    client.on('error', function (err, event) {
+        var endpoint = self.endpointOf(event.endpoint),
+            key = event.code || event.statusCode || err.errno || 'unknown';
+
+        endpoint.errors++;
+        endpoint.errorCodes[key] = (endpoint.errorCodes[key] || 0) + 1;
+        self.recordLatency(event.endpoint, event.latency);
+    });
+
+    client.on('retry', function (event) {
+        self.endpointOf(event.endpoint).retries++;
+    });
+};
+
+Metrics.prototype.endpointOf = function (name) {
+    var endpoints = this.endpoints;
+
+    if (!endpoints[name]) {
+        endpoints[name] = {
+            requests: 0,
+            errors: 0,
+            retries: 0,
+            errorCodes: {},
+            latency: {count: 0, sum: 0, min: null, max: null, buckets: {}}
+        };
+
+        _.each(this.buckets.concat(Infinity), function (bound) {
+            endpoints[name].latency.buckets[bound] = 0;
+        });
+    }
+
+    return endpoints[name];
+};
+
+Metrics.prototype.recordLatency = function (name, latency) {
+    var histogram = this.endpointOf(name).latency,
+        bound = _.find(this.buckets, function (upper) {
+            return latency <= upper;
+        });
+
+    histogram.count++;
+    histogram.sum += latency;
+    histogram.min = histogram.min === null ? latency : Math.min(histogram.min, latency);
+    histogram.max = histogram.max === null ? latency : Math.max(histogram.max, latency);
+    histogram.buckets[_.isUndefined(bound) ? Infinity : bound]++;
+};
+
+/**
+ * Returns a copy of the metrics of every endpoint
+ * @return {Object}   metrics keyed by endpoint
+ */
+Metrics.prototype.snapshot = function () {
+    return JSON.parse(JSON.stringify(this.endpoints));
+};
+
+Metrics.prototype.reset = function () {
+    this.endpoints = {};
+};
+
+/**
+ * Logs the requests, responses, retries and failures of a client.
+ * The parameters of the events and the messages of the errors have their secrets redacted
+ * @param  {OKEX}    client
+ * @param  {Object}  logger   object with debug, info, warn and error functions like console
+ */
+function attachLogger(client, logger) {
+    function log(level, args) {
+        var write = logger[level] || logger.log;
+        if (write) write.call(logger, util.format.apply(util, args));
+    }
+
+    client.on('request', function (event) {
+        log('debug', ['OKEX %s request attempt %s params %s', event.endpoint, event.attempt, JSON.stringify(event.params)]);
+    });
+
+    client.on('response', function (event) {
+        log('debug', ['OKEX %s response status %s in %sms', event.endpoint, event.statusCode, event.latency]);
+    });
+
+    client.on('retry', function (event) {
+        log('warn', ['OKEX %s retry after attempt %s in %sms: %s', event.endpoint, event.attempt, event.delay,
+            event.error.message]);
+    });
+
+    client.on('error', function (err, event) {
+        log('error', ['OKEX %s failed with code %s in %sms: %s', event.endpoint, event.code || event.statusCode,
+            event.latency, err.message]);
+    });
+}
+
+module.exports = {
+    Metrics: Metrics,
+    attachLogger: attachLogger
+};
@@ -0,0 +1,293 @@
+const _ = require('underscore');
+const VError = require('verror');
+
+var contractTypes = ['this_week', 'next_week', 'quarter'];
+
+// lending and margin methods take the currency pairs of the margin loans. eg btc_usd, which are not spot or futures
+// symbols
+var lendingMethods = ['lend_depth', 'borrows_info', 'borrow_money', 'cancel_borrow', 'repayment', 'unrepayments_info',
+    'margin_userinfo'];
+
+// withdrawal methods name the currency with a pair too. eg btc_usd for btc
+var withdrawalMethods = ['withdraw', 'cancel_withdraw', 'withdraw_info'];
+
+/**
+ * Futures that are not listed by the products endpoint. Contract values are in USD
+ */
+var defaultFutures = {
+    btc_usd: {contractValue: 100, tickSize: '0.01'},
+    ltc_usd: {contractValue: 10, tickSize: '0.001'},
+    eth_usd: {contractValue: 10, tickSize: '0.001'},
+    etc_usd: {contractValue: 10, tickSize: '0.001'},
+    bch_usd: {contractValue: 10, tickSize: '0.001'},
+    btg_usd: {contractValue: 10, tickSize: '0.001'},
+    xrp_usd: {contractValue: 10, tickSize: '0.0001'},
+    eos_usd: {contractValue: 10, tickSize: '0.001'}
+};
+
+var DAY = 24 * 60 * 60 * 1000;
+
+// futures are delivered on Fridays at 08:00 UTC
+var DELIVERY_DAY = 5,
+    DELIVERY_HOUR = 8;
+
+/**
+ * Returns the symbol and contract type of a symbol in any of the common forms.
+ * eg BTC/USDT, btc-usdt and btc_usdt are btc_usdt. BTC-USD-QUARTER and btc_usd_this_week are futures contracts
+ * @param  {String}  input   The symbol
+ * @return {Object}          symbol in the OKEX form and contract_type if the input names a futures contract
+ */
+function parseSymbol(input) {
+    if (!_.isString(input)) return {symbol: input};
+
+    var parts = input.trim().toLowerCase().split(/[\/\-_ ]+/),
+        result = {},
+        contractType = null;
+
+    // contract types have an underscore so join the last two parts back up
+    var lastTwo = parts.slice(-2).join('_');
+
+    if (parts.length > 2 && _.contains(contractTypes, lastTwo)) {
+        contractType = lastTwo;
+        parts = parts.slice(0, -2);
+    }
+    else if (parts.length > 2 && _.contains(contractTypes, _.last(parts))) {
+        contractType = _.last(parts);
+        parts = parts.slice(0, -1);
+    }
+
+    result.symbol = parts.join('_');
+    if (contractType) result.contract_type = contractType;
+
+    return result;
+}
+
+function nextDelivery(from) {
+    var date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate(), DELIVERY_HOUR));
+    var days = (DELIVERY_DAY - date.getUTCDay() + 7) % 7;
+
+    date = new Date(date.getTime() + days * DAY);
+    if (date <= from) date = new Date(date.getTime() + 7 * DAY);
+
+    return date;
+}
+
+function lastFridayOfMonth(year, month) {
+    var date = new Date(Date.UTC(year, month + 1, 0, DELIVERY_HOUR));
+    var days = (date.getUTCDay() - DELIVERY_DAY + 7) % 7;
+
+    return new Date(date.getTime() - days * DAY);
+}
+
+/**
+ * Returns the delivery dates of the futures contracts
+ * @param  {Date}  now   optional time to calculate the dates from. Defaults to now
+ * @return {Object}      this_week, next_week and quarter delivery Dates
+ */
+function deliveryDates(now) {
+    now = now || new Date();
+
+    var thisWeek = nextDelivery(now),
+        nextWeek = new Date(thisWeek.getTime() + 7 * DAY),
+        quarterMonth = Math.floor(now.getUTCMonth() / 3) * 3 + 2,
+        quarter = lastFridayOfMonth(now.getUTCFullYear(), quarterMonth);
+
+    // the quarter contract always delivers after the next_week contract
+    if (quarter <= nextWeek) {
+        quarter = lastFridayOfMonth(now.getUTCFullYear(), quarterMonth + 3);
+    }
+
+    return {this_week: thisWeek, next_week: nextWeek, quarter: quarter};
+}
+
+// 3 -> 0.001
+function stepOfDigits(digits) {
+    digits = Number(digits);
+    return digits > 0 ? '0.' + new Array(digits).join('0') + '1' : '1';
+}
+
+/**
+ * Returns the instrument of a product from the OKEX spot products endpoint
+ * @param  {Object}  product   symbol, maxPriceDigit, maxSizeDigit and minTradeSize of a spot pair or
+ *                             instrument_id, tick_size, size_increment and min_size from the v3 API
+ * @return {Object}            instrument fields
+ */
+function fromProduct(product) {
+    if (_.has(product, 'instrument_id')) {
+        return {
+            symbol: parseSymbol(product.instrument_id).symbol,
+            type: 'spot',
+            tickSize: String(product.tick_size),
+            lotSize: String(product.size_increment),
+            minSize: String(product.min_size)
+        };
+    }
+
+    var instrument = {symbol: product.symbol, type: 'spot'};
+
+    if (_.has(product, 'maxPriceDigit')) instrument.tickSize = stepOfDigits(product.maxPriceDigit);
+    if (_.has(product, 'maxSizeDigit')) instrument.lotSize = stepOfDigits(product.maxSizeDigit);
+    if (_.has(product, 'minTradeSize')) instrument.minSize = String(product.minTradeSize);
+
+    return instrument;
+}
+
+/**
+ * Registry of spot symbols and futures contracts with their trading rules.
+ *
+ * Each instrument has
+ *  symbol, base, quote, type       spot or futures
+ *  tickSize, lotSize, minSize      as decimal strings
+ *  contractValue                   futures contract value in USD
+ *
+ * @param  {Object}  definitions   optional instruments keyed by symbol that override the loaded ones
+ * @param  {Object}  options       loader: function(callback) that gets the list of spot products from OKEX,
+ *                                 ttl: milliseconds to cache the loaded products. Defaults to an hour
+ */
+var InstrumentRegistry = function (definitions, options) {
+    options = options || {};
+
+    this.loader = options.loader;
+    this.ttl = options.ttl || 60 * 60 * 1000;
+    this.loadedAt = null;
+    this.pending = null;
+    this.instruments = {};
+
+    _.each(defaultFutures, function (future, symbol) {
+        this.add(symbol, _.extend({type: 'futures', lotSize: '1', minSize: '1'}, future));
+    }, this);
+
+    this.overrides = definitions || {};
+    _.each(this.overrides, function (definition, symbol) {
+        this.add(symbol, definition);
+    }, this);
+};
+
+InstrumentRegistry.parseSymbol = parseSymbol;
+InstrumentRegistry.deliveryDates = deliveryDates;
+InstrumentRegistry.fromProduct = fromProduct;
+
+/**
+ * Adds or updates an instrument
+ * @param  {String}  symbol       The symbol in any form. eg BTC/USDT
+ * @param  {Object}  definition   fields of the instrument
+ */
+InstrumentRegistry.prototype.add = function (symbol, definition) {
+    symbol = parseSymbol(symbol).symbol;
+
+    var currencies = symbol.split('_');
+
+    this.instruments[symbol] = _.extend({
+        symbol: symbol,
+        base: currencies[0],
+        quote: currencies[1],
+        type: 'spot'
+    }, this.instruments[symbol], definition);
+};
+
+/**
+ * Returns an instrument
+ * @param  {String}  symbol          The symbol in any form. eg BTC/USDT or BTC-USD-QUARTER
+ * @param  {String}  contract_type   optional futures contract type
+ * @return {Object}                  The instrument, with the contractType and deliveryDate of futures contracts,
+ *                                   or undefined if it is not known
+ */
+InstrumentRegistry.prototype.get = function (symbol, contract_type) {
+    var parsed = parseSymbol(symbol),
+        instrument = this.instruments[parsed.symbol];
+
+    contract_type = contract_type || parsed.contract_type;
+
+    if (!instrument || instrument.type != 'futures' || !contract_type) return instrument;
+
+    return _.extend({}, instrument, {
+        contractType: contract_type,
+        deliveryDate: deliveryDates()[contract_type]
+    });
+};
+
+InstrumentRegistry.prototype.list = function (type) {
+    return _.filter(_.values(this.instruments), function (instrument) {
+        return !type || instrument.type == type;
+    });
+};
+
+/**
+ * Loads the spot products from OKEX unless they were loaded within the ttl
+ * @param  {Function}  callback   called with an error or the registry
+ * @param  {Boolean}   force      true to load even if the cached products have not expired
+ */
+InstrumentRegistry.prototype.load = function (callback, force) {
+    var self = this;
+
+    if (!force && this.loadedAt && Date.now() - this.loadedAt < this.ttl) {
+        return callback(null, this);
+    }
+
+    if (!this.loader) {
+        return callback(new VError('InstrumentRegistry.load() needs a loader to get the products from OKEX'));
+    }
+
+    // share one request between callers loading at the same time
+    if (this.pending) return this.pending.push(callback);
+    this.pending = [callback];
+
+    this.loader(function (err, products) {
+        var callbacks = self.pending;
+        self.pending = null;
+
+        if (!err) {
+            _.each(products, function (product) {
+                var instrument = fromProduct(product);
+                self.add(instrument.symbol, instrument);
+            });
+            // definitions passed to the constructor win over the loaded products
+            _.each(self.overrides, function (definition, symbol) {
+                self.add(symbol, definition);
+            });
+            self.loadedAt = Date.now();
+        }
+
+        _.each(callbacks, function (done) {
+            done(err, self);
+        });
+    });
+};
+
+/**
+ * Returns the problems with the symbol, contract type and amount of a trading request
+ * @param  {String}  method   The OKEX API method
+ * @param  {Object}  params   The request parameters
+ * @return {Array}            problem messages. Empty when the request is valid or the registry has not been loaded
+ */
+InstrumentRegistry.prototype.check = function (method, params) {
+    var isFuture = method.indexOf('future_') === 0,
+        instrument = this.instruments[params.symbol],
+        problems = [];
+
+    if (!params.symbol || _.contains(lendingMethods, method) || _.contains(withdrawalMethods, method)) return problems;
+
+    if (!instrument) {
+        // spot symbols are only known once the products have been loaded. OKEX does not list its futures
+        if (!isFuture && this.loadedAt) problems.push('symbol ' + params.symbol + ' is not a known spot symbol');
+        return problems;
+    }
+
+    // the futures are known without loading the products. A spot request for a pair such as btc_usd is left to OKEX
+    if (!isFuture && instrument.type == 'futures') return problems;
+
+    if (isFuture && instrument.type != 'futures') {
+        problems.push('symbol ' + params.symbol + ' is a ' + instrument.type + ' symbol');
+        return problems;
+    }
+
+    var isOrder = method == 'trade' || method == 'future_trade';
+
+    if (isOrder && instrument.minSize && _.has(params, 'amount') && Number(params.amount) < Number(instrument.minSize)) {
+        problems.push('amount ' + params.amount + ' is less than the minimum order size ' + instrument.minSize + ' of ' + params.symbol);
+    }
+
+    return problems;
+};
+
+module.exports = InstrumentRegistry;
@@ -0,0 +1,191 @@
+const http = require('http');
+const url = require('url');
+const querystring = require('querystring');
+const _ = require('underscore');
+const VError = require('verror');
+const errors = require('./errors');
+const sign = require('./sign');
+const PaperExchange = require('./paper');
+
+// public methods that have no simulation. They return an empty list unless they have a fixture
+var defaultFixtures = {
+    trades: [],
+    kline: [],
+    future_trades: [],
+    future_kline: []
+};
+
+/**
+ * Local HTTP server that emulates the /api/v1/<method>.do routes of the OKEX v1 REST API,
+ * so the server argument of an OKEX client can point at localhost.
+ *
+ * Private requests are POSTs that must have the api_key of one of the keys and the md5 sign signMessage makes with
+ * its secret. Otherwise they get error 10005 or 10007 like OKEX.
+ * Methods answer with their fixture if they have one, or from a PaperExchange that simulates the ticker, depth,
+ * account and order methods. Errors can be scripted for the next requests of a method with failNext.
+ *
+ * eg var mock = new MockServer({keys: {key: 'secret'}});
+ *    mock.listen(0, function (err, server) { var client = new OKEX('key', 'secret', server); });
+ *
+ * @param  {Object}  options   optional keys: secrets keyed by api_key. Defaults to {key: 'secret'}
+ *                             fixtures: responses keyed by method. A fixture can be a function (params) that returns one
+ *                             exchange: PaperExchange or PaperExchange settings for the methods without fixtures
+ */
+var MockServer = function (options) {
+    options = options || {};
+
+    this.keys = options.keys || {key: 'secret'};
+    this.fixtures = _.extend({}, defaultFixtures, options.fixtures);
+    this.exchange = options.exchange instanceof PaperExchange ? options.exchange : new PaperExchange(options.exchange);
+
+    // scripted failures keyed by method. * fails any method
+    this.failures = {};
+    // {method, params, statusCode} of every request with the secrets redacted
+    this.requests = [];
+
+    this.server = http.createServer(this.handle.bind(this));
+};
+
+/**
+ * Starts listening on localhost
+ * @param  {Number}    port       0 for any free port
+ * @param  {Function}  callback   called with an error or the server url. eg http://127.0.0.1:3000
+ */
+MockServer.prototype.listen = function (port, callback) {
+    var server = this.server;
+
+    function onError(err) {
+        callback(new VError(err, 'MockServer.listen() could not listen on port %s', port));
+    }
+
+    server.once('error', onError);
+    server.listen(port || 0, '127.0.0.1', function () {
+        server.removeListener('error', onError);
+        callback(null, 'http://127.0.0.1:' + server.address().port);
+    });
+};
+
+MockServer.prototype.close = function (callback) {
+    this.server.close(callback);
+};
+
+/**
+ * Sets the response of a method
+ * @param  {String}           method     eg ticker or future_position
+ * @param  {Object|Function}  response   The response or a function (params) that returns it
+ */
+MockServer.prototype.fixture = function (method, response) {
+    this.fixtures[method] = response;
+};
+
+/**
+ * Fails the next requests of a method
+ * @param  {String}         method    The method or * for any method
+ * @param  {Number|Object}  failure   OKEX error code, or an HTTP status code below 1000. eg 10001, 20049 or 503.
+ *                                    Or {error_code} or {statusCode, body}
+ * @param  {Number}         times     number of requests to fail. Defaults to 1
+ */
+MockServer.prototype.failNext = function (method, failure, times) {
+    if (_.isNumber(failure)) failure = failure < 1000 ? {statusCode: failure} : {error_code: failure};
+
+    var queue = this.failures[method] || (this.failures[method] = []);
+
+    for (var i = 0; i < (times || 1); i++) {
+        queue.push(failure);
+    }
+};
+
+MockServer.prototype.handle = function (req, res) {
+    var self = this,
+        parsed = url.parse(req.url, true),
+        match = /^\/api\/v1\/([a-z0-9_]+)\.do$/.exec(parsed.pathname),
+        body = '';
+
+    req.on('data', function (chunk) {
+        body += chunk;
+    });
+
+    req.on('end', function () {
+        if (!match) {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            return res.end('Not Found');
+        }
+
+        var method = match[1],
+            isPrivate = req.method == 'POST',
+            params = isPrivate ? querystring.parse(body) : parsed.query;
+
+        function reply(statusCode, response) {
+            self.requests.push({method: method, params: errors.redactParams(params), statusCode: statusCode});
+
+            res.writeHead(statusCode, {'Content-Type': _.isString(response) ? 'text/plain' : 'application/json'});
+            res.end(_.isString(response) ? response : JSON.stringify(response));
+        }
+
+        var failure = self.nextFailure(method);
+        if (failure && failure.statusCode) {
+            return reply(failure.statusCode, failure.body || http.STATUS_CODES[failure.statusCode]);
+        }
+        if (failure) return reply(200, {result: false, error_code: failure.error_code});
+
+        if (isPrivate) {
+            var authError = self.authErrorOf(params);
+            if (authError) return reply(200, {result: false, error_code: authError});
+
+            params = _.omit(params, 'api_key', 'sign');
+        }
+
+        self.respond(method, params, isPrivate, function (err, statusCode, response) {
+            if (err) return reply(500, {result: false, error_code: 10002, message: err.message});
+            reply(statusCode, response);
+        });
+    });
+};
+
+MockServer.prototype.nextFailure = function (method) {
+    var queue = this.failures[method] && this.failures[method].length ? this.failures[method] : this.failures['*'];
+    return queue && queue.length ? queue.shift() : null;
+};
+
+/**
+ * Returns the OKEX error code of a private request with an unknown api_key or a sign that does not match, or null
+ */
+MockServer.prototype.authErrorOf = function (params) {
+    var secret = this.keys[params.api_key];
+    if (!params.api_key || _.isUndefined(secret)) return 10005;
+
+    return params.sign === sign.signMessage(_.omit(params, 'sign'), secret) ? null : 10007;
+};
+
+/**
+ * Answers a request with its fixture or from the PaperExchange
+ * @param  {String}    method
+ * @param  {Object}    params      The request parameters without the api_key and sign
+ * @param  {Boolean}   isPrivate
+ * @param  {Function}  callback    called with an error or the status code and response
+ */
+MockServer.prototype.respond = function (method, params, isPrivate, callback) {
+    var fixture = this.fixtures[method];
+
+    if (!_.isUndefined(fixture)) {
+        var response;
+
+        try {
+            response = _.isFunction(fixture) ? fixture(params) : fixture;
+        }
+        catch (err) {
+            return callback(err);
+        }
+
+        return callback(null, 200, response);
+    }
+
+    var built = this.exchange.buildRequest(method, params, isPrivate);
+    if (built instanceof Error) return callback(null, 404, 'Not Found');
+
+    this.exchange.send(built.options, function (err, response, data) {
+        callback(err, response && response.statusCode, data);
+    });
+};
+
+module.exports = MockServer;
@@ -0,0 +1,276 @@
+const _ = require('underscore');
+const helpers = require('./helpers');
+
+/**
+ * Normalized response models.
+ * Prices and amounts are numbers, timestamps are Dates and order types and statuses are named.
+ * Totals of several OKEX values are added up as decimals so they do not have floating point noise.
+ * Every model keeps the OKEX payload it was built from as raw.
+ */
+
+var OrderStatus = {
+    CANCELLED: 'cancelled',
+    OPEN: 'open',
+    PARTIALLY_FILLED: 'partially_filled',
+    FILLED: 'filled',
+    CANCELLING: 'cancelling'
+};
+
+// OKEX order status codes. Futures use 4 and 5 while a cancel is being processed
+var orderStatusCodes = {
+    '-1': OrderStatus.CANCELLED,
+    '0': OrderStatus.OPEN,
+    '1': OrderStatus.PARTIALLY_FILLED,
+    '2': OrderStatus.FILLED,
+    '3': OrderStatus.CANCELLING,
+    '4': OrderStatus.CANCELLING,
+    '5': OrderStatus.CANCELLING
+};
+
+var OrderType = {
+    BUY: 'buy',
+    SELL: 'sell',
+    BUY_MARKET: 'buy_market',
+    SELL_MARKET: 'sell_market',
+    OPEN_LONG: 'open_long',
+    OPEN_SHORT: 'open_short',
+    CLOSE_LONG: 'close_long',
+    CLOSE_SHORT: 'close_short'
+};
+
+var buyTypes = [OrderType.BUY, OrderType.BUY_MARKET, OrderType.OPEN_LONG, OrderType.CLOSE_SHORT];
+
+// OKEX futures order type codes
+var futureOrderTypes = {
+    '1': OrderType.OPEN_LONG,
+    '2': OrderType.OPEN_SHORT,
+    '3': OrderType.CLOSE_LONG,
+    '4': OrderType.CLOSE_SHORT
+};
+
+function toNumber(value) {
+    if (_.isUndefined(value) || _.isNull(value) || value === '') return null;
+    return Number(value);
+}
+
+// OKEX dates are milliseconds except the ticker and trade dates which are seconds
+function toDate(value, inSeconds) {
+    if (_.isUndefined(value) || _.isNull(value)) return null;
+    return new Date(Number(value) * (inSeconds ? 1000 : 1));
+}
+
+var Ticker = function (raw, symbol, contract_type) {
+    var ticker = raw.ticker || {};
+
+    this.symbol = symbol;
+    this.contractType = contract_type || null;
+    this.last = toNumber(ticker.last);
+    this.bid = toNumber(ticker.buy);
+    this.ask = toNumber(ticker.sell);
+    this.high = toNumber(ticker.high);
+    this.low = toNumber(ticker.low);
+    this.volume = toNumber(ticker.vol);
+    this.timestamp = toDate(raw.date, true);
+    this.raw = raw;
+};
+
+/**
+ * @param  {Array}  raw   [timestamp, open, high, low, close, volume] and for futures the volume in coins
+ */
+var Candle = function (raw, symbol, contract_type) {
+    this.symbol = symbol;
+    this.contractType = contract_type || null;
+    this.timestamp = toDate(raw[0]);
+    this.open = toNumber(raw[1]);
+    this.high = toNumber(raw[2]);
+    this.low = toNumber(raw[3]);
+    this.close = toNumber(raw[4]);
+    this.volume = toNumber(raw[5]);
+    this.coinVolume = raw.length > 6 ? toNumber(raw[6]) : null;
+    this.raw = raw;
+};
+
+var Trade = function (raw, symbol, contract_type) {
+    this.id = raw.tid;
+    this.symbol = symbol;
+    this.contractType = contract_type || null;
+    this.side = raw.type;
+    this.price = toNumber(raw.price);
+    this.amount = toNumber(raw.amount);
+    this.timestamp = raw.date_ms ? toDate(raw.date_ms) : toDate(raw.date, true);
+    this.raw = raw;
+};
+
+var Order = function (raw, contract_type) {
+    var isFuture = !!raw.contract_name || _.has(raw, 'lever_rate');
+
+    this.id = raw.order_id;
+    this.symbol = raw.symbol;
+    this.contractType = contract_type || null;
+    this.type = isFuture ? futureOrderTypes[raw.type] : raw.type;
+    this.side = _.contains(buyTypes, this.type) ? 'buy' : 'sell';
+    this.status = orderStatusCodes[raw.status] || null;
+    this.price = toNumber(raw.price);
+    this.amount = toNumber(raw.amount);
+    this.filledAmount = toNumber(raw.deal_amount);
+    this.averagePrice = toNumber(isFuture ? raw.price_avg : raw.avg_price);
+    this.fee = toNumber(raw.fee);
+    this.leverRate = toNumber(raw.lever_rate);
+    this.createdAt = toDate(raw.create_date);
+    this.raw = raw;
+};
+
+var Position = function (raw, side, liquidationPrice) {
+    var prefix = side == 'long' ? 'buy_' : 'sell_';
+
+    this.symbol = raw.symbol;
+    this.contractType = raw.contract_type;
+    this.contractId = raw.contract_id;
+    this.side = side;
+    this.amount = toNumber(raw[prefix + 'amount']);
+    this.available = toNumber(raw[prefix + 'available']);
+    this.averagePrice = toNumber(raw[prefix + 'price_avg']);
+    this.costPrice = toNumber(raw[prefix + 'price_cost']);
+    this.realizedProfit = toNumber(raw[prefix + 'profit_real']);
+    // fixed margin positions have their own margin and liquidation price
+    this.margin = toNumber(raw[prefix + 'bond']);
+    this.liquidationPrice = toNumber(_.has(raw, prefix + 'flatprice') ? raw[prefix + 'flatprice'] : liquidationPrice);
+    this.leverRate = toNumber(raw.lever_rate);
+    this.createdAt = toDate(raw.create_date);
+    this.raw = raw;
+};
+
+var Balance = function (raw, currency, fields) {
+    this.currency = currency;
+    this.free = null;
+    this.frozen = null;
+    this.total = null;
+    _.extend(this, fields);
+    this.raw = raw;
+};
+
+function spotBalances(data) {
+    var funds = (data.info && data.info.funds) || {},
+        free = funds.free || {},
+        frozen = funds.freezed || {};
+
+    return _.map(_.union(_.keys(free), _.keys(frozen)), function (currency) {
+        return new Balance(funds, currency, {
+            free: toNumber(free[currency]) || 0,
+            frozen: toNumber(frozen[currency]) || 0,
+            total: helpers.sum([free[currency], frozen[currency]])
+        });
+    });
+}
+
+function futureBalances(data) {
+    return _.map(data.info || {}, function (info, currency) {
+        // cross margin accounts have account_rights, fixed margin accounts have rights and contracts
+        var isFixed = _.has(info, 'contracts');
+
+        return new Balance(info, currency, {
+            free: toNumber(isFixed ? info.balance : null),
+            total: toNumber(isFixed ? info.rights : info.account_rights),
+            margin: isFixed ? helpers.sum(_.pluck(info.contracts, 'bond')) : toNumber(info.keep_deposit),
+            realizedProfit: toNumber(info.profit_real),
+            unrealizedProfit: toNumber(info.profit_unreal),
+            riskRate: toNumber(info.risk_rate)
+        });
+    });
+}
+
+function positions(data) {
+    return _.flatten(_.map(data.holding || [], function (holding) {
+        return _.compact(_.map(['long', 'short'], function (side) {
+            var amount = Number(holding[(side == 'long' ? 'buy_' : 'sell_') + 'amount']);
+            return amount > 0 ? new Position(holding, side, data.force_liqu_price) : null;
+        }));
+    }), true);
+}
+
+function orders(data, params) {
+    return _.map(data.orders || [], function (order) {
+        return new Order(order, params.contract_type);
+    });
+}
+
+function candles(data, params) {
+    return _.map(data, function (candle) {
+        return new Candle(candle, params.symbol, params.contract_type);
+    });
+}
+
+function trades(data, params) {
+    return _.map(data, function (trade) {
+        return new Trade(trade, params.symbol, params.contract_type);
+    });
+}
+
+/**
+ * Converts a response to models for each OKEX API method
+ */
+var normalizers = {
+    ticker: function (data, params) {
+        return new Ticker(data, params.symbol);
+    },
+    future_ticker: function (data, params) {
+        return new Ticker(data, params.symbol, params.contract_type);
+    },
+    kline: candles,
+    future_kline: candles,
+    trades: trades,
+    future_trades: trades,
+    trade_history: trades,
+    future_trades_history: trades,
+    order_info: orders,
+    orders_info: orders,
+    order_history: orders,
+    future_order_info: orders,
+    future_orders_info: orders,
+    userinfo: spotBalances,
+    future_userinfo: futureBalances,
+    future_userinfo_4fix: futureBalances,
+    future_position: positions,
+    future_position_4fix: positions
+};
+
+/**
+ * Converts the response of an OKEX API method to models
+ * @param  {String}  method   The OKEX API method. eg ticker or future_position
+ * @param  {Object}  data     The OKEX response
+ * @param  {Object}  params   The request parameters
+ * @return {Object}           a model or array of models with the response as raw.
+ *                            Responses of methods without models are returned as they are
+ */
+function normalize(method, data, params) {
+    var normalizer = normalizers[method];
+    if (!normalizer || !_.isObject(data)) return data;
+
+    var result = normalizer(data, params || {});
+
+    if (_.isArray(result)) result.raw = data;
+
+    return result;
+}
+
+/**
+ * Returns the OKEX response a normalized result was built from
+ * @param  {Object}  result   a model, array of models or OKEX response
+ * @return {Object}           The OKEX response
+ */
+function rawOf(result) {
+    return result && _.has(result, 'raw') ? result.raw : result;
+}
+
+module.exports = {
+    OrderStatus: OrderStatus,
+    OrderType: OrderType,
+    Ticker: Ticker,
+    Candle: Candle,
+    Trade: Trade,
+    Order: Order,
+    Position: Position,
+    Balance: Balance,
+    normalize: normalize,
+    rawOf: rawOf
+};
@@ -0,0 +1,188 @@
+const _ = require('underscore');
+const VError = require('verror');
+const decimals = require('./decimals');
+
+/**
+ * Locally maintained order book of a spot symbol or futures contract.
+ * Levels are kept as {price, amount} objects with asks sorted from the lowest price and bids from the highest.
+ * Prices and amounts are numbers. The spread, mid price, vwap and depth are worked out as decimals so they do not add
+ * floating point noise like 0.1 + 0.2 = 0.30000000000000004.
+ * @param  {String}  symbol          eg iota_btc or btc_usd
+ * @param  {String}  contract_type   optional this_week, next_week or quarter for futures books
+ */
+var OrderBook = function (symbol, contract_type) {
+    this.symbol = symbol;
+    this.contract_type = contract_type;
+    this.asks = [];
+    this.bids = [];
+    this.timestamp = null;
+};
+
+/**
+ * Returns a new order book from a getDepth or getFutureDepth response
+ * @param  {Object}  depth           response with asks and bids arrays of [price, amount, ...]
+ * @param  {String}  symbol
+ * @param  {String}  contract_type   optional futures contract type
+ * @return {OrderBook}
+ */
+OrderBook.fromDepth = function (depth, symbol, contract_type) {
+    return new OrderBook(symbol, contract_type).applySnapshot(depth);
+};
+
+/**
+ * Replaces all levels with a depth snapshot
+ * @param  {Object}  depth   asks and bids arrays of [price, amount, ...]. The OKEX ordering does not matter
+ * @return {OrderBook}       this order book
+ */
+OrderBook.prototype.applySnapshot = function (depth) {
+    if (!depth || !_.isArray(depth.asks) || !_.isArray(depth.bids)) {
+        throw new VError('OrderBook.applySnapshot() depth %s must have asks and bids arrays', JSON.stringify(depth));
+    }
+
+    this.asks = sortLevels(_.map(depth.asks, toLevel), 'asks');
+    this.bids = sortLevels(_.map(depth.bids, toLevel), 'bids');
+    this.timestamp = depth.timestamp || Date.now();
+
+    return this;
+};
+
+/**
+ * Applies incremental level changes. A level with an amount of 0 is removed
+ * @param  {Object}  diff   optional asks and bids arrays of [price, amount, ...] with the new amount of each price
+ * @return {OrderBook}      this order book
+ */
+OrderBook.prototype.applyUpdate = function (diff) {
+    _.each(diff.asks || [], function (level) {
+        setLevel(this.asks, toLevel(level), 'asks');
+    }, this);
+    _.each(diff.bids || [], function (level) {
+        setLevel(this.bids, toLevel(level), 'bids');
+    }, this);
+
+    this.timestamp = diff.timestamp || Date.now();
+
+    return this;
+};
+
+OrderBook.prototype.bestBid = function () {
+    return this.bids[0] || null;
+};
+
+OrderBook.prototype.bestAsk = function () {
+    return this.asks[0] || null;
+};
+
+/**
+ * @return {Number}   best ask price less the best bid price or null if either side is empty
+ */
+OrderBook.prototype.spread = function () {
+    if (!this.asks.length || !this.bids.length) return null;
+    return Number(toBig(this.asks[0].price).minus(toBig(this.bids[0].price)));
+};
+
+/**
+ * @return {Number}   price half way between the best bid and ask or null if either side is empty
+ */
+OrderBook.prototype.midPrice = function () {
+    if (!this.asks.length || !this.bids.length) return null;
+    return Number(toBig(this.asks[0].price).plus(toBig(this.bids[0].price)).div(2));
+};
+
+/**
+ * Returns the average price of filling an amount against the book
+ * @param  {String}             side     buy to fill against the asks or sell to fill against the bids
+ * @param  {Number|String|Big}  amount   The amount to fill
+ * @return {Number}                      volume weighted price or null if the book is not deep enough
+ */
+OrderBook.prototype.vwap = function (side, amount) {
+    var levels = levelsFor(this, side),
+        total = toBig(amount),
+        remaining = total,
+        cost = new decimals.Big(0);
+
+    for (var i = 0; i < levels.length && remaining.gt(0); i++) {
+        var available = toBig(levels[i].amount),
+            filled = remaining.lt(available) ? remaining : available;
+
+        cost = cost.plus(filled.times(toBig(levels[i].price)));
+        remaining = remaining.minus(filled);
+    }
+
+    if (remaining.gt(0) || total.lte(0)) return null;
+
+    return Number(cost.div(total));
+};
+
+/**
+ * Returns the total amount available up to and including a price
+ * @param  {String}  side    buy to add up the asks at or below the price, sell to add up the bids at or above it
+ * @param  {Number}  price   The limit price
+ * @return {Number}          cumulative amount
+ */
+OrderBook.prototype.depthTo = function (side, price) {
+    var levels = levelsFor(this, side),
+        total = new decimals.Big(0);
+
+    for (var i = 0; i < levels.length; i++) {
+        if (side == 'buy' ? levels[i].price > price : levels[i].price < price) break;
+        total = total.plus(toBig(levels[i].amount));
+    }
+
+    return Number(total);
+};
+
+function levelsFor(book, side) {
+    if (side == 'buy') return book.asks;
+    if (side == 'sell') return book.bids;
+    throw new VError('OrderBook side %s must be buy or sell', side);
+}
+
+// prices and amounts that are not decimals count as 0
+function toBig(value) {
+    return decimals.toDecimal(value) || new decimals.Big(0);
+}
+
+function toLevel(level) {
+    return {
+        price: Number(level[0]),
+        amount: Number(level[1])
+    };
+}
+
+function sortLevels(levels, side) {
+    levels = _.filter(levels, function (level) {
+        return level.amount > 0;
+    });
+
+    return _.sortBy(levels, function (level) {
+        return side == 'asks' ? level.price : -level.price;
+    });
+}
+
+function setLevel(levels, level, side) {
+    // binary search for the index of the price, or where it would be inserted
+    var low = 0,
+        high = levels.length;
+
+    while (low < high) {
+        var middle = (low + high) >>> 1;
+        var before = side == 'asks' ? levels[middle].price < level.price : levels[middle].price > level.price;
+
+        if (before) low = middle + 1;
+        else high = middle;
+    }
+
+    var exists = low < levels.length && levels[low].price == level.price;
+
+    if (level.amount <= 0) {
+        if (exists) levels.splice(low, 1);
+    }
+    else if (exists) {
+        levels[low].amount = level.amount;
+    }
+    else {
+        levels.splice(low, 0, level);
+    }
+}
+
+module.exports = OrderBook;
@@ -0,0 +1,368 @@
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
+const _ = require('underscore');
+const VError = require('verror');
+const errors = require('./errors');
+const models = require('./models');
+const promises = require('./promises');
+
+var defaults = {
+    pollInterval: 2000,     // milliseconds between polls of the open orders
+    batchSize: 50           // order ids per getOrdersInfo or getFutureOrdersInfo request. OKEX allows up to 50
+};
+
+var OrderStatus = models.OrderStatus;
+
+/**
+ * Places orders and tracks them until they are filled or cancelled by polling OKEX for the open orders in batches.
+ * Polling starts when an order is tracked and stops when no tracked orders are open.
+ *
+ * Emits
+ *  accepted         (order) after OKEX accepts an order
+ *  partiallyFilled  (order) when the filled amount of an open order grows
+ *  filled           (order)
+ *  cancelled        (order) including the filled amount if it was partially filled
+ *  rejected         (error, params) when OKEX rejects an order with an ExchangeError
+ *  update           (order) for every change of a tracked order
+ *  error            (error) when placing an order fails any other way, eg a network error that leaves it unknown
+ *                   whether it was placed, or when polling or cancelling fails.
+ *                   Errors are dropped when nothing listens to error
+ *
+ * Orders are models.Order with the filledAmount and averagePrice of all the fills so far.
+ * The order responses are read in their v1 shapes so the client must use the v1 API.
+ *
+ * @param  {OKEX}    client    The client to place orders with
+ * @param  {Object}  options   pollInterval and batchSize
+ */
+var OrderManager = function (client, options) {
+    EventEmitter.call(this);
+
+    if (client.transport && client.transport.version != 'v1') {
+        throw new VError('OrderManager() needs the v1 API, not %s', client.transport.version);
+    }
+
+    this.client = client;
+    this.options = _.extend({}, defaults, options);
+
+    this.orders = {};
+    this.timer = null;
+    this.polling = false;
+    this.stopped = false;
+};
+util.inherits(OrderManager, EventEmitter);
+
+/**
+ * Places a spot order and tracks it. See OKEX.addTrade
+ * @param callback  called with an error or the tracked order
+ * @param symbol
+ * @param type  buy, sell, buy_market or sell_market
+ * @param amount
+ * @param price
+ */
+OrderManager.prototype.placeOrder = function placeOrder(callback, symbol, type, amount, price) {
+    var params = _.omit({symbol: symbol, type: type, amount: amount, price: price}, _.isUndefined);
+
+    this.place(this.client.addTrade, params, null, callback);
+};
+
+/**
+ * Places a futures order and tracks it. See OKEX.addFutureTrade
+ * @param callback  called with an error or the tracked order
+ * @param symbol
+ * @param type  1:开多 2:开空 3:平多 4:平空
+ * @param amount
+ * @param price
+ * @param match_price
+ * @param contract_type  defaults to the defaultContractType option of the client
+ * @param lever_rate
+ */
+OrderManager.prototype.placeFutureOrder = function placeFutureOrder(callback, symbol, type, amount, price, match_price,
+                                                                    contract_type, lever_rate) {
+    var params = _.omit({
+        symbol: symbol,
+        type: type,
+        amount: amount,
+        price: price,
+        match_price: match_price,
+        contract_type: contract_type,
+        lever_rate: lever_rate || 10
+    }, _.isUndefined);
+
+    this.place(this.client.addFutureTrade, params, contract_type || defaultContractTypeOf(this.client), callback);
+};
+
+OrderManager.prototype.place = function (addOrder, params, contract_type, callback) {
+    var self = this;
+
+    addOrder.call(this.client, function (err, data) {
+        if (err) {
+            if (err instanceof errors.ExchangeError) self.emit('rejected', err, params);
+            else self.emitError(err);
+            return callback(err);
+        }
+
+        var order = self.track(models.rawOf(data).order_id, params.symbol, contract_type, _.extend({
+            status: 0,
+            deal_amount: 0,
+            create_date: Date.now()
+        }, params));
+
+        self.emit('accepted', order);
+        callback(null, order);
+    }, params);
+};
+
+/**
+ * Tracks an order that was placed some other way
+ * @param  {String}  order_id
+ * @param  {String}  symbol
+ * @param  {String}  contract_type   contract type of a futures order
+ * @param  {Object}  raw             optional OKEX order fields known so far
+ * @return {Order}                   The tracked order
+ */
+OrderManager.prototype.track = function (order_id, symbol, contract_type, raw) {
+    var order = new models.Order(_.extend({status: 0, deal_amount: 0}, raw, {order_id: order_id, symbol: symbol}),
+        contract_type);
+
+    // futures orders are told apart by their lever rate
+    if (contract_type && !_.has(order.raw, 'lever_rate')) order.raw.lever_rate = 10;
+
+    this.orders[order_id] = order;
+    this.stopped = false;
+    this.schedulePoll();
+
+    return order;
+};
+
+OrderManager.prototype.get = function (order_id) {
+    return this.orders[order_id];
+};
+
+OrderManager.prototype.openOrders = function () {
+    return _.filter(_.values(this.orders), isOpen);
+};
+
+/**
+ * Cancels a tracked order. The cancelled event is emitted when a poll sees the order cancelled
+ * @param callback
+ * @param order_id
+ */
+OrderManager.prototype.cancel = function cancel(callback, order_id) {
+    var self = this,
+        order = this.orders[order_id];
+
+    if (!order) return callback(new VError('OrderManager.cancel() order %s is not tracked', order_id));
+
+    function cancelled(err, data) {
+        if (!err) {
+            self.stopped = false;
+            self.schedulePoll(0);
+        }
+        callback(err, data);
+    }
+
+    if (order.contractType) this.client.cancelFutureOrder(cancelled, order.symbol, order_id, order.contractType);
+    else this.client.cancelOrder(cancelled, order.symbol, order_id);
+};
+
+/**
+ * Cancels an order if it is still open after a timeout
+ * @param  {String}  order_id
+ * @param  {Number}  timeout    milliseconds
+ */
+OrderManager.prototype.cancelAfter = function (order_id, timeout) {
+    var self = this;
+
+    setTimeout(function () {
+        var order = self.orders[order_id];
+        if (!order || !isOpen(order)) return;
+
+        self.cancel(function (err) {
+            if (err) self.emitError(err);
+        }, order_id);
+    }, timeout);
+};
+
+/**
+ * Waits until a tracked order is filled
+ * @param callback  called with the filled order, or an error if the order is cancelled or not filled within the timeout.
+ *                  The error has the order
+ * @param order_id
+ * @param timeout  optional milliseconds to wait
+ */
+OrderManager.prototype.waitForFill = function waitForFill(callback, order_id, timeout) {
+    var self = this,
+        functionName = 'OrderManager.waitForFill()',
+        order = this.orders[order_id],
+        timer = null;
+
+    if (!order) return callback(new VError('%s order %s is not tracked', functionName, order_id));
+
+    function done(err, result) {
+        clearTimeout(timer);
+        self.removeListener('update', onUpdate);
+
+        if (err) err.order = result;
+        callback(err, err ? undefined : result);
+    }
+
+    function onUpdate(updated) {
+        if (updated.id != order_id) return;
+
+        if (updated.status == OrderStatus.FILLED) done(null, updated);
+        else if (updated.status == OrderStatus.CANCELLED) {
+            done(new VError('%s order %s was cancelled', functionName, order_id), updated);
+        }
+    }
+
+    if (order.status == OrderStatus.FILLED) return callback(null, order);
+    if (order.status == OrderStatus.CANCELLED) {
+        return done(new VError('%s order %s was cancelled', functionName, order_id), order);
+    }
+
+    this.on('update', onUpdate);
+
+    if (timeout) {
+        timer = setTimeout(function () {
+            done(new VError('%s order %s was not filled within %s milliseconds', functionName, order_id, timeout),
+                self.orders[order_id]);
+        }, timeout);
+    }
+};
+
+/**
+ * Stops polling. A poll in flight is not scheduled again. Polling starts again when an order is tracked or cancelled
+ */
+OrderManager.prototype.stop = function () {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+};
+
+OrderManager.prototype.schedulePoll = function (delay) {
+    var self = this;
+
+    if (this.timer && delay !== 0) return;
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(function () {
+        self.timer = null;
+        self.poll();
+    }, _.isUndefined(delay) ? this.options.pollInterval : delay);
+};
+
+/**
+ * Gets the open orders from OKEX in batches of each symbol and updates them
+ */
+OrderManager.prototype.poll = function () {
+    var self = this;
+
+    if (this.polling) return;
+
+    var batches = _.flatten(_.map(_.groupBy(this.openOrders(), function (order) {
+        return order.symbol + ' ' + (order.contractType || '');
+    }), function (orders) {
+        return _.map(chunk(orders, self.options.batchSize), queriesOf);
+    }), true);
+
+    if (!batches.length) return;
+
+    var pending = batches.length;
+    this.polling = true;
+
+    _.each(batches, function (query) {
+        query.call(self, function (err, data) {
+            if (err) self.emitError(err);
+            else _.each(models.rawOf(data).orders || [], self.update, self);
+
+            if (--pending > 0) return;
+
+            self.polling = false;
+            if (!self.stopped && self.openOrders().length) self.schedulePoll();
+        });
+    });
+};
+
+/**
+ * Updates a tracked order from an OKEX order and emits the events of the changes
+ * @param  {Object}  raw   OKEX order from getOrdersInfo or getFutureOrdersInfo
+ */
+OrderManager.prototype.update = function (raw) {
+    var previous = this.orders[raw.order_id];
+    if (!previous) return;
+
+    var order = new models.Order(raw, previous.contractType);
+    if (order.status == previous.status && order.filledAmount == previous.filledAmount) return;
+
+    this.orders[raw.order_id] = order;
+
+    if (order.status == OrderStatus.FILLED) this.emit('filled', order);
+    else if (order.status == OrderStatus.CANCELLED) this.emit('cancelled', order);
+    else if (order.filledAmount > previous.filledAmount) this.emit('partiallyFilled', order);
+
+    this.emit('update', order);
+};
+
+OrderManager.prototype.emitError = function (err) {
+    // an error event without listeners would throw out of the poll timer
+    if (this.listenerCount('error')) this.emit('error', err);
+};
+
+// the contract type addFutureTrade uses for orders without one
+function defaultContractTypeOf(client) {
+    var options = client.options || {};
+    return _.has(options, 'defaultContractType') ? options.defaultContractType : 'quarter';
+}
+
+// returns the function that requests a batch of orders of the same symbol
+function queriesOf(orders) {
+    var first = orders[0],
+        ids = _.pluck(orders, 'id').join(',');
+
+    if (first.contractType) {
+        return function (callback) {
+            this.client.getFutureOrdersInfo(callback, first.symbol, ids, first.contractType);
+        };
+    }
+
+    // getOrdersInfo gets either the unfilled (0) or filled (1) orders of the ids. The filled ones are only requested
+    // for the ids that are no longer unfilled, so a poll where no order was filled or cancelled is one request
+    return function (callback) {
+        var client = this.client;
+
+        client.getOrdersInfo(function (err, data) {
+            if (err) return callback(err);
+
+            var open = models.rawOf(data).orders || [],
+                closedIds = _.difference(_.map(_.pluck(orders, 'id'), String), _.map(_.pluck(open, 'order_id'), String));
+
+            if (!closedIds.length) return callback(null, {orders: open});
+
+            client.getOrdersInfo(function (err, data) {
+                if (err) return callback(err);
+                callback(null, {orders: open.concat(models.rawOf(data).orders || [])});
+            }, first.symbol, 1, closedIds.join(','));
+        }, first.symbol, 0, ids);
+    };
+}
+
+function chunk(list, size) {
+    var chunks = [];
+
+    for (var i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+
+    return chunks;
+}
+
+function isOpen(order) {
+    return order.status != OrderStatus.FILLED && order.status != OrderStatus.CANCELLED;
+}
+
+// methods that take a callback first return a Promise when called without one
+_.each(['placeOrder', 'placeFutureOrder', 'cancel', 'waitForFill'], function (name) {
+    OrderManager.prototype[name] = promises.callbackOrPromise(OrderManager.prototype[name]);
+});
+
+module.exports = OrderManager;
@@ -0,0 +1,229 @@
+const _ = require('underscore');
+const VError = require('verror');
+const models = require('./models');
+
+/**
+ * History methods that can be walked to the end.
+ *
+ * Each has
+ *  paging       page to walk current_page with page_length items, or since to walk a trade id cursor
+ *  pageLength   largest page_length OKEX allows
+ *  items        function that returns the items of a response
+ *  id           function that returns the unique key of an item, or null if items cannot be told apart
+ *  date         function that returns the time of an item in milliseconds
+ *  newestFirst  true if the pages go back in time
+ */
+var sources = {
+    getOrderHistory: {
+        paging: 'page',
+        pageLength: 200,
+        items: function (data) {
+            return data.orders || [];
+        },
+        id: function (order) {
+            return order.order_id;
+        },
+        date: function (order) {
+            return order.create_date;
+        },
+        newestFirst: true
+    },
+    getAccountRecords: {
+        paging: 'page',
+        pageLength: 50,
+        items: function (data) {
+            return data.records || [];
+        },
+        // records do not have an id and the same transfer can be recorded twice, so they are not deduplicated
+        id: null,
+        date: function (record) {
+            return record.addTime;
+        },
+        newestFirst: true
+    },
+    getTradeHistory: {
+        paging: 'since',
+        items: function (data) {
+            return _.isArray(data) ? data : [];
+        },
+        id: function (trade) {
+            return trade.tid;
+        },
+        date: function (trade) {
+            return trade.date_ms || trade.date * 1000;
+        },
+        newestFirst: false
+    }
+};
+
+/**
+ * Async iterator over every item of a history method. Pages are requested one at a time as the items are used,
+ * so the requests go through the rate limiter of the client like any other request.
+ * Items that show up again on a later page, eg after new orders shift the pages, are skipped. Account records have no
+ * id so they are all returned.
+ *
+ * The pages are read in their v1 shapes so the client must use the v1 API.
+ *
+ * eg for await (const order of new HistoryIterator(client, 'getOrderHistory', {symbol: 'btc_usdt', status: 1})) {}
+ *
+ * @param  {OKEX}    client    The client to request the pages with
+ * @param  {String}  method    getOrderHistory, getAccountRecords or getTradeHistory
+ * @param  {Object}  params    The parameters of the method. since of getTradeHistory defaults to 0
+ * @param  {Object}  options   optional limit: most items to return,
+ *                             from and to: Dates or milliseconds of the oldest and newest items to return
+ */
+var HistoryIterator = function (client, method, params, options) {
+    if (!sources[method]) {
+        throw new VError('HistoryIterator() method %s must be one of %s', method, _.keys(sources).join(', '));
+    }
+    if (client.transport && client.transport.version != 'v1') {
+        throw new VError('HistoryIterator() needs the v1 API, not %s', client.transport.version);
+    }
+
+    options = options || {};
+
+    this.client = client;
+    this.method = method;
+    this.source = sources[method];
+    this.params = _.clone(params || {});
+    this.limit = options.limit || Infinity;
+    this.from = _.isUndefined(options.from) ? -Infinity : Number(options.from);
+    this.to = _.isUndefined(options.to) ? Infinity : Number(options.to);
+
+    if (this.source.paging == 'page') {
+        this.params.current_page = this.params.current_page || 1;
+        this.params.page_length = this.params.page_length || this.source.pageLength;
+    }
+    else {
+        this.params.since = this.params.since || 0;
+    }
+
+    this.buffer = [];
+    this.seen = {};
+    this.count = 0;
+    this.finished = false;
+    // the page being requested. Calls of next while it is requested wait for it instead of requesting it again
+    this.pending = null;
+};
+
+if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+    HistoryIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+
+/**
+ * @return {Promise}   resolves with {value, done} like an async iterator. Calls made before the last one resolves
+ *                     get the items in the order they were called
+ */
+HistoryIterator.prototype.next = function () {
+    var self = this;
+
+    if (this.pending) {
+        return this.pending.then(function () {
+            return self.next();
+        });
+    }
+
+    if (this.buffer.length) return Promise.resolve({value: this.buffer.shift(), done: false});
+    if (this.finished) return Promise.resolve({value: undefined, done: true});
+
+    this.pending = new Promise(function (resolve, reject) {
+        self.fetchPage(function (err) {
+            if (err) return reject(err);
+            resolve();
+        });
+    }).then(function () {
+        self.pending = null;
+    }, function (err) {
+        self.pending = null;
+        throw err;
+    });
+
+    return this.pending.then(function () {
+        return self.next();
+    });
+};
+
+HistoryIterator.prototype.return = function () {
+    this.finished = true;
+    this.buffer = [];
+    return Promise.resolve({value: undefined, done: true});
+};
+
+/**
+ * Requests the next page and adds its new items within the date range to the buffer
+ * @param  {Function}  callback   called with an error or nothing
+ */
+HistoryIterator.prototype.fetchPage = function (callback) {
+    var self = this,
+        source = this.source;
+
+    this.client[this.method](function (err, result) {
+        if (err) return callback(err);
+
+        var rawItems = source.items(models.rawOf(result)),
+            // normalized results are models in the same order as the raw items
+            items = _.isArray(result) && result.raw ? result : rawItems,
+            passedRange = false;
+
+        _.each(rawItems, function (raw, i) {
+            var id = source.id ? source.id(raw) : null,
+                date = Number(source.date(raw));
+
+            if (id !== null) {
+                if (self.seen[id]) return;
+                self.seen[id] = true;
+            }
+
+            if (source.newestFirst ? date < self.from : date > self.to) passedRange = true;
+            if (date < self.from || date > self.to || self.count >= self.limit) return;
+
+            self.buffer.push(items[i]);
+            self.count++;
+        });
+
+        if (source.paging == 'page') self.params.current_page++;
+        else if (rawItems.length) self.params.since = _.max(_.map(rawItems, source.id));
+
+        // pages shorter than the page length are the last page. The since cursor ends when there are no newer trades
+        var lastPage = source.paging == 'page' ? rawItems.length < self.params.page_length : !rawItems.length;
+
+        self.finished = lastPage || passedRange || self.count >= self.limit;
+
+        callback();
+    }, this.params);
+};
+
+/**
+ * Returns every item of a history method
+ * @param  {OKEX}      client     The client to request the pages with
+ * @param  {String}    method     getOrderHistory, getAccountRecords or getTradeHistory
+ * @param  {Object}    params     The parameters of the method
+ * @param  {Object}    options    limit, from and to. See HistoryIterator
+ * @param  {Function}  callback   called with an error or the array of items
+ */
+function collect(client, method, params, options, callback) {
+    var iterator = new HistoryIterator(client, method, params, options),
+        items = [];
+
+    function nextPage() {
+        iterator.fetchPage(function (err) {
+            if (err) return callback(err);
+
+            items = items.concat(iterator.buffer);
+            iterator.buffer = [];
+
+            if (iterator.finished) return callback(null, items);
+            nextPage();
+        });
+    }
+
+    nextPage();
+}
+
+module.exports = {
+    sources: sources,
+    HistoryIterator: HistoryIterator,
+    collect: collect
+};
@@ -0,0 +1,777 @@
+const util = require('util');
+const _ = require('underscore');
+const errors = require('./errors');
+const transports = require('./transports');
+const OrderBook = require('./orderbook');
+const InstrumentRegistry = require('./instruments');
+const decimals = require('./decimals');
+const helpers = require('./helpers');
+
+var Big = decimals.Big,
+    ZERO = new Big(0);
+
+var defaultFees = {
+    spot: {maker: '0.001', taker: '0.0015'},
+    futures: {maker: '0.0002', taker: '0.0003'}
+};
+
+// futures order types 1:开多 2:开空 3:平多 4:平空
+var futureSides = {1: 'buy', 2: 'sell', 3: 'sell', 4: 'buy'};
+
+/**
+ * Simulated OKEX exchange for paper trading. It is a transport (see transports.js) so the OKEX client
+ * validates, rate limits and maps the errors of simulated requests the same as real ones.
+ *
+ * Orders are matched against order books fed with updateDepth, or with the depth responses of the marketData transport.
+ * Orders that cross the book take liquidity at the book prices and pay the taker fee.
+ * The rest of a limit order waits in the book and fills at its own price with the maker fee
+ * when later depth or trades cross it.
+ *
+ * Spot fees are paid in the currency received. Futures are cross margin with the margin and fees in the coin
+ * and profits of contracts worth contractValue USD each.
+ *
+ * @param  {Object}  options   optional settings
+ *                             balances: spot balances keyed by currency. eg {btc: 1, usdt: 10000}
+ *                             futureBalances: futures account balances keyed by coin. eg {btc: 1}
+ *                             fees: maker and taker fee rates of spot and futures. eg {spot: {maker: 0.001, taker: 0.002}}
+ *                             instruments: InstrumentRegistry with the futures contract values
+ *                             marketData: transport that public requests are sent to. eg the v1 transport of a client
+ */
+var PaperExchange = function (options) {
+    options = options || {};
+
+    this.instruments = options.instruments || new InstrumentRegistry();
+    this.marketData = options.marketData || null;
+    this.fees = {
+        spot: _.extend({}, defaultFees.spot, options.fees && options.fees.spot),
+        futures: _.extend({}, defaultFees.futures, options.fees && options.fees.futures)
+    };
+
+    this.books = {};
+    this.orders = {};
+    this.nextOrderId = 1;
+    this.positions = {};
+
+    this.balances = {};
+    _.each(options.balances, function (amount, currency) {
+        this.balances[currency] = {free: toBig(amount), freezed: ZERO};
+    }, this);
+
+    this.futureAccounts = {};
+    _.each(options.futureBalances, function (amount, coin) {
+        this.futureAccounts[coin] = {balance: toBig(amount), orderMargin: ZERO, profitReal: ZERO};
+    }, this);
+};
+
+PaperExchange.prototype.version = 'v1';
+
+//
+// Market data
+//
+
+/**
+ * Replaces the order book of a symbol and fills the waiting orders it crosses
+ * @param  {String}  symbol          eg btc_usdt
+ * @param  {Object}  depth           asks and bids arrays of [price, amount] like a getDepth response
+ * @param  {String}  contract_type   optional futures contract type
+ */
+PaperExchange.prototype.updateDepth = function (symbol, depth, contract_type) {
+    var book = this.bookOf(symbol, contract_type);
+
+    book.applySnapshot(depth);
+
+    _.each(this.openOrders(symbol, contract_type), function (order) {
+        this.match(order, book, true);
+    }, this);
+};
+
+/**
+ * Fills the waiting orders that trades crossed
+ * @param  {String}  symbol          eg btc_usdt
+ * @param  {Array}   trades          trades with price and amount like a getTrades response
+ * @param  {String}  contract_type   optional futures contract type
+ */
+PaperExchange.prototype.applyTrades = function (symbol, trades, contract_type) {
+    _.each(trades, function (trade) {
+        var price = toBig(trade.price),
+            remaining = toBig(trade.amount);
+
+        _.each(this.openOrders(symbol, contract_type), function (order) {
+            var crosses = order.side == 'buy' ? order.price.gte(price) : order.price.lte(price);
+            if (!crosses || remaining.lte(0)) return;
+
+            var amount = minBig(remaining, order.amount.minus(order.filled));
+
+            this.fill(order, order.price, amount, true);
+            remaining = remaining.minus(amount);
+        }, this);
+    }, this);
+};
+
+PaperExchange.prototype.bookOf = function (symbol, contract_type) {
+    var key = bookKey(symbol, contract_type);
+
+    if (!this.books[key]) this.books[key] = new OrderBook(symbol, contract_type);
+    return this.books[key];
+};
+
+PaperExchange.prototype.openOrders = function (symbol, contract_type) {
+    return _.filter(_.values(this.orders), function (order) {
+        return order.symbol == symbol && order.contract_type == contract_type && isOpen(order);
+    });
+};
+
+//
+// Matching
+//
+
+/**
+ * Fills an order against the opposite side of a book. The liquidity it takes is removed from the book
+ * @param  {Object}     order     The simulated order
+ * @param  {OrderBook}  book      The order book of the symbol
+ * @param  {Boolean}    isMaker   true if the order was waiting so it fills at its own price
+ */
+PaperExchange.prototype.match = function (order, book, isMaker) {
+    var levels = order.side == 'buy' ? book.asks : book.bids;
+
+    while (levels.length && isOpen(order)) {
+        var level = levels[0],
+            price = toBig(level.price);
+
+        if (order.price && (order.side == 'buy' ? price.gt(order.price) : price.lt(order.price))) break;
+
+        var amount = minBig(toBig(level.amount), order.amount.minus(order.filled));
+
+        // market buys spend an amount of the quote currency. The amount bought is rounded down to 8 decimals
+        if (order.notional) amount = minBig(amount, order.notional.minus(order.spent).div(price).round(8, 0));
+        if (amount.lte(0)) break;
+
+        this.fill(order, isMaker ? order.price : price, amount, isMaker);
+
+        level.amount = Number(toBig(level.amount).minus(amount));
+        if (level.amount <= 0) levels.shift();
+    }
+};
+
+PaperExchange.prototype.fill = function (order, price, amount, isMaker) {
+    var fee = this.fees[order.isFuture ? 'futures' : 'spot'][isMaker ? 'maker' : 'taker'];
+
+    order.filled = order.filled.plus(amount);
+    order.spent = order.spent.plus(price.times(amount));
+
+    // a market buy is filled once the rest of its quote currency buys less than the smallest amount
+    if (order.notional) order.status = order.notional.minus(order.spent).div(price).round(8, 0).gt(0) ? 1 : 2;
+    else order.status = order.filled.eq(order.amount) ? 2 : 1;
+
+    if (order.isFuture) this.settleFuture(order, price, amount, toBig(fee));
+    else this.settleSpot(order, price, amount, toBig(fee));
+};
+
+PaperExchange.prototype.settleSpot = function (order, price, amount, feeRate) {
+    var currencies = order.symbol.split('_'),
+        base = this.balanceOf(currencies[0]),
+        quote = this.balanceOf(currencies[1]),
+        value = price.times(amount),
+        fee;
+
+    if (order.side == 'buy') {
+        fee = amount.times(feeRate);
+        // limit buys froze the order price. The difference to the fill price is returned
+        quote.freezed = quote.freezed.minus(order.notional ? value : order.price.times(amount));
+        if (!order.notional) quote.free = quote.free.plus(order.price.minus(price).times(amount));
+        base.free = base.free.plus(amount.minus(fee));
+    }
+    else {
+        fee = value.times(feeRate);
+        base.freezed = base.freezed.minus(amount);
+        quote.free = quote.free.plus(value.minus(fee));
+    }
+
+    order.fee = order.fee.plus(fee);
+};
+
+PaperExchange.prototype.settleFuture = function (order, price, amount, feeRate) {
+    var account = this.accountOf(order.symbol),
+        position = this.positionOf(order.symbol, order.contract_type, order.lever_rate),
+        side = position[order.type == 1 || order.type == 3 ? 'long' : 'short'],
+        coins = amount.times(this.contractValue(order.symbol)).div(price),
+        fee = coins.times(feeRate);
+
+    if (order.type == 1 || order.type == 2) {
+        var margin = coins.div(order.lever_rate);
+
+        account.orderMargin = account.orderMargin.minus(order.marginPerContract.times(amount));
+        side.cost = side.cost.plus(price.times(amount));
+        side.amount = side.amount.plus(amount);
+        side.margin = side.margin.plus(margin);
+    }
+    else {
+        var averagePrice = side.cost.div(side.amount),
+            entryCoins = amount.times(this.contractValue(order.symbol)).div(averagePrice),
+            profit = order.type == 3 ? entryCoins.minus(coins) : coins.minus(entryCoins),
+            share = amount.div(side.amount);
+
+        side.cost = side.cost.minus(side.cost.times(share));
+        side.margin = side.margin.minus(side.margin.times(share));
+        side.amount = side.amount.minus(amount);
+        side.closing = side.closing.minus(amount);
+        side.profitReal = side.profitReal.plus(profit);
+
+        account.balance = account.balance.plus(profit);
+        account.profitReal = account.profitReal.plus(profit);
+    }
+
+    account.balance = account.balance.minus(fee);
+    order.fee = order.fee.plus(fee);
+};
+
+/**
+ * Returns the frozen funds of an order that has stopped filling
+ */
+PaperExchange.prototype.release = function (order) {
+    var remaining = order.amount.minus(order.filled);
+
+    if (order.isFuture) {
+        if (order.type == 1 || order.type == 2) {
+            var account = this.accountOf(order.symbol);
+            account.orderMargin = account.orderMargin.minus(order.marginPerContract.times(remaining));
+        }
+        else {
+            var position = this.positionOf(order.symbol, order.contract_type, order.lever_rate);
+            position[order.type == 3 ? 'long' : 'short'].closing =
+                position[order.type == 3 ? 'long' : 'short'].closing.minus(remaining);
+        }
+        return;
+    }
+
+    var currencies = order.symbol.split('_'),
+        balance = this.balanceOf(currencies[order.side == 'buy' ? 1 : 0]),
+        frozen = order.notional ? order.notional.minus(order.spent) :
+            order.side == 'buy' ? order.price.times(remaining) : remaining;
+
+    balance.freezed = balance.freezed.minus(frozen);
+    balance.free = balance.free.plus(frozen);
+};
+
+PaperExchange.prototype.balanceOf = function (currency) {
+    if (!this.balances[currency]) this.balances[currency] = {free: ZERO, freezed: ZERO};
+    return this.balances[currency];
+};
+
+PaperExchange.prototype.accountOf = function (symbol) {
+    var coin = symbol.split('_')[0];
+
+    if (!this.futureAccounts[coin]) this.futureAccounts[coin] = {balance: ZERO, orderMargin: ZERO, profitReal: ZERO};
+    return this.futureAccounts[coin];
+};
+
+PaperExchange.prototype.positionOf = function (symbol, contract_type, lever_rate) {
+    var key = bookKey(symbol, contract_type);
+
+    if (!this.positions[key]) {
+        var side = function () {
+            return {amount: ZERO, cost: ZERO, margin: ZERO, closing: ZERO, profitReal: ZERO};
+        };
+
+        this.positions[key] = {
+            symbol: symbol,
+            contract_type: contract_type,
+            lever_rate: lever_rate || 10,
+            createdAt: Date.now(),
+            long: side(),
+            short: side()
+        };
+    }
+
+    return this.positions[key];
+};
+
+PaperExchange.prototype.contractValue = function (symbol) {
+    var instrument = this.instruments.get(symbol);
+    return toBig(instrument && instrument.contractValue || 10);
+};
+
+// unrealized profit in coins of the positions of a coin marked to the middle of the books
+PaperExchange.prototype.unrealizedProfit = function (coin) {
+    return _.reduce(this.positions, function (sum, position) {
+        if (position.symbol.split('_')[0] != coin) return sum;
+
+        var mark = this.bookOf(position.symbol, position.contract_type).midPrice();
+        if (!mark) return sum;
+
+        return _.reduce(['long', 'short'], function (total, name) {
+            var side = position[name];
+            if (side.amount.lte(0)) return total;
+
+            var value = side.amount.times(this.contractValue(position.symbol)),
+                profit = value.div(side.cost.div(side.amount)).minus(value.div(toBig(mark)));
+
+            return total.plus(name == 'long' ? profit : profit.times(-1));
+        }, sum, this);
+    }, ZERO, this);
+};
+
+//
+// Transport
+//
+
+PaperExchange.prototype.buildRequest = function (method, params, isPrivate) {
+    if (!isPrivate && this.marketData) {
+        var built = this.marketData.buildRequest(method, params, isPrivate);
+        if (built instanceof Error) return built;
+
+        built.options.paperMethod = method;
+        built.options.paperParams = params;
+        return built;
+    }
+
+    // methods without a handler fail like OKEX errors so callers handle them the same as rejected requests
+    if (!handlers[method]) {
+        return new errors.ExchangeError({endpoint: method, params: params}, null,
+            util.format('PaperExchange.buildRequest() %s is not supported in paper mode%s', method,
+                unsupported[method] ? '. ' + unsupported[method] : ''));
+    }
+
+    return {
+        options: {url: 'paper://' + method, method: isPrivate ? 'POST' : 'GET', endpoint: method, params: params, json: true},
+        requestDesc: util.format('simulated request for method %s with params %s', method, JSON.stringify(params))
+    };
+};
+
+PaperExchange.prototype.authorize = function () {
+    // simulated requests are not signed
+};
+
+PaperExchange.prototype.send = function (options, callback) {
+    var self = this;
+
+    if (options.paperMethod) {
+        return this.marketData.send(options, function (err, response, data) {
+            var depth = _.isString(data) ? helpers.safeParse(data) : data;
+
+            if (!err && depth && _.isArray(depth.asks) && _.contains(['depth', 'future_depth'], options.paperMethod)) {
+                self.updateDepth(options.paperParams.symbol, depth, options.paperParams.contract_type);
+            }
+
+            callback(err, response, data);
+        });
+    }
+
+    setImmediate(function () {
+        callback(null, {statusCode: 200}, handlers[options.endpoint].call(self, options.params));
+    });
+};
+
+PaperExchange.prototype.errorOf = transports.V1Transport.prototype.errorOf;
+
+//
+// Simulated OKEX methods. Responses have the shape of the v1 API
+//
+
+// why methods OKEX has are not simulated
+var unsupported = {
+    future_userinfo_4fix: 'Futures accounts are simulated as cross margin. Use future_userinfo',
+    future_position_4fix: 'Futures positions are simulated as cross margin. Use future_position'
+};
+
+function error(code) {
+    return {result: false, error_code: code};
+}
+
+function spotOrderResponse(order) {
+    return {
+        order_id: order.order_id,
+        orders_id: order.order_id,
+        symbol: order.symbol,
+        type: order.type,
+        price: order.price ? Number(order.price) : Number(order.notional || 0),
+        amount: order.notional ? 0 : Number(order.amount),
+        deal_amount: Number(order.filled),
+        avg_price: order.filled.gt(0) ? Number(order.spent.div(order.filled)) : 0,
+        fee: Number(order.fee),
+        status: order.status,
+        create_date: order.create_date
+    };
+}
+
+function futureOrderResponse(order) {
+    return {
+        order_id: order.order_id,
+        symbol: order.symbol,
+        contract_name: contractName(order.symbol, order.contract_type),
+        type: order.type,
+        price: order.price ? Number(order.price) : 0,
+        amount: Number(order.amount),
+        deal_amount: Number(order.filled),
+        price_avg: order.filled.gt(0) ? Number(order.spent.div(order.filled)) : 0,
+        fee: Number(order.fee.times(-1)),
+        lever_rate: order.lever_rate,
+        status: order.status,
+        unit_amount: Number(order.contractValue),
+        create_date: order.create_date
+    };
+}
+
+function depthResponse(book) {
+    var toArray = function (level) {
+        return [level.price, level.amount];
+    };
+
+    // OKEX lists the asks from the highest price
+    return {asks: _.map(book.asks, toArray).reverse(), bids: _.map(book.bids, toArray)};
+}
+
+function tickerResponse(book) {
+    var bid = book.bestBid(),
+        ask = book.bestAsk();
+
+    return {
+        date: String(Math.floor(Date.now() / 1000)),
+        ticker: {
+            buy: bid ? String(bid.price) : '0',
+            sell: ask ? String(ask.price) : '0',
+            last: book.midPrice() ? String(book.midPrice()) : '0'
+        }
+    };
+}
+
+var handlers = {
+    ticker: function (params) {
+        return tickerResponse(this.bookOf(params.symbol));
+    },
+    depth: function (params) {
+        return depthResponse(this.bookOf(params.symbol));
+    },
+    future_ticker: function (params) {
+        return tickerResponse(this.bookOf(params.symbol, params.contract_type));
+    },
+    future_depth: function (params) {
+        return depthResponse(this.bookOf(params.symbol, params.contract_type));
+    },
+
+    userinfo: function () {
+        var funds = {free: {}, freezed: {}};
+
+        _.each(this.balances, function (balance, currency) {
+            funds.free[currency] = balance.free.toFixed();
+            funds.freezed[currency] = balance.freezed.toFixed();
+        });
+
+        return {result: true, info: {funds: funds}};
+    },
+
+    trade: function (params) {
+        var currencies = params.symbol.split('_'),
+            isMarket = params.type == 'buy_market' || params.type == 'sell_market',
+            side = params.type.indexOf('buy') === 0 ? 'buy' : 'sell',
+            order = newOrder(this, params.symbol, null, side, params.type);
+
+        // v1 market buys have the amount of the quote currency to spend as the price
+        if (params.type == 'buy_market') {
+            order.notional = toBig(params.price);
+            order.amount = new Big(Number.MAX_SAFE_INTEGER);
+        }
+        else {
+            order.amount = toBig(params.amount);
+            if (!isMarket) order.price = toBig(params.price);
+        }
+
+        var balance = this.balanceOf(currencies[side == 'buy' ? 1 : 0]),
+            frozen = order.notional || (side == 'buy' ? order.price.times(order.amount) : order.amount);
+
+        if (balance.free.lt(frozen)) return error(side == 'buy' ? 10010 : 10016);
+
+        balance.free = balance.free.minus(frozen);
+        balance.freezed = balance.freezed.plus(frozen);
+
+        return placeOrder(this, order, isMarket);
+    },
+
+    // each order is placed like a trade. Orders without a type use the type of the batch
+    batch_trade: function (params) {
+        var self = this;
+
+        return batchResponse(params.orders_data, function (order) {
+            return handlers.trade.call(self, {
+                symbol: params.symbol,
+                type: order.type || params.type,
+                price: order.price,
+                amount: order.amount
+            });
+        });
+    },
+
+    cancel_order: function (params) {
+        return cancelOrder(this, params, false, 10009);
+    },
+
+    order_info: function (params) {
+        var orders = findOrders(this, params, false);
+        if (!orders) return error(10009);
+
+        return {result: true, orders: _.map(orders, spotOrderResponse)};
+    },
+
+    orders_info: function (params) {
+        var ids = String(params.order_id).split(','),
+            orders = _.filter(findOrders(this, {symbol: params.symbol, order_id: -1}, false, true), function (order) {
+                return _.contains(ids, String(order.order_id)) && (params.type == 1 ? !isOpen(order) : isOpen(order));
+            });
+
+        return {result: true, orders: _.map(orders, spotOrderResponse)};
+    },
+
+    order_history: function (params) {
+        var page = Number(params.current_page) || 1,
+            length = Number(params.page_length) || 200,
+            orders = _.filter(findOrders(this, {symbol: params.symbol, order_id: -1}, false, true), function (order) {
+                return params.status == 1 ? !isOpen(order) : isOpen(order);
+            }).reverse();
+
+        return {
+            result: true,
+            total: orders.length,
+            currency_page: page,
+            page_length: length,
+            orders: _.map(orders.slice((page - 1) * length, page * length), spotOrderResponse)
+        };
+    },
+
+    future_userinfo: function () {
+        var info = {};
+
+        _.each(this.futureAccounts, function (account, coin) {
+            var margin = account.orderMargin,
+                unrealized = this.unrealizedProfit(coin);
+
+            _.each(this.positions, function (position) {
+                if (position.symbol.split('_')[0] == coin) margin = margin.plus(position.long.margin).plus(position.short.margin);
+            });
+
+            var rights = account.balance.plus(unrealized);
+
+            info[coin] = {
+                account_rights: Number(rights),
+                keep_deposit: Number(margin),
+                profit_real: Number(account.profitReal),
+                profit_unreal: Number(unrealized),
+                risk_rate: margin.gt(0) ? Number(rights.div(margin)) : 10000
+            };
+        }, this);
+
+        return {result: true, info: info};
+    },
+
+    future_position: function (params) {
+        var position = this.positions[bookKey(params.symbol, params.contract_type)],
+            holding = [];
+
+        if (position) {
+            var fields = {
+                symbol: position.symbol,
+                contract_type: position.contract_type,
+                contract_id: Number(InstrumentRegistry.deliveryDates()[position.contract_type].toISOString()
+                    .slice(0, 10).replace(/-/g, '')),
+                lever_rate: position.lever_rate,
+                create_date: position.createdAt
+            };
+
+            _.each({buy: position.long, sell: position.short}, function (side, prefix) {
+                var averagePrice = side.amount.gt(0) ? Number(side.cost.div(side.amount)) : 0;
+
+                fields[prefix + '_amount'] = Number(side.amount);
+                fields[prefix + '_available'] = Number(side.amount.minus(side.closing));
+                fields[prefix + '_price_avg'] = averagePrice;
+                fields[prefix + '_price_cost'] = averagePrice;
+                fields[prefix + '_profit_real'] = Number(side.profitReal);
+            });
+
+            holding.push(fields);
+        }
+
+        return {result: true, force_liqu_price: '0', holding: holding};
+    },
+
+    future_trade: function (params) {
+        var type = Number(params.type),
+            isMarket = params.match_price == 1,
+            book = this.bookOf(params.symbol, params.contract_type),
+            order = newOrder(this, params.symbol, params.contract_type, futureSides[type], type);
+
+        order.isFuture = true;
+        order.amount = toBig(params.amount);
+        order.lever_rate = Number(params.lever_rate) || 10;
+        order.contractValue = this.contractValue(params.symbol);
+        if (!isMarket) order.price = toBig(params.price);
+
+        // market orders are priced at the best opposite price
+        var best = futureSides[type] == 'buy' ? book.bestAsk() : book.bestBid(),
+            price = order.price || (best && toBig(best.price));
+
+        if (!price) return error(20013);
+
+        var position = this.positionOf(params.symbol, params.contract_type, order.lever_rate);
+
+        if (type == 1 || type == 2) {
+            var account = this.accountOf(params.symbol),
+                available = account.balance.minus(account.orderMargin).minus(usedMargin(this, params.symbol));
+
+            order.marginPerContract = order.contractValue.div(price).div(order.lever_rate);
+            if (available.lt(order.marginPerContract.times(order.amount))) return error(20008);
+
+            account.orderMargin = account.orderMargin.plus(order.marginPerContract.times(order.amount));
+        }
+        else {
+            var side = position[type == 3 ? 'long' : 'short'];
+
+            if (side.amount.minus(side.closing).lt(order.amount)) return error(20016);
+            side.closing = side.closing.plus(order.amount);
+        }
+
+        return placeOrder(this, order, isMarket);
+    },
+
+    future_batch_trade: function (params) {
+        var self = this;
+
+        return batchResponse(params.orders_data, function (order) {
+            return handlers.future_trade.call(self, _.extend(_.pick(params, 'symbol', 'contract_type', 'lever_rate'),
+                _.pick(order, 'type', 'price', 'amount', 'match_price')));
+        });
+    },
+
+    future_orders_info: function (params) {
+        var ids = String(params.order_id).split(','),
+            orders = _.filter(findOrders(this, _.extend({}, params, {order_id: -1}), true, true), function (order) {
+                return _.contains(ids, String(order.order_id));
+            });
+
+        return {result: true, orders: _.map(orders, futureOrderResponse)};
+    },
+
+    future_cancel: function (params) {
+        return cancelOrder(this, params, true, 20015);
+    },
+
+    future_order_info: function (params) {
+        var orders = findOrders(this, params, true, params.order_id == -1);
+        if (!orders) return error(20015);
+
+        if (params.order_id == -1) {
+            // status 1 unfilled and 2 filled
+            orders = _.filter(orders, function (order) {
+                return params.status == 2 ? order.status == 2 : isOpen(order);
+            });
+        }
+
+        return {result: true, orders: _.map(orders, futureOrderResponse)};
+    }
+};
+
+// places the orders of a batch one by one. Rejected orders have an error_code and an order_id of -1 like OKEX
+function batchResponse(ordersData, place) {
+    var orders = _.isString(ordersData) ? helpers.safeParse(ordersData) : ordersData;
+
+    return {
+        result: true,
+        order_info: _.map(orders, function (order) {
+            var placed = place(order);
+            return placed.result ? {order_id: placed.order_id} : {error_code: placed.error_code, order_id: -1};
+        })
+    };
+}
+
+function newOrder(exchange, symbol, contract_type, side, type) {
+    return {
+        order_id: null,
+        symbol: symbol,
+        contract_type: contract_type,
+        side: side,
+        type: type,
+        price: null,
+        notional: null,
+        amount: ZERO,
+        filled: ZERO,
+        spent: ZERO,
+        fee: ZERO,
+        status: 0,
+        isFuture: false,
+        create_date: Date.now()
+    };
+}
+
+function placeOrder(exchange, order, isMarket) {
+    order.order_id = exchange.nextOrderId++;
+    exchange.orders[order.order_id] = order;
+
+    exchange.match(order, exchange.bookOf(order.symbol, order.contract_type), false);
+
+    // market orders do not wait in the book. What it could not fill is cancelled and deal_amount has the filled part
+    if (isMarket) {
+        if (isOpen(order)) order.status = -1;
+        exchange.release(order);
+    }
+
+    return {result: true, order_id: order.order_id};
+}
+
+function cancelOrder(exchange, params, isFuture, notFoundCode) {
+    var orders = findOrders(exchange, params, isFuture),
+        order = orders && orders[0];
+
+    if (!order || !isOpen(order)) return error(notFoundCode);
+
+    exchange.release(order);
+    order.status = -1;
+
+    return {result: true, order_id: order.order_id};
+}
+
+// order_id -1 gets the open orders, or all orders when all is true
+function findOrders(exchange, params, isFuture, all) {
+    if (params.order_id != -1) {
+        var order = exchange.orders[params.order_id];
+        if (!order || order.symbol != params.symbol || order.isFuture != isFuture) return null;
+        if (isFuture && order.contract_type != params.contract_type) return null;
+        return [order];
+    }
+
+    return _.filter(_.values(exchange.orders), function (order) {
+        return order.symbol == params.symbol && order.isFuture == isFuture && (all || isOpen(order)) &&
+            (!isFuture || order.contract_type == params.contract_type);
+    });
+}
+
+function usedMargin(exchange, symbol) {
+    var coin = symbol.split('_')[0];
+
+    return _.reduce(exchange.positions, function (sum, position) {
+        if (position.symbol.split('_')[0] != coin) return sum;
+        return sum.plus(position.long.margin).plus(position.short.margin);
+    }, ZERO);
+}
+
+function isOpen(order) {
+    return order.status === 0 || order.status === 1;
+}
+
+// eg BTC0928 for the btc_usd contract delivered on September 28
+function contractName(symbol, contract_type) {
+    var deliveryDate = InstrumentRegistry.deliveryDates()[contract_type];
+
+    return symbol.split('_')[0].toUpperCase() + deliveryDate.toISOString().slice(5, 10).replace('-', '');
+}
+
+function bookKey(symbol, contract_type) {
+    return contract_type ? symbol + ':' + contract_type : symbol;
+}
+
+function toBig(value) {
+    return decimals.toDecimal(value) || ZERO;
+}
+
+function minBig(a, b) {
+    return a.lt(b) ? a : b;
+}
+
+module.exports = PaperExchange;
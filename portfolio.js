@@ -0,0 +1,343 @@
+const _ = require('underscore');
+const VError = require('verror');
+const helpers = require('./helpers');
+const models = require('./models');
+const promises = require('./promises');
+
+var contractTypes = ['this_week', 'next_week', 'quarter'];
+
+/**
+ * Merges the spot balances, futures accounts and futures positions of an account into one view valued in a quote currency.
+ *
+ * Spot currencies are priced with getTicker and futures account currencies with getFutureIndex. Prices in cny are
+ * converted from usd with getExchangeRate. usd and usdt are taken to be worth the same.
+ * Positions are marked at the last price of their contract from getFutureTicker.
+ *
+ * OKEX futures are inverse contracts with a contract value in USD, so the profits of positions are in the currency
+ * of the contract. eg btc for btc_usd
+ *
+ * The responses are read in their v1 shapes so the client must use the v1 API.
+ *
+ * @param  {OKEX}    client    The client to request the account with
+ * @param  {Object}  options   optional quote: currency to value everything in. usdt, usd, btc or cny. Defaults to usdt
+ *                             marginMode: cross or fixed margin futures accounts. Defaults to cross
+ *                             contractTypes: contract types to load the positions of. Defaults to all of them
+ *                             concurrency: most requests to send at the same time. Defaults to 4
+ */
+var Portfolio = function (client, options) {
+    options = options || {};
+
+    this.client = client;
+    this.quote = (options.quote || 'usdt').toLowerCase();
+    this.marginMode = options.marginMode || 'cross';
+    this.contractTypes = options.contractTypes || contractTypes;
+    this.concurrency = options.concurrency || 4;
+
+    if (!_.contains(['cross', 'fixed'], this.marginMode)) {
+        throw new VError('Portfolio() marginMode %s must be cross or fixed', this.marginMode);
+    }
+    if (client.transport && client.transport.version != 'v1') {
+        throw new VError('Portfolio() needs the v1 API, not %s', client.transport.version);
+    }
+};
+
+/**
+ * Gets the balances, positions and prices and works out their values and profits
+ * @param callback  called with an error or the portfolio
+ *                  {quote, spot, futures, positions, totalValue, realizedProfitValue, unrealizedProfitValue, unpriced}.
+ *                  unpriced lists the currencies that could not be valued. They are left out of the totals
+ */
+Portfolio.prototype.load = function load(callback) {
+    var self = this,
+        client = this.client,
+        isFixed = this.marginMode == 'fixed';
+
+    helpers.gather({
+        spot: function (done) {
+            client.getUserInfo(done);
+        },
+        futures: function (done) {
+            if (isFixed) client.getFutureUserInfoFix(done);
+            else client.getFutureUserInfo(done);
+        },
+        exchangeRate: function (done) {
+            if (self.quote != 'cny') return done(null, null);
+            client.getExchangeRate(done);
+        }
+    }, this.concurrency, function (errors, accounts) {
+        // the account is needed but prices are not. Currencies without a price are listed as unpriced
+        var err = errors.spot || errors.futures || errors.exchangeRate;
+        if (err) return callback(new VError(err, 'Portfolio.load() could not get the account'));
+
+        var spot = models.normalize('userinfo', models.rawOf(accounts.spot)),
+            futures = models.normalize(isFixed ? 'future_userinfo_4fix' : 'future_userinfo',
+                models.rawOf(accounts.futures)),
+            rate = accounts.exchangeRate ? Number(models.rawOf(accounts.exchangeRate).rate) : 1,
+            heldFutures = _.filter(futures, function (account) {
+                return account.total > 0;
+            });
+
+        var tasks = {};
+
+        _.each(_.filter(spot, function (balance) {
+            return balance.total > 0;
+        }), function (balance) {
+            tasks['spot ' + balance.currency] = function (done) {
+                self.spotPrice(balance.currency, done);
+            };
+        });
+
+        // coins are valued in a coin quote through their usd indexes
+        if (!isDollar(self.quote) && self.quote != 'cny') {
+            tasks['index ' + self.quote] = indexTask(client, self.quote);
+        }
+
+        _.each(heldFutures, function (account) {
+            var symbol = account.currency + '_usd';
+
+            tasks['index ' + account.currency] = indexTask(client, account.currency);
+
+            _.each(self.contractTypes, function (contract_type) {
+                tasks['position ' + symbol + ' ' + contract_type] = function (done) {
+                    if (isFixed) client.getFuturePositionFix(done, symbol, contract_type);
+                    else client.getFuturePosition(done, symbol, contract_type);
+                };
+
+                tasks['mark ' + symbol + ' ' + contract_type] = function (done) {
+                    client.getFutureTicker(function (err, data) {
+                        if (err) return done(err);
+                        lastPriceOf(data, done);
+                    }, symbol, contract_type);
+                };
+            });
+        });
+
+        // an account with many coins needs a position, mark price and index request for each of them
+        helpers.gather(tasks, self.concurrency, function (errors, results) {
+            var positionError = _.find(errors, function (err, name) {
+                return name.indexOf('position ') === 0;
+            });
+            if (positionError) return callback(new VError(positionError, 'Portfolio.load() could not get the positions'));
+
+            callback(null, self.summarize(spot, futures, results, rate));
+        });
+    });
+};
+
+/**
+ * Gets the price of a spot currency in the quote currency, or in usdt when the quote is cny
+ * @param  {String}    currency
+ * @param  {Function}  callback   called with an error or the price
+ */
+Portfolio.prototype.spotPrice = function (currency, callback) {
+    var client = this.client,
+        quote = this.quote == 'cny' || this.quote == 'usd' ? 'usdt' : this.quote;
+
+    if (currency == quote || (isDollar(currency) && isDollar(quote))) return callback(null, 1);
+
+    client.getTicker(function (err, data) {
+        if (!err) return lastPriceOf(data, callback);
+
+        // the quote may be the base of the pair. eg usdt in btc is 1 / btc_usdt
+        client.getTicker(function (inverseErr, data) {
+            if (inverseErr) return callback(err);
+
+            lastPriceOf(data, function (inverseErr, last) {
+                callback(inverseErr ? err : null, inverseErr ? undefined : 1 / last);
+            });
+        }, quote + '_' + currency);
+    }, currency + '_' + quote);
+};
+
+/**
+ * Works out the values and profits from the account models and the requested prices
+ * @param  {Array}   spot      spot Balance models
+ * @param  {Array}   futures   futures account Balance models
+ * @param  {Object}  results   spot prices, futures indexes, positions and marks keyed by task name
+ * @param  {Number}  rate      cny per usd, or 1
+ * @return {Object}            The portfolio
+ */
+Portfolio.prototype.summarize = function (spot, futures, results, rate) {
+    var self = this,
+        isFixed = this.marginMode == 'fixed',
+        unpriced = [];
+
+    // usd prices are converted to cny. The index is in usd so it needs a usd quote
+    function valueOf(amount, price, currency) {
+        if (!amount || _.isUndefined(price) || _.isNull(price)) {
+            if (amount && !_.contains(unpriced, currency)) unpriced.push(currency);
+            return amount ? null : 0;
+        }
+
+        return amount * price * rate;
+    }
+
+    function indexPrice(currency) {
+        var index = results['index ' + currency];
+
+        if (isDollar(self.quote) || self.quote == 'cny') return index;
+        if (self.quote == currency) return 1;
+
+        // eg the value of ltc in btc from their usd indexes
+        var quoteIndex = results['index ' + self.quote];
+        return index && quoteIndex ? index / quoteIndex : null;
+    }
+
+    var spotRows = _.map(_.filter(spot, function (balance) {
+        return balance.total > 0;
+    }), function (balance) {
+        var price = results['spot ' + balance.currency];
+
+        return {
+            currency: balance.currency,
+            free: balance.free,
+            frozen: balance.frozen,
+            total: balance.total,
+            price: _.isUndefined(price) || _.isNull(price) ? null : price * rate,
+            value: valueOf(balance.total, price, balance.currency)
+        };
+    });
+
+    var futureRows = _.map(_.filter(futures, function (account) {
+        return account.total > 0;
+    }), function (account) {
+        var price = indexPrice(account.currency);
+
+        return {
+            currency: account.currency,
+            equity: account.total,
+            margin: account.margin,
+            realizedProfit: account.realizedProfit,
+            unrealizedProfit: account.unrealizedProfit,
+            riskRate: account.riskRate,
+            price: price ? price * rate : null,
+            value: valueOf(account.total, price, account.currency)
+        };
+    });
+
+    var positionRows = [];
+
+    _.each(futures, function (account) {
+        var symbol = account.currency + '_usd',
+            price = indexPrice(account.currency),
+            contractValue = Number((self.client.instruments.get(symbol) || {}).contractValue);
+
+        _.each(self.contractTypes, function (contract_type) {
+            var data = results['position ' + symbol + ' ' + contract_type],
+                mark = results['mark ' + symbol + ' ' + contract_type];
+
+            if (!data) return;
+
+            var positions = models.normalize(isFixed ? 'future_position_4fix' : 'future_position', models.rawOf(data));
+
+            _.each(positions, function (position) {
+                var row = self.positionRow(position, contractValue, mark, account);
+
+                // a position without a mark price has an unknown profit rather than none
+                if (_.isNull(row.unrealizedProfit) && position.amount && !_.contains(unpriced, account.currency)) {
+                    unpriced.push(account.currency);
+                }
+
+                row.unrealizedProfitValue = _.isNull(row.unrealizedProfit) ? null :
+                    valueOf(row.unrealizedProfit, price, account.currency);
+                row.realizedProfitValue = valueOf(row.realizedProfit, price, account.currency);
+                positionRows.push(row);
+            });
+        });
+    });
+
+    // futures equity already includes the profits of the positions
+    var values = _.pluck(spotRows, 'value').concat(_.pluck(futureRows, 'value'));
+
+    return {
+        quote: this.quote,
+        spot: spotRows,
+        futures: futureRows,
+        positions: positionRows,
+        totalValue: helpers.sum(values),
+        realizedProfitValue: helpers.sum(_.pluck(positionRows, 'realizedProfitValue')),
+        unrealizedProfitValue: helpers.sum(_.pluck(positionRows, 'unrealizedProfitValue')),
+        unpriced: unpriced
+    };
+};
+
+/**
+ * Works out the profit, margin and liquidation distance of a position
+ * @param  {Position}  position        The position model
+ * @param  {Number}    contractValue   USD value of a contract
+ * @param  {Number}    mark            Last price of the contract
+ * @param  {Balance}   account         The futures account of the position currency
+ * @return {Object}                    The position row. Profits and margins are in the currency of the contract
+ */
+Portfolio.prototype.positionRow = function (position, contractValue, mark, account) {
+    var coins = function (price) {
+            return price ? position.amount * contractValue / price : null;
+        },
+        unrealizedProfit = null,
+        margin = position.margin;
+
+    if (mark && position.averagePrice) {
+        // a long of inverse contracts gains as the coins the contracts are worth shrink
+        unrealizedProfit = (coins(position.averagePrice) - coins(mark)) * (position.side == 'long' ? 1 : -1);
+    }
+
+    // cross margin positions share the margin of the account. Their own share is the cost at the lever rate
+    if (this.marginMode == 'cross' && position.leverRate) margin = coins(position.averagePrice) / position.leverRate;
+
+    var marginRatio = null;
+    if (this.marginMode == 'fixed' && margin) marginRatio = (margin + (unrealizedProfit || 0)) / margin;
+    else if (account.margin) marginRatio = account.total / account.margin;
+
+    return {
+        symbol: position.symbol,
+        contractType: position.contractType,
+        side: position.side,
+        amount: position.amount,
+        averagePrice: position.averagePrice,
+        markPrice: mark || null,
+        leverRate: position.leverRate,
+        notional: position.amount * contractValue,
+        realizedProfit: position.realizedProfit,
+        unrealizedProfit: unrealizedProfit,
+        margin: margin,
+        marginRatio: marginRatio,
+        liquidationPrice: position.liquidationPrice || null,
+        // fraction the mark price can move before the position is liquidated
+        liquidationDistance: position.liquidationPrice && mark ?
+            Math.abs(mark - position.liquidationPrice) / mark : null
+    };
+};
+
+function indexTask(client, currency) {
+    return function (done) {
+        client.getFutureIndex(function (err, data) {
+            if (err) return done(err);
+
+            var index = Number((models.rawOf(data) || {}).future_index);
+            if (!index) return done(new VError('Portfolio.load() the %s index response has no future_index', currency));
+
+            done(null, index);
+        }, currency + '_usd');
+    };
+}
+
+/**
+ * Reads the last price of a v1 spot or futures ticker response
+ * @param  {Object}    data       The ticker response
+ * @param  {Function}  callback   called with an error if the response has no last price, or the price
+ */
+function lastPriceOf(data, callback) {
+    var ticker = (models.rawOf(data) || {}).ticker,
+        last = ticker && Number(ticker.last);
+
+    if (!last) return callback(new VError('Portfolio.load() the ticker response has no last price'));
+    callback(null, last);
+}
+
+function isDollar(currency) {
+    return currency == 'usd' || currency == 'usdt';
+}
+
+Portfolio.prototype.load = promises.callbackOrPromise(Portfolio.prototype.load);
+
+module.exports = Portfolio;
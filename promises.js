@@ -0,0 +1,45 @@
+const _ = require('underscore');
+
+/**
+ * Calls a function that takes a node style callback as its last argument and returns a Promise for the result
+ * @param  {Function}  fn       The function to call
+ * @param  {Object}    context  The value of this inside fn
+ * @param  {Array}     args     The arguments to pass before the callback
+ * @return {Promise}            resolves with the data or rejects with the error passed to the callback
+ */
+function toPromise(fn, context, args) {
+    return new Promise(function (resolve, reject) {
+        fn.apply(context, args.concat(function (err, data) {
+            if (err) return reject(err);
+            resolve(data);
+        }));
+    });
+}
+
+/**
+ * Wraps an API method that takes a callback as its first parameter so it returns a Promise when called without one.
+ * eg client.getDepth(callback, 'btc_usd') or await client.getDepth('btc_usd')
+ * @param  {Function}  method   The callback first API method
+ * @return {Function}           The wrapped method
+ */
+function callbackOrPromise(method) {
+    var wrapped = function () {
+        var args = _.toArray(arguments);
+
+        if (_.isFunction(args[0])) {
+            return method.apply(this, args);
+        }
+
+        return toPromise(function () {
+            var callback = _.last(arguments);
+            method.apply(this, [callback].concat(_.initial(arguments)));
+        }, this, args);
+    };
+
+    return wrapped;
+}
+
+module.exports = {
+    toPromise: toPromise,
+    callbackOrPromise: callbackOrPromise
+};
@@ -0,0 +1,147 @@
+const _ = require('underscore');
+
+/**
+ * Default request limits per endpoint group.
+ * OKEX allows 20 requests every 2 seconds for each group of endpoints.
+ */
+var defaultLimits = {
+    public: {limit: 20, interval: 2000},
+    spot: {limit: 20, interval: 2000},
+    futures: {limit: 20, interval: 2000}
+};
+
+/**
+ * Default priorities of OKEX API methods. Lower priorities are sent first.
+ * Cancels are sent before anything else so open orders can be pulled when the queue is long.
+ */
+var defaultPriorities = {
+    cancel_order: 0,
+    future_cancel: 0,
+    cancel_withdraw: 0,
+    cancel_borrow: 0
+};
+
+var DEFAULT_PRIORITY = 1;
+
+/**
+ * Token bucket rate limiter that queues requests for each endpoint group
+ * @param  {Object}  config   optional limits and priorities to override the defaults.
+ *                            eg {limits: {futures: {limit: 10, interval: 1000}}, priorities: {future_trade: 2}}
+ */
+var RateLimiter = function (config) {
+    config = config || {};
+
+    this.priorities = _.extend({}, defaultPriorities, config.priorities);
+    this.groups = {};
+
+    _.each(_.extend({}, defaultLimits, config.limits), function (limit, name) {
+        this.groups[name] = {
+            limit: limit.limit,
+            interval: limit.interval,
+            tokens: limit.limit,
+            lastRefill: Date.now(),
+            queue: [],
+            timer: null,
+            sent: 0,
+            totalWait: 0,
+            maxWait: 0
+        };
+    }, this);
+};
+
+/**
+ * Returns the endpoint group of an OKEX API method
+ * @param  {String}   method      The OKEX API method. eg ticker or future_trade
+ * @param  {Boolean}  isPrivate   true if the method needs to be signed
+ * @return {String}               public, spot or futures
+ */
+RateLimiter.prototype.groupOf = function (method, isPrivate) {
+    if (!isPrivate) return 'public';
+    return method.indexOf('future_') === 0 ? 'futures' : 'spot';
+};
+
+/**
+ * Returns the priority of an OKEX API method
+ * @param  {String}  method   The OKEX API method
+ * @return {Number}           priority. Lower priorities are sent first
+ */
+RateLimiter.prototype.priorityOf = function (method) {
+    return _.has(this.priorities, method) ? this.priorities[method] : DEFAULT_PRIORITY;
+};
+
+/**
+ * Queues a task to run when the endpoint group has a request available
+ * @param  {String}    group      The endpoint group
+ * @param  {Number}    priority   Lower priorities run first. Tasks with the same priority run in the order they were queued
+ * @param  {Function}  task       function to run
+ */
+RateLimiter.prototype.schedule = function (group, priority, task) {
+    var bucket = this.groups[group];
+
+    // groups without a limit are not queued
+    if (!bucket) return task();
+
+    var index = _.findIndex(bucket.queue, function (queued) {
+        return queued.priority > priority;
+    });
+
+    var item = {priority: priority, task: task, queuedAt: Date.now()};
+
+    if (index == -1) bucket.queue.push(item);
+    else bucket.queue.splice(index, 0, item);
+
+    this.drain(group);
+};
+
+RateLimiter.prototype.drain = function (group) {
+    var self = this,
+        bucket = this.groups[group],
+        now = Date.now();
+
+    // refill the tokens for the time since the last refill
+    bucket.tokens = Math.min(bucket.limit,
+        bucket.tokens + (now - bucket.lastRefill) * bucket.limit / bucket.interval);
+    bucket.lastRefill = now;
+
+    while (bucket.queue.length && bucket.tokens >= 1) {
+        var item = bucket.queue.shift(),
+            wait = now - item.queuedAt;
+
+        bucket.tokens -= 1;
+        bucket.sent++;
+        bucket.totalWait += wait;
+        bucket.maxWait = Math.max(bucket.maxWait, wait);
+
+        item.task();
+    }
+
+    if (bucket.queue.length && !bucket.timer) {
+        var delay = Math.ceil((1 - bucket.tokens) * bucket.interval / bucket.limit);
+
+        bucket.timer = setTimeout(function () {
+            bucket.timer = null;
+            self.drain(group);
+        }, delay);
+    }
+};
+
+/**
+ * Returns the queue statistics of each endpoint group
+ * @return {Object}   keyed by group with queued, available, sent, averageWait and maxWait in milliseconds
+ */
+RateLimiter.prototype.stats = function () {
+    var now = Date.now();
+
+    return _.mapObject(this.groups, function (bucket) {
+        return {
+            queued: bucket.queue.length,
+            available: Math.floor(bucket.tokens),
+            sent: bucket.sent,
+            averageWait: bucket.sent ? bucket.totalWait / bucket.sent : 0,
+            maxWait: bucket.maxWait,
+            oldestWait: bucket.queue.length ? now - _.min(_.pluck(bucket.queue, 'queuedAt')) : 0
+        };
+    });
+};
+
+module.exports = RateLimiter;
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const util = require('util');
+const querystring = require('querystring');
+const _ = require('underscore');
+const VError = require('verror');
+const errors = require('./errors');
+const sign = require('./sign');
+const InstrumentRegistry = require('./instruments');
+
+/**
+ * Transport that records the requests and responses of another transport to a fixture file, or replays them
+ * from the file without sending anything. See transports.js for the transport methods.
+ *
+ * A fixture file is a JSON array of {request: {method, path, params}, response: {statusCode, body}}.
+ * Secrets like api_key, sign and trade_pwd are redacted and v3 headers are not saved.
+ * Requests match recorded ones by the HTTP method, path and params. The same request made again
+ * gets the next recording of it, so a sequence of polls replays in the order it was recorded.
+ * v3 futures instrument ids are saved with the contract type in place of the delivery date, eg BTC-USD-QUARTER
+ * rather than BTC-USD-181228, so the fixtures still match once the contracts they were recorded with expire.
+ *
+ * Recordings are kept in memory and written to the file by flush or close.
+ *
+ * @param  {Object}  transport   The transport that sends the requests when recording
+ *                               and builds and signs the requests in both modes
+ * @param  {Object}  options     mode: record or replay
+ *                               file: path of the fixture file
+ */
+var RecordingTransport = function (transport, options) {
+    var functionName = 'RecordingTransport()';
+
+    options = options || {};
+
+    if (options.mode != 'record' && options.mode != 'replay') {
+        throw new VError('%s mode %s must be record or replay', functionName, options.mode);
+    }
+    if (!options.file) {
+        throw new VError('%s must provide the file of the fixtures', functionName);
+    }
+
+    this.transport = transport;
+    this.version = transport.version;
+    this.mode = options.mode;
+    this.file = options.file;
+    this.fixtures = [];
+    this.replayed = {};
+    this.closed = false;
+
+    if (this.mode == 'replay') {
+        try {
+            this.fixtures = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+        catch (err) {
+            throw new VError(err, '%s could not read fixtures from %s', functionName, this.file);
+        }
+    }
+};
+
+RecordingTransport.prototype.buildRequest = function (method, params, isPrivate) {
+    return this.transport.buildRequest(method, params, isPrivate);
+};
+
+RecordingTransport.prototype.authorize = function (options) {
+    this.transport.authorize(options);
+};
+
+RecordingTransport.prototype.errorOf = function (data) {
+    return this.transport.errorOf(data);
+};
+
+RecordingTransport.prototype.send = function (options, callback) {
+    var self = this,
+        recorded = recordedRequest(options);
+
+    if (this.mode == 'replay') {
+        var key = requestKey(recorded),
+            matches = _.filter(this.fixtures, function (fixture) {
+                return requestKey(fixture.request) == key;
+            }),
+            index = this.replayed[key] || 0;
+
+        return setImmediate(function () {
+            if (index >= matches.length) {
+                return callback(new VError('RecordingTransport.send() no recorded response for %s %s with params %s',
+                    recorded.method, recorded.path, JSON.stringify(recorded.params)));
+            }
+
+            self.replayed[key] = index + 1;
+            callback(null, {statusCode: matches[index].response.statusCode}, matches[index].response.body);
+        });
+    }
+
+    this.transport.send(options, function (err, response, body) {
+        // network errors are not recorded
+        if (!err && !self.closed) {
+            self.fixtures.push({request: recorded, response: {statusCode: response.statusCode, body: body}});
+        }
+
+        callback(err, response, body);
+    });
+};
+
+/**
+ * Writes the recorded requests and responses to the fixture file. Replaying writes nothing
+ * @param  {Function}  callback   optional. called with an error if the file could not be written
+ */
+RecordingTransport.prototype.flush = function (callback) {
+    var file = this.file;
+
+    callback = callback || function () {};
+
+    if (this.mode != 'record') return setImmediate(callback);
+
+    fs.writeFile(file, JSON.stringify(this.fixtures, null, 2), function (err) {
+        callback(err ? new VError(err, 'RecordingTransport.flush() could not write fixtures to %s', file) : null);
+    });
+};
+
+/**
+ * Stops recording and writes the recordings to the fixture file. Later requests are still sent but not recorded
+ * @param  {Function}  callback   optional. called with an error if the file could not be written
+ */
+RecordingTransport.prototype.close = function (callback) {
+    this.closed = true;
+    this.flush(callback);
+};
+
+/**
+ * Returns the HTTP method, path and redacted params of request options
+ */
+function recordedRequest(options) {
+    var url = options.url.replace(/^[a-z]+:\/\/[^\/]*/, ''),
+        query = url.indexOf('?'),
+        params = _.extend({}, options.qs, options.form, parseBody(options.body));
+
+    if (query != -1) {
+        _.extend(params, querystring.parse(url.slice(query + 1)));
+        url = url.slice(0, query);
+    }
+
+    params = _.omit(errors.redactParams(params), 'api_key', 'sign');
+
+    // v1 private requests are signed again on every attempt so the key and sign are left out
+    return {
+        method: options.method,
+        path: normalizeInstrumentIds(url),
+        params: _.isString(params.instrument_id) ?
+            _.extend(params, {instrument_id: normalizeInstrumentIds(params.instrument_id)}) : params
+    };
+}
+
+/**
+ * Replaces the delivery dates of v3 futures instrument ids with their contract types
+ * @param  {String}  text   a path or instrument id. eg /api/futures/v3/instruments/BTC-USD-181228/ticker
+ * @return {String}         eg /api/futures/v3/instruments/BTC-USD-QUARTER/ticker
+ */
+function normalizeInstrumentIds(text) {
+    var contractTypes = {};
+
+    _.each(InstrumentRegistry.deliveryDates(), function (date, contract_type) {
+        contractTypes[date.toISOString().slice(2, 10).replace(/-/g, '')] = contract_type.toUpperCase();
+    });
+
+    return text.replace(/(\b[A-Z0-9]+-[A-Z0-9]+-)(\d{6})\b/g, function (id, prefix, date) {
+        return contractTypes[date] ? prefix + contractTypes[date] : id;
+    });
+}
+
+function requestKey(request) {
+    // fixtures recorded before the ids were saved normalized still match while their contracts trade
+    return util.format('%s %s %s', request.method, normalizeInstrumentIds(request.path),
+        sign.formatParameters(request.params || {}));
+}
+
+function parseBody(body) {
+    if (!_.isString(body)) return {};
+
+    try {
+        return JSON.parse(body);
+    }
+    catch (e) {
+        return {body: body};
+    }
+}
+
+module.exports = RecordingTransport;
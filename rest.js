@@ -1,27 +1,167 @@
 const util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const _ = require('underscore');
-const request = require('request');
-const crypto = require('crypto');
 const VError = require('verror');
-const md5 = require('md5');
+const sign = require('./sign');
+const validateParams = require('./validation').validateParams;
+const RateLimiter = require('./ratelimit');
+const RetryPolicy = require('./retry');
+const errors = require('./errors');
+const OKEXWebSocket = require('./websocket');
+const OrderBook = require('./orderbook');
+const models = require('./models');
+const decimals = require('./decimals');
+const InstrumentRegistry = require('./instruments');
+const transports = require('./transports');
+const promises = require('./promises');
+const PaperExchange = require('./paper');
+const RecordingTransport = require('./recorder');
+const OrderManager = require('./ordermanager');
+const pagination = require('./pagination');
+const CandleHistory = require('./candles');
+const WithdrawalGuard = require('./withdrawals');
+const RiskGuard = require('./risk');
+const Portfolio = require('./portfolio');
+const MockServer = require('./mockserver');
+const instrumentation = require('./instrumentation');
+const Execution = require('./execution');
+
+/**
+ * @param  {String}  api_key
+ * @param  {String}  secret
+ * @param  {String}  server     defaults to https://www.okex.com
+ * @param  {Number}  timeout    request timeout in milliseconds. Defaults to 20000
+ * @param  {Object}  options    optional settings
+ *                              rateLimit: limits and priorities passed to RateLimiter or false to send requests immediately
+ *                              retry: true or settings passed to RetryPolicy to retry transient failures
+ *                              normalize: true to return models from models.js instead of the OKEX responses.
+ *                              Needs the v1 API
+ *                              decimals: true to return the prices and amounts of normalized models as Big decimals
+ *                              instruments: instrument fields keyed by symbol. eg tickSize and lotSize that prices and
+ *                              amounts are rounded to. See InstrumentRegistry
+ *                              defaultContractType: contract type of futures requests without one. Defaults to quarter
+ *                              instrumentsTtl: milliseconds to cache the products loaded by loadInstruments
+ *                              rounding: strict to reject prices and amounts that are not a multiple of the tick size
+ *                              or lot size, round to round them. Defaults to strict
+ *                              apiVersion: v1 or v3. Defaults to v1
+ *                              passphrase: passphrase of the API key. Needed for v3 private requests
+ *                              signer: function that returns the sign of a request. See transports.js
+ *                              transport: object that builds, signs and sends requests instead of the apiVersion one
+ *                              paper: true, PaperExchange settings or a PaperExchange to simulate the private requests.
+ *                              marketData: true in the settings sends the public requests to OKEX
+ *                              record: file to record the requests and responses to. See RecordingTransport
+ *                              replay: file of recorded responses to replay instead of sending the requests
+ *                              withdrawals: WithdrawalGuard settings or a WithdrawalGuard to check withdrawals against an
+ *                              address whitelist, amount limits and a confirm function, or to dry run them
+ *                              risk: RiskGuard limits or a RiskGuard to check orders against before they are sent.
+ *                              Needs the v1 API
+ *                              logger: object with debug, info, warn and error functions like console to log the
+ *                              requests to with the secrets redacted
+ *                              metrics: true to count the requests of each endpoint in client.metrics
+ *                              latencyBuckets: upper bounds in milliseconds of the latency histograms of metrics
+ *
+ * Emits
+ *  request   ({endpoint, isPrivate, attempt, params}) before each attempt is sent. params have the secrets redacted
+ *  response  ({endpoint, isPrivate, attempt, statusCode, latency}) when an attempt succeeds
+ *  error     (error, {endpoint, isPrivate, attempt, statusCode, code, latency}) when an attempt fails.
+ *            code is the OKEX error code
+ *  retry     ({endpoint, attempt, delay, error}) before a failed attempt is sent again
+ */
+var OKEX = function (api_key, secret, server, timeout, options) {
+    EventEmitter.call(this);
 
-var OKEX = function (api_key, secret, server, timeout) {
     this.api_key = api_key;
     this.secret = secret;
     this.server = server || 'https://www.okex.com';
     this.timeout = timeout || 20000;
-};
+    this.options = options || {};
+
+    this.transport = this.options.transport || transports.createTransport(this.options.apiVersion, {
+        server: this.server,
+        timeout: this.timeout,
+        api_key: api_key,
+        secret: secret,
+        passphrase: this.options.passphrase,
+        signer: this.options.signer
+    });
+
+    var self = this;
+    this.instruments = new InstrumentRegistry(this.options.instruments, {
+        ttl: this.options.instrumentsTtl,
+        loader: function (callback) {
+            self.getProducts(function (err, data) {
+                // v3 returns the list of products
+                callback(err, _.isArray(data) ? data : data && data.data);
+            });
+        }
+    });
+
+    if (this.options.paper) {
+        this.paper = this.options.paper instanceof PaperExchange ? this.options.paper : createPaperExchange(this);
+        this.transport = this.paper;
+    }
+
+    if (this.options.record || this.options.replay) {
+        this.transport = new RecordingTransport(this.transport, {
+            mode: this.options.record ? 'record' : 'replay',
+            file: this.options.record || this.options.replay
+        });
+    }
+
+    if (this.options.rateLimit !== false) {
+        this.rateLimiter = new RateLimiter(_.isObject(this.options.rateLimit) ? this.options.rateLimit : {});
+    }
 
-var headers = {
-    "contentType": "application/x-www-form-urlencoded",
-    "User-Agent": "OKEX JavaScript API Wrapper"
+    if (this.options.retry) {
+        this.retryPolicy = new RetryPolicy(this.options.retry);
+    }
+
+    if (this.options.withdrawals) {
+        this.withdrawalGuard = this.options.withdrawals instanceof WithdrawalGuard ?
+            this.options.withdrawals : new WithdrawalGuard(this.options.withdrawals);
+    }
+
+    if (this.options.risk) {
+        this.riskGuard = this.options.risk instanceof RiskGuard ? this.options.risk : new RiskGuard(this.options.risk);
+
+        // the checks read the v1 responses. Other shapes would look like no open orders or positions
+        if (this.transport.version != 'v1') {
+            throw new VError('OKEX() the risk checks need the v1 API, not %s', this.transport.version);
+        }
+    }
+
+    // the models are built from v1 responses
+    if (this.options.normalize && this.transport.version != 'v1') {
+        throw new VError('OKEX() normalized responses need the v1 API, not %s', this.transport.version);
+    }
+
+    this.metrics = null;
+    if (this.options.metrics) {
+        this.metrics = new instrumentation.Metrics(this.options.latencyBuckets);
+        this.metrics.attach(this);
+    }
+
+    if (this.options.logger) instrumentation.attachLogger(this, this.options.logger);
 };
+util.inherits(OKEX, EventEmitter);
+
+function createPaperExchange(client) {
+    var settings = _.extend({instruments: client.instruments}, _.isObject(client.options.paper) ? client.options.paper : {});
+
+    if (settings.marketData === true) settings.marketData = client.transport;
+
+    return new PaperExchange(settings);
+}
 
 OKEX.prototype.privateRequest = function (method, params, callback) {
     var functionName = 'OKEX.privateRequest()',
         self = this;
 
-    if (!this.api_key || !this.secret) {
+    if (_.isUndefined(callback)) {
+        return promises.toPromise(this.privateRequest, this, [method, params]);
+    }
+
+    if (!this.paper && (!this.api_key || !this.secret)) {
         var error = new VError('%s must provide api_key and secret to make this API request.', functionName);
         return callback(error);
     }
@@ -36,64 +176,118 @@ OKEX.prototype.privateRequest = function (method, params, callback) {
         return callback(error);
     }
 
-    params.api_key = this.api_key;
-    console.log(params)
-    params.sign = this.signMessage(params);
+    var instrumentProblems = this.instruments.check(method, params);
+    if (instrumentProblems.length) {
+        return callback(new errors.InvalidParameterError({endpoint: method, params: params}, null,
+            util.format('%s invalid instrument for %s: %s', functionName, method, instrumentProblems.join('; '))));
+    }
 
-    var options = {
-        url: this.server + '/api/v1/' + method + '.do',
-        method: 'POST',
-        headers: headers,
-        form: params
-    };
+    var precision = applyDecimalPrecision(this, method, params);
+    if (precision.problems.length) {
+        return callback(new errors.InvalidParameterError({endpoint: method, params: params}, null,
+            util.format('%s invalid decimals for %s: %s', functionName, method, precision.problems.join('; '))));
+    }
+    params = precision.params;
 
-    var requestDesc = util.format('%s request to url %s with method %s and params %s',
-        options.method, options.url, method, JSON.stringify(params));
+    var invalidParams = validateParams(functionName, method, params);
+    if (invalidParams) return callback(invalidParams);
 
-    executeRequest(options, requestDesc, callback);
-};
+    if (_.isArray(params.orders_data)) params = _.extend({}, params, {orders_data: JSON.stringify(params.orders_data)});
 
-/**
- * This method returns a signature for a request as a md5-encoded uppercase string
- * @param  {Object}  params   The object to encode
- * @return {String}           The request signature
- */
-OKEX.prototype.signMessage = function getMessageSignature(params) {
-    var formattedParams = formatParameters(params);
+    if (this.riskGuard && _.contains(RiskGuard.orderMethods, method)) {
+        return this.riskGuard.check(this, method, params, function (err, reservation) {
+            if (err) return callback(err);
 
-    // append secret key value pair
-    formattedParams += '&secret_key=' + this.secret;
+            sendPrivateRequest(self, method, params, function (err, data) {
+                self.riskGuard.settle(reservation, err);
+                callback(err, data);
+            });
+        });
+    }
 
-    return md5(formattedParams).toUpperCase();
+    sendPrivateRequest(this, method, params, callback);
 };
 
+function sendPrivateRequest(client, method, params, callback) {
+    var built = client.transport.buildRequest(method, params, true);
+    if (built instanceof Error) return callback(built);
+
+    if (method == 'withdraw' && client.withdrawalGuard) {
+        return guardWithdrawal(client, params, built, callback);
+    }
+
+    client.sendRequest(method, params, true, built.options, built.requestDesc, callback);
+}
+
 /**
- * This method returns the parameters as key=value pairs separated by & sorted by the key
- * @param  {Object}  params   The object to encode
- * @return {String}           formatted parameters
+ * Sends a withdrawal once the withdrawal guard approves and reserves it, or returns it without sending it on a dry run
+ * @param  {OKEX}      client     The client with the withdrawal guard
+ * @param  {Object}    params     The withdraw request parameters
+ * @param  {Object}    built      The request options and description
+ * @param  {Function}  callback   called with an error, the OKEX response or the dry run withdrawal
+ */
+function guardWithdrawal(client, params, built, callback) {
+    var guard = client.withdrawalGuard;
+
+    guard.approve(params, built.options, function (err, withdrawal) {
+        if (err) return callback(err);
+        if (guard.dryRun) return callback(null, withdrawal);
+
+        client.sendRequest('withdraw', params, true, built.options, built.requestDesc, function (err, data) {
+            // a withdrawal that failed some other way may still have been made
+            if (err instanceof errors.ExchangeError) guard.release(withdrawal);
+            callback(err, data);
+        });
+    });
+}
+
+/**
+ * Converts prices and amounts to decimal strings. Order prices and amounts are rounded to the tick size and lot size of the symbol.
+ * The orders of a batch trade are converted one by one. They are sent as a JSON string once they are validated
+ * @param  {OKEX}    client   The client with the instruments and rounding options
+ * @param  {String}  method   The OKEX API method
+ * @param  {Object}  params   The request parameters
+ * @return {Object}           params and the problems of prices and amounts that were rejected
  */
-function formatParameters(params) {
-    var sortedKeys = [],
-        formattedParams = '';
+function applyDecimalPrecision(client, method, params) {
+    var isOrder = _.contains(['trade', 'batch_trade', 'future_trade', 'future_batch_trade'], method),
+        instrument = isOrder ? client.instruments.get(params.symbol) : null,
+        rounding = client.options.rounding,
+        result = decimals.applyPrecision(params, instrument, rounding);
 
-    // sort the properties of the parameters
-    sortedKeys = _.keys(params).sort();
+    if (_.isArray(params.orders_data)) {
+        var orders = _.map(params.orders_data, function (order, i) {
+            var orderPrecision = decimals.applyPrecision(order, instrument, rounding);
 
-    // create a string of key value pairs separated by '&' with '=' assignement
-    for (i = 0; i < sortedKeys.length; i++) {
-        if (i != 0) {
-            formattedParams += '&';
-        }
-        formattedParams += sortedKeys[i] + '=' + params[sortedKeys[i]];
+            _.each(orderPrecision.problems, function (problem) {
+                result.problems.push('orders_data[' + i + '] ' + problem);
+            });
+
+            return orderPrecision.params;
+        });
+
+        result.params.orders_data = orders;
     }
 
-    return formattedParams;
+    return result;
 }
 
+/**
+ * This method returns a signature for a request as a md5-encoded uppercase string
+ * @param  {Object}  params   The object to encode
+ * @return {String}           The request signature
+ */
+OKEX.prototype.signMessage = function getMessageSignature(params) {
+    return sign.signMessage(params, this.secret);
+};
 
 OKEX.prototype.publicRequest = function (method, params, callback) {
     var functionName = 'OKEX.publicRequest()';
 
+    if (_.isUndefined(callback)) {
+        return promises.toPromise(this.publicRequest, this, [method, params]);
+    }
+
     if (!_.isObject(params)) {
         var error = new VError('%s second parameter %s must be an object. If no params then pass an empty object {}', functionName, params);
         return callback(error);
@@ -104,105 +298,332 @@ OKEX.prototype.publicRequest = function (method, params, callback) {
         return callback(error);
     }
 
-    var url = this.server + '/api/v1/' + method + '.do';
+    var invalidParams = validateParams(functionName, method, params);
+    if (invalidParams) return callback(invalidParams);
 
-    var options = {
-        url: url,
-        method: 'GET',
-        headers: headers,
-        timeout: this.timeout,
-        qs: params,
-        json: {}        // request will parse the json response into an object
-    };
+    var built = this.transport.buildRequest(method, params, false);
+    if (built instanceof Error) return callback(built);
 
-    var requestDesc = util.format('%s request to url %s with parameters %s',
-        options.method, options.url, JSON.stringify(params));
+    this.sendRequest(method, params, false, built.options, built.requestDesc, callback);
+};
 
-    executeRequest(options, requestDesc, callback)
+/**
+ * Sends a request now or queues it behind the rate limit of its endpoint group
+ * @param  {String}    method      The OKEX API method
+ * @param  {Boolean}   isPrivate   true if the method needs to be signed
+ * @param  {Function}  send        function that sends the request
+ */
+OKEX.prototype.scheduleRequest = function (method, isPrivate, send) {
+    if (!this.rateLimiter) return send();
+
+    var limiter = this.rateLimiter;
+    limiter.schedule(limiter.groupOf(method, isPrivate), limiter.priorityOf(method), send);
 };
 
-function executeRequest(options, requestDesc, callback) {
-    var functionName = 'OKEX.executeRequest()';
+/**
+ * Sends a request through the rate limiter and retries transient failures when a retry policy is set.
+ * Orders are only sent again when OKEX has no order matching the failed attempt.
+ * @param  {String}    method        The OKEX API method
+ * @param  {Object}    params        The request parameters
+ * @param  {Boolean}   isPrivate     true if the method is signed
+ * @param  {Object}    options       The request options
+ * @param  {String}    requestDesc   Description of the request for error messages
+ * @param  {Function}  callback      called with the error and data of the last attempt
+ */
+OKEX.prototype.sendRequest = function (method, params, isPrivate, options, requestDesc, callback) {
+    var self = this,
+        policy = this.retryPolicy,
+        startedAt = Date.now(),
+        attempt = 0;
+
+    function send() {
+        attempt++;
+
+        self.scheduleRequest(method, isPrivate, function () {
+            var info = {endpoint: method, params: params},
+                sentAt = Date.now();
+
+            if (isPrivate) self.transport.authorize(options);
+
+            self.emit('request', {
+                endpoint: method,
+                isPrivate: isPrivate,
+                attempt: attempt,
+                params: errors.redactParams(params)
+            });
+
+            executeRequest(self.transport, options, requestDesc, info, function (err, data, response) {
+                var event = {
+                    endpoint: method,
+                    isPrivate: isPrivate,
+                    attempt: attempt,
+                    statusCode: response ? response.statusCode : null,
+                    latency: Date.now() - sentAt
+                };
+
+                if (!err) self.emit('response', event);
+                // an error event without listeners would throw
+                else if (self.listenerCount('error')) self.emit('error', err, _.extend(event, {code: err.code}));
+
+                handleResponse(err, data);
+            });
+        });
+    }
 
-    request(options, function (err, response, data) {
-        var error = null,   // default to no errors
-            returnObject = data;
+    function retry(err) {
+        var delay = policy.delay(attempt);
 
-        if (err) {
-            error = new VError(err, '%s failed %s', functionName, requestDesc);
-            error.name = err.code;
+        self.emit('retry', {endpoint: method, attempt: attempt, delay: delay, error: err});
+        setTimeout(send, delay);
+    }
+
+    function handleResponse(err, data) {
+        // the models are built from v1 responses
+        if (!err && self.options.normalize && self.transport.version == 'v1') {
+            var result = models.normalize(method, data, params);
+
+            if (self.options.decimals && result !== data) {
+                _.each(_.isArray(result) ? result : [result], decimals.toDecimalFields);
+            }
+
+            return callback(null, result);
         }
-        else if (response.statusCode < 200 || response.statusCode >= 300) {
-            error = new VError('%s HTTP status code %s returned from %s', functionName,
-                response.statusCode, requestDesc);
-            error.name = response.statusCode;
+
+        if (!err || !policy || !policy.shouldRetry(method, err, attempt)) {
+            return callback(err, data);
         }
-        else if (options.form) {
+
+        if (!policy.needsDuplicateCheck(method)) return retry(err);
+
+        // the placed orders can only be matched in v1 order lists
+        if (self.transport.version != 'v1') return callback(err, data);
+
+        checkPlaced(err, data, policy.duplicateChecks);
+    }
+
+    // looks for the order of the failed attempt a few times before sending it again
+    function checkPlaced(err, data, checksLeft) {
+        setTimeout(function () {
+            // orders made before the first attempt were placed by someone else
+            findPlacedOrder(self, method, params, startedAt - policy.clockSkew, function (checkErr, order) {
+                // without proof the order did not land it is not sent again
+                if (checkErr) return callback(err, data);
+
+                if (order) return callback(null, {result: true, order_id: order.order_id});
+                if (checksLeft > 1) return checkPlaced(err, data, checksLeft - 1);
+
+                retry(err);
+            });
+        }, policy.duplicateCheckDelay);
+    }
+
+    send();
+};
+
+/**
+ * Looks for an open or filled order matching the parameters of an order request
+ * @param  {OKEX}      client     The client that sent the order
+ * @param  {String}    method     trade or future_trade
+ * @param  {Object}    params     The order request parameters
+ * @param  {Number}    since      Only orders created after this time in milliseconds match
+ * @param  {Function}  callback   called with an error if the orders could not be checked, otherwise the matching order or null
+ */
+function findPlacedOrder(client, method, params, since, callback) {
+    var queries;
+
+    if (method == 'future_trade') {
+        queries = _.map([1, 2], function (status) {
+            return function (done) {
+                client.getFutureOrderInfo(done, params.symbol, -1, status, params.contract_type);
+            };
+        });
+    }
+    else {
+        queries = [
+            function (done) {
+                client.getOrderInfo(done, params.symbol, -1);
+            },
+            function (done) {
+                client.getOrderHistory(done, params.symbol, 1, 1, 200);
+            }
+        ];
+    }
+
+    var pending = queries.length,
+        found = null,
+        failed = null;
+
+    _.each(queries, function (query) {
+        query(function (err, data) {
+            data = models.rawOf(data);
+
+            if (err) failed = err;
+            else if (!found) found = _.find(data.orders || [], function (order) {
+                return order.create_date >= since && orderMatches(order, params);
+            }) || null;
+
+            if (--pending === 0) callback(found ? null : failed, found);
+        });
+    });
+}
+
+function orderMatches(order, params) {
+    if (String(order.type) != String(params.type)) return false;
+    if (_.has(params, 'amount') && Number(order.amount) != Number(params.amount)) return false;
+    if (_.has(params, 'price') && params.match_price != 1 && Number(order.price) != Number(params.price)) return false;
+    return true;
+}
+
+/**
+ * Returns the request queue statistics of each endpoint group. See RateLimiter.stats()
+ * @return {Object}   queue statistics or an empty object if rate limiting is off
+ */
+OKEX.prototype.getRateLimitStats = function () {
+    return this.rateLimiter ? this.rateLimiter.stats() : {};
+};
+
+/**
+ * Writes the requests and responses recorded with the record option to its fixture file
+ * @param callback  called with an error if the file could not be written
+ */
+OKEX.prototype.flushRecording = function flushRecording(callback) {
+    if (!(this.transport instanceof RecordingTransport)) return callback();
+    this.transport.flush(callback);
+};
+
+/**
+ * Sends a request and returns the parsed response or an OKEXError
+ * @param  {Object}    transport     The transport that sends the request and finds the error in the response
+ * @param  {Object}    options       The request options
+ * @param  {String}    requestDesc   Description of the request for error messages
+ * @param  {Object}    info          endpoint and params of the request added to errors
+ * @param  {Function}  callback      called with the error and parsed response
+ */
+function executeRequest(transport, options, requestDesc, info, callback) {
+    var functionName = 'OKEX.executeRequest()';
+
+    transport.send(options, function (err, response, data) {
+        var error = null,   // default to no errors
+            returnObject = data,
+            parseError = null,
+            exchangeError;
+
+        // form posts and v3 JSON bodies are sent without the json option so their responses are parsed here
+        if (!err && (options.form || _.isString(options.body))) {
             try {
                 returnObject = JSON.parse(data);
             }
             catch (e) {
-                error = new VError(e, 'Could not parse response from server: ' + data);
+                parseError = e;
             }
         }
+
+        if (err) {
+            error = errors.fromNetworkError(err, info, util.format('%s failed %s', functionName, requestDesc));
+        }
+        // v3 errors have a HTTP status code outside 2xx and an error code in the body
+        else if ((response.statusCode < 200 || response.statusCode >= 300) && !transport.errorOf(returnObject)) {
+            error = errors.fromStatusCode(response.statusCode, info, util.format('%s HTTP status code %s returned from %s',
+                functionName, response.statusCode, requestDesc));
+        }
+        else if (parseError) {
+            error = new errors.InvalidResponseError(info, parseError, 'Could not parse response from server: ' + data);
+        }
         // if json request was not able to parse json response into an object
         else if (options.json && !_.isObject(data)) {
-            error = new VError('%s could not parse response from %s\nResponse: %s', functionName, requestDesc, data);
+            error = new errors.InvalidResponseError(info, null, util.format('%s could not parse response from %s\nResponse: %s',
+                functionName, requestDesc, data));
+        }
+
+        if (!err && (exchangeError = transport.errorOf(returnObject))) {
+            error = errors.fromCode(exchangeError.code, info, util.format('%s %s returned error code %s, message: "%s"',
+                functionName, requestDesc, exchangeError.code, exchangeError.message));
         }
 
-        if (_.has(returnObject, 'error_code')) {
-            var errorMessage = mapErrorMessage(returnObject.error_code);
+        callback(error, returnObject, response);
+    });
+}
 
-            error = new VError('%s %s returned error code %s, message: "%s"', functionName,
-                requestDesc, returnObject.error_code, errorMessage);
-            error.info = errorMessage;
+/**
+ * Returns the request parameters of an API method called with either positional parameters or a named options object.
+ * Parameters that are undefined or null are left out so they are not sent or signed.
+ * Symbols are converted to the OKEX form and a futures symbol like BTC-USD-QUARTER sets the contract_type.
+ * @param  {Arguments}  args    The arguments of the API method. The first is the callback
+ * @param  {Array}      names   The names of the positional parameters after the callback
+ * @return {Object}             request parameters
+ */
+function toParams(args, names) {
+    var values = _.rest(args),
+        params = {};
 
-            error.name = returnObject.error_code;
-        }
+    if (values.length == 1 && _.isObject(values[0]) && !_.isArray(values[0]) && !_.isFunction(values[0])) {
+        params = _.clone(values[0]);
+    }
+    else {
+        _.each(names, function (name, i) {
+            params[name] = values[i];
+        });
+    }
 
-        callback(error, returnObject);
+    params = _.omit(params, function (value) {
+        return _.isUndefined(value) || _.isNull(value);
     });
+
+    // accept symbols like BTC/USDT or BTC-USD-QUARTER
+    if (_.has(params, 'symbol')) {
+        var parsed = InstrumentRegistry.parseSymbol(params.symbol);
+
+        params.symbol = parsed.symbol;
+        if (parsed.contract_type && !params.contract_type) params.contract_type = parsed.contract_type;
+    }
+
+    return params;
 }
 
 //
 // Public Functions
 //
+// Each API method takes either positional parameters after the callback or a named options object
+// eg client.getDepth(callback, 'btc_usd', 50) or client.getDepth(callback, {symbol: 'btc_usd', size: 50})
+//
 
 OKEX.prototype.getTicker = function getTicker(callback, symbol) {
-    this.publicRequest('ticker', {symbol: symbol}, callback);
+    this.publicRequest('ticker', toParams(arguments, ['symbol']), callback);
 };
 
 OKEX.prototype.getDepth = function getDepth(callback, symbol, size, merge) {
-    var params = {
-        symbol: symbol,
+    var params = _.defaults(toParams(arguments, ['symbol', 'size', 'merge']), {
         size: 200,
         merge: 1
-    };
-
-    if (!_.isUndefined(size)) params.size = size;
-    if (!_.isUndefined(merge)) params.merge = merge;
+    });
 
     this.publicRequest('depth', params, callback);
 };
 
 OKEX.prototype.getTrades = function getTrades(callback, symbol, since) {
-    var params = {symbol: symbol};
-    if (since) params.since = since;
-
-    this.publicRequest('trades', params, callback);
+    this.publicRequest('trades', toParams(arguments, ['symbol', 'since']), callback);
 };
 
 OKEX.prototype.getKline = function getKline(callback, symbol, type, size, since) {
-    var params = {symbol: symbol};
-    if (type) params.type = type;
-    if (size) params.size = size;
-    if (since) params.since = since;
+    this.publicRequest('kline', toParams(arguments, ['symbol', 'type', 'size', 'since']), callback);
+};
 
-    this.publicRequest('kline', params, callback);
+/**
+ * Gets the spot trading pairs with their price and size precision and minimum trade size
+ * @param callback
+ */
+OKEX.prototype.getProducts = function getProducts(callback) {
+    this.publicRequest('products', {}, callback);
 };
 
-OKEX.prototype.getLendDepth = function getLendDepth(callback, symbol) {
-    this.publicRequest('kline', {symbol: symbol}, callback);
+/**
+ * Loads the spot products into the instrument registry so trading methods check symbols and minimum order sizes.
+ * The products are cached for the instrumentsTtl option
+ * @param callback  called with an error or the InstrumentRegistry
+ * @param force     true to load even if the cached products have not expired
+ */
+OKEX.prototype.loadInstruments = function loadInstruments(callback, force) {
+    this.instruments.load(callback, force);
 };
 
 //
@@ -214,185 +635,110 @@ OKEX.prototype.getUserInfo = function getUserInfo(callback) {
 };
 
 OKEX.prototype.addTrade = function addTrade(callback, symbol, type, amount, price) {
-    var params = {
-        //api_key: this.api_key,
-        symbol: symbol,
-        type: type
-    };
-
-    if (amount) params.amount = amount;
-    if (price) params.price = price;
-
-    this.privateRequest('trade', params, callback);
+    this.privateRequest('trade', toParams(arguments, ['symbol', 'type', 'amount', 'price']), callback);
 };
 
 OKEX.prototype.addBatchTrades = function addBatchTrades(callback, symbol, type, orders) {
-    this.privateRequest('batch_trade', {
-        symbol: symbol,
-        type: type,
-        orders_data: orders
-    }, callback);
+    this.privateRequest('batch_trade', toParams(arguments, ['symbol', 'type', 'orders_data']), callback);
 };
 
 OKEX.prototype.cancelOrder = function cancelOrder(callback, symbol, order_id) {
-    this.privateRequest('cancel_order', {
-        symbol: symbol,
-        order_id: order_id
-    }, callback);
+    this.privateRequest('cancel_order', toParams(arguments, ['symbol', 'order_id']), callback);
 };
 
 OKEX.prototype.getOrderInfo = function getOrderInfo(callback, symbol, order_id) {
-    this.privateRequest('order_info', {
-        symbol: symbol,
-        order_id: order_id
-    }, callback);
+    this.privateRequest('order_info', toParams(arguments, ['symbol', 'order_id']), callback);
 };
 
 OKEX.prototype.getOrdersInfo = function getOrdersInfo(callback, symbol, type, order_id) {
-    this.privateRequest('orders_info', {
-        symbol: symbol,
-        type: type,
-        order_id: order_id
-    }, callback);
+    this.privateRequest('orders_info', toParams(arguments, ['symbol', 'type', 'order_id']), callback);
 };
 
 OKEX.prototype.getAccountRecords = function getAccountRecords(callback, symbol, type, current_page, page_length) {
-    this.privateRequest('account_records', {
-        symbol: symbol,
-        type: type,
-        current_page: current_page,
-        page_length: page_length
-    }, callback);
+    var params = toParams(arguments, ['symbol', 'type', 'current_page', 'page_length']);
+
+    this.privateRequest('account_records', params, callback);
 };
 
 OKEX.prototype.getTradeHistory = function getTradeHistory(callback, symbol, since) {
-    this.privateRequest('trade_history', {
-        symbol: symbol,
-        since: since
-    }, callback);
+    this.privateRequest('trade_history', toParams(arguments, ['symbol', 'since']), callback);
 };
 
 OKEX.prototype.getOrderHistory = function getOrderHistory(callback, symbol, status, current_page, page_length) {
-    this.privateRequest('order_history', {
-        symbol: symbol,
-        status: status,
-        current_page: current_page,
-        page_length: page_length
-    }, callback);
+    var params = toParams(arguments, ['symbol', 'status', 'current_page', 'page_length']);
+
+    this.privateRequest('order_history', params, callback);
 };
 
 OKEX.prototype.addWithdraw = function addWithdraw(callback, symbol, chargefee, trade_pwd, withdraw_address, withdraw_amount) {
-    this.privateRequest('withdraw', {
-        symbol: symbol,
-        chargefee: chargefee,
-        trade_pwd: trade_pwd,
-        withdraw_address: withdraw_address,
-        withdraw_amount: withdraw_amount
-    }, callback);
+    var params = toParams(arguments, ['symbol', 'chargefee', 'trade_pwd', 'withdraw_address', 'withdraw_amount']);
+
+    this.privateRequest('withdraw', params, callback);
 };
 
 OKEX.prototype.cancelWithdraw = function cancelWithdraw(callback, symbol, withdraw_id) {
-    this.privateRequest('cancel_withdraw', {
-        symbol: symbol,
-        withdraw_id: withdraw_id
-    }, callback);
+    this.privateRequest('cancel_withdraw', toParams(arguments, ['symbol', 'withdraw_id']), callback);
+};
+
+OKEX.prototype.getWalletInfo = function getWalletInfo(callback) {
+    this.privateRequest('wallet_info', {}, callback);
+};
+
+//
+// Lending and margin
+//
+
+// the top 10 lend offers
+OKEX.prototype.getLendDepth = function getLendDepth(callback, symbol) {
+    this.privateRequest('lend_depth', toParams(arguments, ['symbol']), callback);
+};
+
+OKEX.prototype.getBorrowsInfo = function getBorrowsInfo(callback, symbol) {
+    this.privateRequest('borrows_info', toParams(arguments, ['symbol']), callback);
 };
 
 /**
- * Maps the OKEX error codes to error message
- * @param  {Integer}  error_code   OKEX error code
- * @return {String}                error message
+ * @param callback
+ * @param symbol
+ * @param days  fifteen, thirty, sixty or ninety
+ * @param amount
+ * @param rate  daily interest rate between 0.0001 and 0.01
  */
-function mapErrorMessage(error_code) {
-    var errorCodes = {
-        10000: 'Required parameter can not be null',
-        10001: 'Requests are too frequent',
-        10002: 'System Error',
-        10003: 'Restricted list request, please try again later',
-        10004: 'IP restriction',
-        10005: 'Key does not exist',
-        10006: 'User does not exist',
-        10007: 'Signatures do not match',
-        10008: 'Illegal parameter',
-        10009: 'Order does not exist',
-        10010: 'Insufficient balance',
-        10011: 'Order is less than minimum trade amount',
-        10012: 'Unsupported symbol (not btc_usd or ltc_usd)',
-        10013: 'This interface only accepts https requests',
-        10014: 'Order price must be between 0 and 1,000,000',
-        10015: 'Order price differs from current market price too much',
-        10016: 'Insufficient coins balance',
-        10017: 'API authorization error',
-        10026: 'Loan (including reserved loan) and margin cannot be withdrawn',
-        10027: 'Cannot withdraw within 24 hrs of authentication information modification',
-        10028: 'Withdrawal amount exceeds daily limit',
-        10029: 'Account has unpaid loan, please cancel/pay off the loan before withdraw',
-        10031: 'Deposits can only be withdrawn after 6 confirmations',
-        10032: 'Please enabled phone/google authenticator',
-        10033: 'Fee higher than maximum network transaction fee',
-        10034: 'Fee lower than minimum network transaction fee',
-        10035: 'Insufficient BTC/LTC',
-        10036: 'Withdrawal amount too low',
-        10037: 'Trade password not set',
-        10040: 'Withdrawal cancellation fails',
-        10041: 'Withdrawal address not approved',
-        10042: 'Admin password error',
-        10100: 'User account frozen',
-        10216: 'Non-available API',
-        20001: '用户不存在',
-        20002: '用户被冻结',
-        20003: '用户被爆仓冻结',
-        20004: '合约账户被冻结',
-        20005: '用户合约账户不存在',
-        20006: '必填参数为空',
-        20007: '参数错误',
-        20008: '合约账户余额为空',
-        20009: '虚拟合约状态错误',
-        20010: '合约风险率信息不存在',
-        20011: '10倍/20倍杠杆开BTC前保证金率低于90%/80%，10倍/20倍杠杆开LTC前保证金率低于80%/60%',
-        20012: '10倍/20倍杠杆开BTC后保证金率低于90%/80%，10倍/20倍杠杆开LTC后保证金率低于80%/60%',
-        20013: '暂无对手价',
-        20014: '系统错误',
-        20015: '订单信息不存在',
-        20016: '平仓数量是否大于同方向可用持仓数量',
-        20017: '非本人操作',
-        20018: '下单价格高于前一分钟的103%或低于97%',
-        20019: '该IP限制不能请求该资源',
-        20020: '密钥不存在',
-        20021: '指数信息不存在',
-        20022: '接口调用错误（全仓模式调用全仓接口，逐仓模式调用逐仓接口）',
-        20023: '逐仓用户',
-        20024: 'sign签名不匹配',
-        20025: '杠杆比率错误',
-        20026: 'API鉴权错误',
-        20027: '无交易记录',
-        20028: '合约不存在',
-        20029: '转出金额大于可转金额',
-        20030: '账户存在借款',
-        20038: '根据相关法律，您所在的国家或地区不能使用该功能。',
-        20049: '用户请求接口过于频繁',
-        20061: '合约相同方向只支持一个杠杆，若有10倍多单，就不能再下20倍多单',
-        21020: '合约交割中，无法下单',
-        21021: '合约清算中，无法下单',
-        503: 'Too many requests (Http)'
-    };
-
-    if (!errorCodes[error_code]) {
-        return 'Unknown OKEX error code: ' + error_code;
-    }
-
-    return ( errorCodes[error_code] );
-}
+OKEX.prototype.addBorrowMoney = function addBorrowMoney(callback, symbol, days, amount, rate) {
+    this.privateRequest('borrow_money', toParams(arguments, ['symbol', 'days', 'amount', 'rate']), callback);
+};
+
+OKEX.prototype.cancelBorrow = function cancelBorrow(callback, symbol, borrow_id) {
+    this.privateRequest('cancel_borrow', toParams(arguments, ['symbol', 'borrow_id']), callback);
+};
+
+OKEX.prototype.addRepayment = function addRepayment(callback, symbol, borrow_id) {
+    this.privateRequest('repayment', toParams(arguments, ['symbol', 'borrow_id']), callback);
+};
+
+OKEX.prototype.getUnrepaymentsInfo = function getUnrepaymentsInfo(callback, symbol, current_page, page_length) {
+    var params = toParams(arguments, ['symbol', 'current_page', 'page_length']);
+
+    this.privateRequest('unrepayments_info', params, callback);
+};
+
+OKEX.prototype.getMarginUserInfo = function getMarginUserInfo(callback, symbol) {
+    this.privateRequest('margin_userinfo', toParams(arguments, ['symbol']), callback);
+};
 
 /**
  * 合约交易
  *
  * contract_type this_week:当周 next_week:下周 quarter:季度
+ * The contract type can also be part of the symbol. eg BTC-USD-THIS_WEEK
+ * Without one the defaultContractType option is used, which defaults to quarter.
+ * Set it to null to reject futures requests without a contract type
  */
 
-function handleContractType(params, contract_type) {
-    params.contract_type = 'quarter';
-    if (contract_type) params.contract_type = contract_type;
+function handleContractType(params, options) {
+    var defaultContractType = _.has(options, 'defaultContractType') ? options.defaultContractType : 'quarter';
+
+    if (!params.contract_type && defaultContractType) params.contract_type = defaultContractType;
     return params;
 }
 
@@ -401,35 +747,29 @@ function handleContractType(params, contract_type) {
 //
 //1.获取行情
 OKEX.prototype.getFutureTicker = function getFutureTicker(callback, symbol, contract_type) {
-    var params = {symbol: symbol, contract_type: 'quarter'};
-    if (contract_type) params.contract_type = contract_type;
-    this.publicRequest('future_ticker', params, callback);
+    var params = toParams(arguments, ['symbol', 'contract_type']);
+    this.publicRequest('future_ticker', handleContractType(params, this.options), callback);
 };
 
 //2.获取深度
 OKEX.prototype.getFutureDepth = function getFutureDepth(callback, symbol, size, merge, contract_type) {
-    var params = {
-        symbol: symbol,
+    var params = _.defaults(toParams(arguments, ['symbol', 'size', 'merge', 'contract_type']), {
         size: 200,
         merge: 1
-    };
-
-    if (!_.isUndefined(size)) params.size = size;
-    if (!_.isUndefined(merge)) params.merge = merge;
+    });
 
-    this.publicRequest('future_depth', handleContractType(params, contract_type), callback);
+    this.publicRequest('future_depth', handleContractType(params, this.options), callback);
 };
 
 //3.获取OKEx合约交易记录信息
 OKEX.prototype.getFutureTrades = function getFutureTrades(callback, symbol, contract_type) {
-    var params = {symbol: symbol};
-    this.publicRequest('future_trades', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'contract_type']);
+    this.publicRequest('future_trades', handleContractType(params, this.options), callback);
 };
 
 //4.获取OKEx合约指数信息
 OKEX.prototype.getFutureIndex = function getFutureIndex(callback, symbol) {
-    var params = {symbol: symbol};
-    this.publicRequest('future_index', params, callback);
+    this.publicRequest('future_index', toParams(arguments, ['symbol']), callback);
 };
 
 //5.获取美元人民币汇率
@@ -437,28 +777,29 @@ OKEX.prototype.getExchangeRate = function getExchangeRate(callback) {
     this.publicRequest('exchange_rate', {}, callback);
 };
 
-//6.Get /api/v1/future_estimated_price 获取交割预估价
+//6.获取交割预估价
+OKEX.prototype.getFutureEstimatedPrice = function getFutureEstimatedPrice(callback, symbol) {
+    this.publicRequest('future_estimated_price', toParams(arguments, ['symbol']), callback);
+};
 
 /**
  * 7.获取OKEx合约K线信息
  * @param callback
  * @param symbol
  * @param type  1min/3min/5min/15min/30min/1day/3day/1week/1hour/2hour/4hour/6hour/12hour
+ * @param size
+ * @param since
  * @param contract_type
  */
 OKEX.prototype.getFutureKline = function getFutureKline(callback, symbol, type, size, since, contract_type) {
-    var params = {symbol: symbol};
-    if (type) params.type = type;
-    if (size) params.size = size;
-    if (since) params.since = since;
-
-    this.publicRequest('future_kline', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'type', 'size', 'since', 'contract_type']);
+    this.publicRequest('future_kline', handleContractType(params, this.options), callback);
 };
 
 //8.获取当前可用合约总持仓量
 OKEX.prototype.getFutureHoldAmount = function getFutureHoldAmount(callback, symbol, contract_type) {
-    var params = {symbol: symbol};
-    this.publicRequest('future_hold_amount', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'contract_type']);
+    this.publicRequest('future_hold_amount', handleContractType(params, this.options), callback);
 };
 
 //
@@ -471,56 +812,68 @@ OKEX.prototype.getFutureUserInfo = function getFutureUserInfo(callback) {
 
 //2.获取用户持仓获取OKEX合约账户信息 （全仓）
 OKEX.prototype.getFuturePosition = function getFuturePosition(callback, symbol, contract_type) {
-    var params = {
-        symbol: symbol
-    };
-    this.privateRequest('future_position', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'contract_type']);
+    this.privateRequest('future_position', handleContractType(params, this.options), callback);
 };
 
-//3.合约下单
-OKEX.prototype.addFutureTrade = function addFutureTrade(callback, symbol, type, amount, price, match_price, contract_type) {
-    var params = {
-        symbol: symbol,
-        type: type
-    };
-
-    if (amount) params.amount = amount;
-    if (price) params.price = price;
-    if (match_price) params.match_price = match_price;
-
-    this.privateRequest('future_trade', handleContractType(params, contract_type), callback);
+/**
+ * 3.合约下单
+ * @param callback
+ * @param symbol
+ * @param type  1:开多 2:开空 3:平多 4:平空
+ * @param amount
+ * @param price
+ * @param match_price  1:对手价下单 price is ignored
+ * @param contract_type
+ * @param lever_rate  10 or 20. Defaults to 10
+ */
+OKEX.prototype.addFutureTrade = function addFutureTrade(callback, symbol, type, amount, price, match_price, contract_type, lever_rate) {
+    var params = toParams(arguments, ['symbol', 'type', 'amount', 'price', 'match_price', 'contract_type', 'lever_rate']);
+    this.privateRequest('future_trade', handleContractType(params, this.options), callback);
 };
 
-//4.获取OKEX合约交易历史（非个人）访问频率
+/**
+ * 4.获取OKEX合约交易历史（非个人）访问频率
+ * @param callback
+ * @param symbol
+ * @param date  yyyy-MM-dd. Only the last 7 days are available
+ * @param since  trades after this trade id
+ */
+OKEX.prototype.getFutureTradesHistory = function getFutureTradesHistory(callback, symbol, date, since) {
+    this.privateRequest('future_trades_history', toParams(arguments, ['symbol', 'date', 'since']), callback);
+};
 
-//5.POST /api/v1/future_batch_trade 批量下单
+/**
+ * 5.批量下单
+ * @param callback
+ * @param symbol
+ * @param orders  up to 5 orders of {price, amount, type, match_price}
+ * @param lever_rate  10 or 20. Defaults to 10
+ * @param contract_type
+ */
+OKEX.prototype.addFutureBatchTrades = function addFutureBatchTrades(callback, symbol, orders_data, lever_rate, contract_type) {
+    var params = toParams(arguments, ['symbol', 'orders_data', 'lever_rate', 'contract_type']);
+    this.privateRequest('future_batch_trade', handleContractType(params, this.options), callback);
+};
 
 //6.取消合约订单
 OKEX.prototype.cancelFutureOrder = function cancelFutureOrder(callback, symbol, order_id, contract_type) {
-    var params = {
-        symbol: symbol,
-        order_id: order_id
-    };
-    this.privateRequest('future_cancel', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'order_id', 'contract_type']);
+    this.privateRequest('future_cancel', handleContractType(params, this.options), callback);
 };
 
 //7.获取合约订单信息
 OKEX.prototype.getFutureOrderInfo = function getFutureOrderInfo(callback, symbol, order_id, status, contract_type) {
-    var params = {
-        symbol: symbol,
-        order_id: order_id
-    };
-    if (order_id == '-1') params.status = status;
-    this.privateRequest('future_order_info', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'order_id', 'status', 'contract_type']);
+    // status is only used when getting all orders with order_id -1
+    if (params.order_id != '-1') delete params.status;
+    this.privateRequest('future_order_info', handleContractType(params, this.options), callback);
 };
 
 //8.POST /api/v1/future_orders_info 批量获取合约订单信息
 OKEX.prototype.getFutureOrdersInfo = function getFutureOrderInfo(callback, symbol, order_id, contract_type) {
-    var params = {
-        symbol: symbol,
-        order_id: order_id
-    };
-    this.privateRequest('future_orders_info', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'order_id', 'contract_type']);
+    this.privateRequest('future_orders_info', handleContractType(params, this.options), callback);
 };
 
 //9.POST /api/v1/future_userinfo_4fix 获取逐仓合约账户信息
@@ -530,14 +883,165 @@ OKEX.prototype.getFutureUserInfoFix = function getFutureUserInfoFix(callback) {
 
 //10.POST /api/v1/future_position_4fix 逐仓用户持仓查询
 OKEX.prototype.getFuturePositionFix = function getFuturePositionFix(callback, symbol, contract_type) {
-    var params = {
-        symbol: symbol
-    };
-    this.privateRequest('future_position_4fix', handleContractType(params, contract_type), callback);
+    var params = toParams(arguments, ['symbol', 'contract_type']);
+    this.privateRequest('future_position_4fix', handleContractType(params, this.options), callback);
+};
+
+/**
+ * 11.获取合约爆仓单
+ * @param callback
+ * @param symbol
+ * @param status  0:最近7天未成交 1:最近7天已成交
+ * @param current_page
+ * @param page_length  up to 50
+ * @param contract_type
+ */
+OKEX.prototype.getFutureExplosive = function getFutureExplosive(callback, symbol, status, current_page, page_length, contract_type) {
+    var params = toParams(arguments, ['symbol', 'status', 'current_page', 'page_length', 'contract_type']);
+    this.privateRequest('future_explosive', handleContractType(params, this.options), callback);
+};
+
+/**
+ * 12.个人账户资金划转
+ * @param callback
+ * @param symbol  eg btc_usd
+ * @param type  1:币币转合约 2:合约转币币
+ * @param amount  amount of the coin to transfer
+ */
+OKEX.prototype.addFutureDevolve = function addFutureDevolve(callback, symbol, type, amount) {
+    this.privateRequest('future_devolve', toParams(arguments, ['symbol', 'type', 'amount']), callback);
+};
+
+//
+// History
+//
+
+/**
+ * Returns an async iterator over every item of getOrderHistory, getAccountRecords or getTradeHistory.
+ * It requests the pages or since cursors one at a time until the end and skips items it has already returned.
+ * eg for await (const order of client.iterate('getOrderHistory', {symbol: 'btc_usdt', status: 1})) {}
+ * @param  {String}  method    The history method
+ * @param  {Object}  params    The parameters of the method
+ * @param  {Object}  options   optional limit, from and to. See HistoryIterator
+ * @return {HistoryIterator}
+ */
+OKEX.prototype.iterate = function (method, params, options) {
+    return new pagination.HistoryIterator(this, method, params, options);
+};
+
+/**
+ * Gets every item of getOrderHistory, getAccountRecords or getTradeHistory
+ * @param callback  called with an error or the array of items
+ * @param method
+ * @param params
+ * @param options  limit, from and to. See HistoryIterator
+ */
+OKEX.prototype.collectAll = function collectAll(callback, method, params, options) {
+    try {
+        pagination.collect(this, method, params, options, callback);
+    }
+    catch (err) {
+        callback(err);
+    }
+};
+
+/**
+ * Returns a candle downloader of this client that fetches any date range of getKline or getFutureKline candles,
+ * fills the gaps and caches them on disk
+ * @param  {Object}  options   optional cacheDir and fillGaps. See CandleHistory
+ * @return {CandleHistory}
+ */
+OKEX.prototype.candleHistory = function (options) {
+    return new CandleHistory(this, options);
 };
 
-//11.POST /api/v1/future_explosive 获取合约爆仓单
+//
+// Execution algorithms
+//
+
+/**
+ * Returns an execution that places an order as smaller child orders with the twap, iceberg or chase algorithm
+ * @param  {Object}  order     symbol, type, amount, price and the contract_type and lever_rate of futures. See Execution
+ * @param  {Object}  options   optional algorithm and its settings. See Execution
+ * @return {Execution}         The execution. Call start to run it
+ */
+OKEX.prototype.execution = function (order, options) {
+    return new Execution(this, order, options);
+};
+
+//
+// Portfolio
+//
+
+/**
+ * Gets the spot balances, futures accounts and positions valued in one currency with the profits,
+ * margin ratios and liquidation distances of the positions
+ * @param callback  called with an error or the portfolio. See Portfolio.load
+ * @param options  optional quote, marginMode and contractTypes. See Portfolio
+ */
+OKEX.prototype.getPortfolio = function getPortfolio(callback, options) {
+    try {
+        new Portfolio(this, options).load(callback);
+    }
+    catch (err) {
+        callback(err);
+    }
+};
+
+//
+// Order book
+//
+
+/**
+ * Gets the depth of a spot symbol or futures contract as an OrderBook
+ * @param callback
+ * @param symbol
+ * @param size
+ * @param contract_type  optional this_week, next_week or quarter to get a futures order book
+ */
+OKEX.prototype.getOrderBook = function getOrderBook(callback, symbol, size, contract_type) {
+    var params = toParams(arguments, ['symbol', 'size', 'contract_type']);
+
+    function buildOrderBook(err, depth) {
+        if (err) return callback(err, depth);
+        callback(null, OrderBook.fromDepth(models.rawOf(depth), params.symbol, params.contract_type));
+    }
+
+    if (params.contract_type) this.getFutureDepth(buildOrderBook, params);
+    else this.getDepth(buildOrderBook, params);
+};
+
+//
+// Promise support
+//
 
-//12.POST /api/v1/future_devolve 个人账户资金划转
+// methods that are not callback first API methods
+var notCallbackFirst = ['privateRequest', 'publicRequest', 'signMessage', 'scheduleRequest', 'getRateLimitStats',
+    'sendRequest', 'iterate', 'candleHistory', 'execution'];
+
+_.each(_.functions(OKEX.prototype), function (name) {
+    // the EventEmitter methods are inherited
+    if (_.contains(notCallbackFirst, name) || !_.has(OKEX.prototype, name)) return;
+    OKEX.prototype[name] = promises.callbackOrPromise(OKEX.prototype[name]);
+});
+
+OKEX.errors = errors;
+OKEX.transports = transports;
+OKEX.PaperExchange = PaperExchange;
+OKEX.RecordingTransport = RecordingTransport;
+OKEX.OrderManager = OrderManager;
+OKEX.HistoryIterator = pagination.HistoryIterator;
+OKEX.CandleHistory = CandleHistory;
+OKEX.WithdrawalGuard = WithdrawalGuard;
+OKEX.RiskGuard = RiskGuard;
+OKEX.Portfolio = Portfolio;
+OKEX.MockServer = MockServer;
+OKEX.Metrics = instrumentation.Metrics;
+OKEX.Execution = Execution;
+OKEX.WebSocket = OKEXWebSocket;
+OKEX.OrderBook = OrderBook;
+OKEX.models = models;
+OKEX.Big = decimals.Big;
+OKEX.InstrumentRegistry = InstrumentRegistry;
 
 module.exports = OKEX;
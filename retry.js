@@ -0,0 +1,98 @@
+const _ = require('underscore');
+const errors = require('./errors');
+
+var defaults = {
+    maxAttempts: 3,
+    baseDelay: 500,         // milliseconds before the second attempt. Doubles for each attempt after that
+    maxDelay: 10000,
+    jitter: 0.5,            // fraction of the delay that is randomised
+    clockSkew: 5000,        // milliseconds the OKEX clock may be behind. Only orders created after the first attempt
+                            // less this margin are taken to be the failed attempt
+    duplicateCheckDelay: 1000,  // milliseconds to wait before looking for the order of a failed attempt, as an order
+                                // that timed out can reach OKEX later
+    duplicateChecks: 2,         // times to look for the order before it is sent again
+    retryOn: {
+        network: true,
+        server: true,
+        rateLimit: true,
+        system: true
+    }
+};
+
+/**
+ * OKEX API methods that are safe to send again. Methods not listed here or in duplicateChecked are never retried
+ */
+var idempotentMethods = [
+    'ticker', 'depth', 'trades', 'kline',
+    'userinfo', 'order_info', 'orders_info', 'account_records', 'trade_history', 'order_history',
+    'future_ticker', 'future_depth', 'future_trades', 'future_index', 'exchange_rate', 'future_kline',
+    'future_hold_amount', 'future_userinfo', 'future_position', 'future_order_info', 'future_orders_info',
+    'future_userinfo_4fix', 'future_position_4fix', 'future_estimated_price', 'future_trades_history',
+    'future_explosive', 'products', 'wallet_info', 'lend_depth', 'borrows_info', 'unrepayments_info',
+    'margin_userinfo'
+];
+
+/**
+ * Order placing methods that are only retried when OKEX has no order matching the failed attempt
+ */
+var duplicateChecked = ['trade', 'future_trade'];
+
+/**
+ * Retry policy with exponential backoff for transient request failures
+ * @param  {Object}  config   optional settings to override the defaults
+ */
+var RetryPolicy = function (config) {
+    config = _.isObject(config) ? config : {};
+
+    _.extend(this, defaults, _.omit(config, 'retryOn'));
+    this.retryOn = _.extend({}, defaults.retryOn, config.retryOn);
+};
+
+/**
+ * Returns the class of a request error
+ * @param  {Error}  error   The error passed to the request callback
+ * @return {String}         network, server, rateLimit, system or undefined if the error is not transient
+ */
+RetryPolicy.prototype.classify = function (error) {
+    if (!error.retryable) return;
+
+    if (error instanceof errors.NetworkError) return 'network';
+    if (error instanceof errors.RateLimitError) return 'rateLimit';
+    if (error instanceof errors.SystemError) return 'system';
+    if (error instanceof errors.HttpError) return 'server';
+};
+
+/**
+ * Returns true if a failed request can be sent again
+ * @param  {String}  method    The OKEX API method
+ * @param  {Error}   error     The error of the last attempt
+ * @param  {Number}  attempt   The number of attempts so far
+ * @return {Boolean}
+ */
+RetryPolicy.prototype.shouldRetry = function (method, error, attempt) {
+    if (attempt >= this.maxAttempts) return false;
+    if (!this.isIdempotent(method) && !this.needsDuplicateCheck(method)) return false;
+
+    var errorClass = this.classify(error);
+    return !!errorClass && !!this.retryOn[errorClass];
+};
+
+RetryPolicy.prototype.isIdempotent = function (method) {
+    return _.contains(idempotentMethods, method);
+};
+
+RetryPolicy.prototype.needsDuplicateCheck = function (method) {
+    return _.contains(duplicateChecked, method);
+};
+
+/**
+ * Returns how long to wait before the next attempt
+ * @param  {Number}  attempt   The number of attempts so far
+ * @return {Number}            delay in milliseconds
+ */
+RetryPolicy.prototype.delay = function (attempt) {
+    var delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+};
+
+module.exports = RetryPolicy;
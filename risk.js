@@ -0,0 +1,364 @@
+const util = require('util');
+const _ = require('underscore');
+const errors = require('./errors');
+const decimals = require('./decimals');
+const helpers = require('./helpers');
+const models = require('./models');
+
+/**
+ * Order methods the risk checks apply to
+ */
+var orderMethods = ['trade', 'batch_trade', 'future_trade', 'future_batch_trade'];
+
+/**
+ * Checks orders against risk limits before they are sent to OKEX.
+ *
+ * Limits are a number for every symbol or numbers keyed by symbol. Spot notionals are in the quote currency,
+ * eg USDT of btc_usdt, and futures notionals are in USD from the contract value of the symbol.
+ * The open orders, last prices and positions are requested from OKEX for each order when a limit needs them.
+ * Orders that passed the checks are reserved and count as open orders of the symbol until OKEX answers, so orders
+ * checked at the same time can not go over maxOpenOrders or maxSymbolNotional together. They keep counting for the
+ * checks that were already waiting for the open orders, as those may be from before the order was placed.
+ * The responses are read in their v1 shapes so the client must use the v1 API.
+ *
+ * @param  {Object}  options   maxOrderNotional: largest notional of an order
+ *                             maxSymbolNotional: largest notional of the open orders of a symbol and the new order
+ *                             maxOpenOrders: most open orders of a symbol including the new order
+ *                             priceBand: largest fraction a limit price can be from the last price. eg 0.05 for 5%
+ *                             maxPosition: most contracts held on a side of a futures position after an order
+ *                             that opens a position. A number or numbers keyed by contract type
+ *                             maxLeverRate: largest lever_rate of futures orders
+ */
+var RiskGuard = function (options) {
+    options = options || {};
+
+    this.maxOrderNotional = options.maxOrderNotional;
+    this.maxSymbolNotional = options.maxSymbolNotional;
+    this.maxOpenOrders = options.maxOpenOrders;
+    this.priceBand = options.priceBand;
+    this.maxPosition = options.maxPosition;
+    this.maxLeverRate = options.maxLeverRate;
+
+    // {symbol, contract_type, orders, settledAt} of the orders that passed the checks
+    this.reservations = [];
+    // sequence numbers of the checks waiting for the market and account state
+    this.checks = [];
+    this.sequence = 0;
+};
+
+RiskGuard.orderMethods = orderMethods;
+
+/**
+ * Checks the orders of a request
+ * @param  {OKEX}      client     The client to request the open orders, tickers and positions with
+ * @param  {String}    method     trade, batch_trade, future_trade or future_batch_trade
+ * @param  {Object}    params     The validated request parameters
+ * @param  {Function}  callback   called with a RiskLimitError describing every broken limit, or nothing and the
+ *                                reservation of the orders to settle once OKEX answers
+ */
+RiskGuard.prototype.check = function (client, method, params, callback) {
+    var self = this,
+        functionName = 'RiskGuard.check()',
+        orders = ordersOf(method, params),
+        order = orders[0],
+        isFuture = !!order.contract_type,
+        startedAt = ++this.sequence,
+        tasks = {};
+
+    var needsNotional = !_.isUndefined(limitOf(this.maxOrderNotional, order.symbol)) ||
+        !_.isUndefined(limitOf(this.maxSymbolNotional, order.symbol));
+
+    // sell_market orders of spot have no price to value them with
+    if (!_.isUndefined(this.priceBand) || (needsNotional && _.findWhere(orders, {type: 'sell_market'}))) {
+        tasks.ticker = function (done) {
+            if (isFuture) client.getFutureTicker(done, {symbol: order.symbol, contract_type: order.contract_type});
+            else client.getTicker(done, {symbol: order.symbol});
+        };
+    }
+
+    if (!_.isUndefined(limitOf(this.maxOpenOrders, order.symbol)) ||
+        !_.isUndefined(limitOf(this.maxSymbolNotional, order.symbol))) {
+        tasks.openOrders = function (done) {
+            if (isFuture) {
+                client.getFutureOrderInfo(done, {
+                    symbol: order.symbol,
+                    order_id: -1,
+                    status: 1,
+                    contract_type: order.contract_type
+                });
+            }
+            else client.getOrderInfo(done, {symbol: order.symbol, order_id: -1});
+        };
+    }
+
+    if (isFuture && !_.isUndefined(limitOf(this.maxPosition, order.contract_type)) && _.some(orders, opensPosition)) {
+        tasks.position = function (done) {
+            client.getFuturePosition(done, {symbol: order.symbol, contract_type: order.contract_type});
+        };
+    }
+
+    this.checks.push(startedAt);
+
+    helpers.parallel(tasks, function (err, state) {
+        self.checks = _.without(self.checks, startedAt);
+
+        if (err) {
+            self.prune();
+            return callback(new errors.RiskLimitError({endpoint: method, params: params}, err,
+                util.format('%s could not get the market and account state to check the order', functionName)));
+        }
+
+        var read = readState(state, order.contract_type);
+
+        if (read.openOrders) read.openOrders = read.openOrders.concat(self.reservedOrders(order, startedAt));
+
+        var problems = read.problems.length ? read.problems : self.problemsOf(client, orders, read);
+
+        self.prune();
+
+        if (!problems.length) return callback(null, self.reserve(orders));
+
+        callback(new errors.RiskLimitError({endpoint: method, params: params}, null,
+            util.format('%s %s order rejected: %s', functionName, order.symbol, problems.join('; '))));
+    });
+};
+
+/**
+ * Counts orders that passed the checks as open orders until they are settled
+ * @param  {Array}   orders   The orders of a request
+ * @return {Object}           The reservation
+ */
+RiskGuard.prototype.reserve = function (orders) {
+    var reservation = {
+        symbol: orders[0].symbol,
+        contract_type: orders[0].contract_type,
+        orders: orders,
+        settledAt: null
+    };
+
+    this.reservations.push(reservation);
+    return reservation;
+};
+
+/**
+ * Settles a reservation once OKEX answered the order request. Orders OKEX rejected stop counting right away.
+ * Other orders may be open, so they count for the checks that started before they were settled
+ * @param  {Object}  reservation   The reservation returned by check
+ * @param  {Error}   err           optional error of the order request
+ */
+RiskGuard.prototype.settle = function (reservation, err) {
+    if (!reservation) return;
+
+    if (err instanceof errors.ExchangeError) this.reservations = _.without(this.reservations, reservation);
+    else reservation.settledAt = ++this.sequence;
+
+    this.prune();
+};
+
+/**
+ * Returns the reserved orders of the symbol and contract type of an order that count for a check
+ * @param  {Object}  order       An order of the request being checked
+ * @param  {Number}  startedAt   sequence number of the check
+ * @return {Array}
+ */
+RiskGuard.prototype.reservedOrders = function (order, startedAt) {
+    return _.flatten(_.pluck(_.filter(this.reservations, function (reservation) {
+        return reservation.symbol == order.symbol && reservation.contract_type == order.contract_type &&
+            (reservation.settledAt === null || reservation.settledAt > startedAt);
+    }), 'orders'), true);
+};
+
+/**
+ * Drops the settled reservations that no waiting check counts
+ */
+RiskGuard.prototype.prune = function () {
+    var checks = this.checks;
+
+    this.reservations = _.filter(this.reservations, function (reservation) {
+        return reservation.settledAt === null || _.some(checks, function (startedAt) {
+            return startedAt < reservation.settledAt;
+        });
+    });
+};
+
+/**
+ * Returns the limits the orders break
+ * @param  {OKEX}    client   The client with the instruments
+ * @param  {Array}   orders   The orders of a request
+ * @param  {Object}  state    last price, open orders and holding of the futures position that were requested
+ * @return {Array}            problem messages
+ */
+RiskGuard.prototype.problemsOf = function (client, orders, state) {
+    var self = this,
+        symbol = orders[0].symbol,
+        contract_type = orders[0].contract_type,
+        instrument = client.instruments.get(symbol, contract_type),
+        problems = [],
+        orderNotionals = [];
+
+    function notionalOf(order, amount, price) {
+        if (order.contract_type) {
+            if (!instrument || !instrument.contractValue) return null;
+            return decimals.toDecimal(amount).times(instrument.contractValue);
+        }
+
+        // the price of a buy_market order is the total to spend
+        if (order.type == 'buy_market') return decimals.toDecimal(price);
+        if (order.type == 'sell_market') price = state.last;
+        if (!price) return null;
+
+        return decimals.toDecimal(amount).times(price);
+    }
+
+    _.each(orders, function (order) {
+        var isLimit = order.contract_type ? order.match_price != 1 : !/_market$/.test(order.type);
+
+        var maxLeverRate = self.maxLeverRate;
+        if (order.contract_type && !_.isUndefined(maxLeverRate) && Number(order.lever_rate) > maxLeverRate) {
+            problems.push(util.format('lever_rate %s is more than the limit of %s', order.lever_rate, maxLeverRate));
+        }
+
+        var band = self.priceBand;
+        if (isLimit && !_.isUndefined(band) && !state.last) {
+            problems.push(util.format('there is no last price of %s to check the price band with', symbol));
+        }
+        else if (isLimit && !_.isUndefined(band)) {
+            var distance = Math.abs(Number(order.price) - state.last) / state.last;
+
+            if (distance > band) {
+                problems.push(util.format('price %s is %s%% from the last price %s, more than the %s%% band',
+                    order.price, round(distance * 100), state.last, round(band * 100)));
+            }
+        }
+
+        var notional = notionalOf(order, order.amount, order.price),
+            maxOrderNotional = limitOf(self.maxOrderNotional, symbol);
+
+        if (!notional) {
+            if (!_.isUndefined(maxOrderNotional) || !_.isUndefined(limitOf(self.maxSymbolNotional, symbol))) {
+                problems.push(util.format('notional of the %s order could not be worked out', symbol));
+            }
+            return;
+        }
+
+        orderNotionals.push(notional);
+
+        if (!_.isUndefined(maxOrderNotional) && notional.gt(maxOrderNotional)) {
+            problems.push(util.format('notional %s is more than the limit of %s for an order', notional.toString(),
+                maxOrderNotional));
+        }
+    });
+
+    var maxOpenOrders = limitOf(this.maxOpenOrders, symbol);
+    if (!_.isUndefined(maxOpenOrders) && state.openOrders.length + orders.length > maxOpenOrders) {
+        problems.push(util.format('%s open orders and %s new would be more than the limit of %s open orders',
+            state.openOrders.length, orders.length, maxOpenOrders));
+    }
+
+    var maxSymbolNotional = limitOf(this.maxSymbolNotional, symbol);
+    if (!_.isUndefined(maxSymbolNotional) && orderNotionals.length == orders.length) {
+        var total = _.reduce(state.openOrders, function (sum, open) {
+            var remaining = decimals.toDecimal(open.amount || 0).minus(open.deal_amount || 0),
+                openNotional = notionalOf({type: open.type, contract_type: contract_type}, remaining, open.price);
+
+            return openNotional ? sum.plus(openNotional) : sum;
+        }, sumOf(orderNotionals));
+
+        if (total.gt(maxSymbolNotional)) {
+            problems.push(util.format('notional %s of the open and new orders of %s is more than the limit of %s',
+                total.toString(), symbol, maxSymbolNotional));
+        }
+    }
+
+    var maxPosition = limitOf(this.maxPosition, contract_type);
+    if (contract_type && !_.isUndefined(maxPosition) && state.holding) {
+        _.each({long: 1, short: 2}, function (type, side) {
+            var opening = sumOf(_.pluck(_.filter(orders, function (order) {
+                return Number(order.type) == type;
+            }), 'amount'));
+            if (opening.eq(0)) return;
+
+            var held = state.holding[type == 1 ? 'buy_amount' : 'sell_amount'] || 0,
+                after = opening.plus(held);
+
+            if (after.gt(maxPosition)) {
+                problems.push(util.format('%s %s position of %s contracts would be more than the limit of %s',
+                    contract_type, side, after.toString(), maxPosition));
+            }
+        });
+    }
+
+    return problems;
+};
+
+/**
+ * Reads the last price, open orders and futures holding from the v1 responses that were requested.
+ * A response without the v1 fields is a problem rather than an empty state so the limits are never passed blind
+ * @param  {Object}  state           ticker, openOrders and position responses keyed by name
+ * @param  {String}  contract_type   contract type of a futures order
+ * @return {Object}                  last, openOrders, holding and the problems reading them
+ */
+function readState(state, contract_type) {
+    var result = {problems: []};
+
+    if (state.ticker) {
+        var ticker = (models.rawOf(state.ticker) || {}).ticker;
+        // a missing last price is a problem of the price band check
+        result.last = ticker && Number(ticker.last) || null;
+    }
+
+    if (state.openOrders) {
+        var openOrders = (models.rawOf(state.openOrders) || {}).orders;
+
+        if (_.isArray(openOrders)) result.openOrders = openOrders;
+        else result.problems.push('the open orders response has no orders list');
+    }
+
+    if (state.position) {
+        var holding = (models.rawOf(state.position) || {}).holding;
+
+        // no holding of the contract type is an empty position
+        if (_.isArray(holding)) result.holding = _.findWhere(holding, {contract_type: contract_type}) || {};
+        else result.problems.push('the position response has no holding list');
+    }
+
+    return result;
+}
+
+/**
+ * Returns the orders of a request with the symbol, contract type and lever rate of the request
+ */
+function ordersOf(method, params) {
+    var shared = _.pick(params, 'symbol', 'contract_type', 'lever_rate');
+
+    if (method == 'trade' || method == 'future_trade') return [_.extend({}, params)];
+
+    var orders = _.isString(params.orders_data) ? JSON.parse(params.orders_data) : params.orders_data;
+
+    return _.map(orders, function (order) {
+        return _.extend({type: params.type}, order, shared);
+    });
+}
+
+function opensPosition(order) {
+    return order.type == 1 || order.type == 2;
+}
+
+/**
+ * Returns the limit of a key from a number for every key or numbers keyed by key
+ */
+function limitOf(setting, key) {
+    return _.isObject(setting) ? setting[key] : setting;
+}
+
+function sumOf(values) {
+    return _.reduce(values, function (total, value) {
+        return total.plus(value);
+    }, decimals.toDecimal(0));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = RiskGuard;
@@ -0,0 +1,57 @@
+const _ = require('underscore');
+const md5 = require('md5');
+const crypto = require('crypto');
+
+/**
+ * This method returns a signature for a request as a md5-encoded uppercase string
+ * @param  {Object}  params   The object to encode
+ * @param  {String}  secret   The API secret key
+ * @return {String}           The request signature
+ */
+function signMessage(params, secret) {
+    var formattedParams = formatParameters(params);
+
+    // append secret key value pair
+    formattedParams += '&secret_key=' + secret;
+
+    return md5(formattedParams).toUpperCase();
+}
+
+/**
+ * This method returns the parameters as key=value pairs separated by & sorted by the key
+ * @param  {Object}  params   The object to encode
+ * @return {String}           formatted parameters
+ */
+function formatParameters(params) {
+    var sortedKeys = [],
+        formattedParams = '';
+
+    // sort the properties of the parameters
+    sortedKeys = _.keys(params).sort();
+
+    // create a string of key value pairs separated by '&' with '=' assignement
+    for (var i = 0; i < sortedKeys.length; i++) {
+        if (i != 0) {
+            formattedParams += '&';
+        }
+        formattedParams += sortedKeys[i] + '=' + params[sortedKeys[i]];
+    }
+
+    return formattedParams;
+}
+
+/**
+ * This method returns a v3 API signature as a base64 encoded HMAC-SHA256
+ * @param  {String}  message   timestamp + method + request path + body
+ * @param  {String}  secret    The API secret key
+ * @return {String}            The request signature
+ */
+function signV3Message(message, secret) {
+    return crypto.createHmac('sha256', secret).update(message).digest('base64');
+}
+
+module.exports = {
+    signMessage: signMessage,
+    signV3Message: signV3Message,
+    formatParameters: formatParameters
+};
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('underscore');
+const CandleHistory = require('../candles');
+
+var MINUTE = 60 * 1000,
+    // a closed hour of 1min candles
+    START = Date.UTC(2018, 0, 1);
+
+// client with the 1min candles of the hour after START except the missing minutes. Answers after a delay
+function stubClient(missing) {
+    var client = {requests: []};
+
+    client.getKline = function (callback, params) {
+        var candles = [];
+
+        client.requests.push(params.since);
+
+        for (var time = Math.max(params.since, START); time < START + 60 * MINUTE; time += MINUTE) {
+            var minute = (time - START) / MINUTE;
+            if (!_.contains(missing, minute)) candles.push([time, minute, minute + 1, minute - 1, minute + 0.5, 1]);
+        }
+
+        setTimeout(callback, 5, null, candles.slice(0, 2000));
+    };
+
+    return client;
+}
+
+describe('CandleHistory', function () {
+    var cacheDir = path.join(os.tmpdir(), 'okex-candles-' + process.pid);
+
+    afterEach(function () {
+        _.each(fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : [], function (file) {
+            fs.unlinkSync(path.join(cacheDir, file));
+        });
+        if (fs.existsSync(cacheDir)) fs.rmdirSync(cacheDir);
+    });
+
+    it('fills the candles OKEX does not have with the previous close', function (done) {
+        var history = new CandleHistory(stubClient([2, 3]));
+
+        history.getCandles(function (err, candles) {
+            assert.ifError(err);
+            assert.equal(candles.length, 5);
+            assert.deepEqual(candles[2], [START + 2 * MINUTE, 1.5, 1.5, 1.5, 1.5, 0]);
+            assert.deepEqual(candles[3], [START + 3 * MINUTE, 1.5, 1.5, 1.5, 1.5, 0]);
+            assert.deepEqual(CandleHistory.findGaps(candles, '1min', START, START + 5 * MINUTE), []);
+            done();
+        }, 'btc_usdt', '1min', START, START + 5 * MINUTE);
+    });
+
+    it('leaves the gaps when fillGaps is false', function (done) {
+        var history = new CandleHistory(stubClient([2, 3]), {fillGaps: false});
+
+        history.getCandles(function (err, candles) {
+            assert.ifError(err);
+            assert.deepEqual(_.map(candles, _.first), [START, START + MINUTE, START + 4 * MINUTE]);
+            done();
+        }, 'btc_usdt', '1min', START, START + 5 * MINUTE);
+    });
+
+    it('resamples the candles to a longer interval', function (done) {
+        var history = new CandleHistory(stubClient([]));
+
+        history.getResampled(function (err, candles) {
+            assert.ifError(err);
+            assert.deepEqual(candles, [
+                [START, 0, 15, -1, 14.5, 15],
+                [START + 15 * MINUTE, 15, 30, 14, 29.5, 15]
+            ]);
+            done();
+        }, 'btc_usdt', '1min', '15min', START, START + 30 * MINUTE);
+
+        assert.throws(function () {
+            CandleHistory.resample([], '15min', '1min');
+        }, /can not resample 15min candles to 1min/);
+    });
+
+    it('keeps the candles of requests for the same cache file made at the same time', function (done) {
+        var client = stubClient([]),
+            history = new CandleHistory(client, {cacheDir: cacheDir}),
+            pending = 2;
+
+        function fetched(err) {
+            assert.ifError(err);
+            if (--pending) return;
+
+            var requests = client.requests.length;
+
+            history.getCandles(function (err, candles) {
+                assert.ifError(err);
+                assert.equal(candles.length, 20);
+                assert.equal(client.requests.length, requests);
+                done();
+            }, 'btc_usdt', '1min', START, START + 20 * MINUTE);
+        }
+
+        history.getCandles(fetched, 'btc_usdt', '1min', START, START + 10 * MINUTE);
+        history.getCandles(fetched, 'btc_usdt', '1min', START + 10 * MINUTE, START + 20 * MINUTE);
+    });
+
+    it('releases the cache file when a request throws', function (done) {
+        var history = new CandleHistory(stubClient([]), {cacheDir: cacheDir}),
+            readCache = history.readCache;
+
+        history.readCache = function () {
+            throw new Error('cache unavailable');
+        };
+
+        assert.throws(function () {
+            history.getCandles(function () {
+                assert.fail('the callback of a request that threw was called');
+            }, 'btc_usdt', '1min', START, START + 5 * MINUTE);
+        }, /cache unavailable/);
+
+        history.readCache = readCache;
+
+        history.getCandles(function (err, candles) {
+            assert.ifError(err);
+            assert.equal(candles.length, 5);
+            done();
+        }, 'btc_usdt', '1min', START, START + 5 * MINUTE);
+    });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const cli = require('../cli');
+const MockServer = require('../mockserver');
+
+describe('okex command line', function () {
+    var mock, env;
+
+    before(function (done) {
+        mock = new MockServer({exchange: {balances: {usdt: 1000}, futureBalances: {btc: 1}}});
+        mock.exchange.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+        mock.exchange.updateDepth('btc_usd', {asks: [[6510, 50]], bids: [[6490, 50]]}, 'quarter');
+
+        mock.listen(0, function (err, server) {
+            env = {OKEX_API_KEY: 'key', OKEX_SECRET: 'secret', OKEX_SERVER: server, OKEX_CONFIG: '/nonexistent.json'};
+            done(err);
+        });
+    });
+
+    after(function (done) {
+        mock.close(done);
+    });
+
+    function lastRequest() {
+        return mock.requests[mock.requests.length - 1];
+    }
+
+    it('prints the ticker as a table', function (done) {
+        cli.run(['ticker', 'btc_usdt'], env, function (err, output) {
+            assert.ifError(err);
+            assert.deepEqual(output.split('\n'), [
+                'symbol    last  buy   sell  high  low  vol',
+                'btc_usdt  6500  6490  6510'
+            ]);
+            done();
+        });
+    });
+
+    it('only sends orders with --yes', function (done) {
+        var sent = mock.requests.length;
+
+        cli.run(['buy', 'btc_usdt', '0.1', '6500'], env, function (err) {
+            assert.ok(/Add --yes to send it/.test(err.message));
+            assert.equal(mock.requests.length, sent);
+            done();
+        });
+    });
+
+    it('does not send a futures order without a price or --market', function (done) {
+        var sent = mock.requests.length;
+
+        cli.run(['buy', 'btc_usd', '1', '--contract', 'quarter', '--yes'], env, function (err) {
+            assert.ok(/buy needs a price or --market/.test(err.message));
+            assert.equal(mock.requests.length, sent);
+            done();
+        });
+    });
+
+    it('sends futures orders at the market price with --market', function (done) {
+        cli.run(['buy', 'btc_usd', '1', '--contract', 'quarter', '--market', '--yes'], env, function (err) {
+            assert.ifError(err);
+            assert.equal(lastRequest().method, 'future_trade');
+            assert.equal(lastRequest().params.match_price, '1');
+            assert.equal(lastRequest().params.price, undefined);
+            done();
+        });
+    });
+
+    it('sends futures limit orders with their price', function (done) {
+        cli.run(['sell', 'btc_usd', '1', '6600', '--contract', 'quarter', '--yes'], env, function (err) {
+            assert.ifError(err);
+            assert.equal(lastRequest().params.match_price, '0');
+            assert.equal(lastRequest().params.price, '6600');
+            done();
+        });
+    });
+
+    it('rejects the v3 api', function (done) {
+        cli.run(['balance', '--api-version', 'v3'], env, function (err) {
+            assert.ok(/api version v3 is not supported/.test(err.message));
+            done();
+        });
+    });
+
+    it('rejects a history date that is not a date', function (done) {
+        var sent = mock.requests.length;
+
+        cli.run(['history', 'btc_usdt', '--from', '2018-01-01', '--to', 'yesterday'], env, function (err) {
+            assert.ok(/^--to yesterday is not a date\n\nUsage: okex/.test(err.message));
+
+            cli.run(['history', 'btc_usdt', '--from'], env, function (err) {
+                assert.ok(/^--from undefined is not a date/.test(err.message));
+                assert.equal(mock.requests.length, sent);
+                done();
+            });
+        });
+    });
+
+    it('lists the order history between dates', function (done) {
+        var argv = ['history', 'btc_usdt', '--from', '2018-01-01', '--to', '2018-02-01', '--json'];
+
+        cli.run(argv, env, function (err, output) {
+            assert.ifError(err);
+            assert.deepEqual(JSON.parse(output).orders, []);
+            assert.equal(lastRequest().method, 'order_history');
+            done();
+        });
+    });
+
+    it('only reads the credentials the v1 api uses', function () {
+        var config = cli.loadConfig({}, {
+            OKEX_CONFIG: '/nonexistent.json',
+            OKEX_API_KEY: 'key',
+            OKEX_SECRET: 'secret',
+            OKEX_PASSPHRASE: 'passphrase'
+        });
+
+        assert.deepEqual(config, {api_key: 'key', secret: 'secret'});
+
+        cli.run(['--help'], env, function (err, output) {
+            assert.ifError(err);
+            assert.equal(output.indexOf('PASSPHRASE'), -1);
+        });
+    });
+});
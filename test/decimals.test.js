@@ -0,0 +1,53 @@
+const assert = require('assert');
+const decimals = require('../decimals');
+
+describe('decimals', function () {
+    describe('toDecimal', function () {
+        it('reads strings, numbers and Big decimals', function () {
+            assert.equal(decimals.toDecimal('0.00021054').toFixed(), '0.00021054');
+            assert.equal(decimals.toDecimal(0.1).toFixed(), '0.1');
+            assert.equal(decimals.toDecimal(1e-8).toFixed(), '0.00000001');
+            assert.equal(decimals.toDecimal(new decimals.Big('1.5')).toFixed(), '1.5');
+        });
+
+        it('rejects numbers that lost precision', function () {
+            assert.strictEqual(decimals.toDecimal(0.1 + 0.2), null);
+            assert.strictEqual(decimals.toDecimal(Math.pow(2, 53) + 2), null);
+            assert.strictEqual(decimals.toDecimal(Infinity), null);
+            assert.strictEqual(decimals.toDecimal('abc'), null);
+        });
+    });
+
+    describe('applyPrecision', function () {
+        var instrument = {tickSize: '0.01', lotSize: '0.001'};
+
+        it('rejects values that are not a multiple of the tick and lot size in strict mode', function () {
+            var result = decimals.applyPrecision({type: 'buy', price: '6500.005', amount: '0.1'}, instrument);
+            assert.deepEqual(result.problems, ['price 6500.005 is not a multiple of 0.01']);
+        });
+
+        it('rounds prices to the nearest tick and amounts down to the lot size', function () {
+            var result = decimals.applyPrecision({type: 'buy', price: 6500.006, amount: '0.1239'}, instrument, 'round');
+            assert.deepEqual(result.params, {type: 'buy', price: '6500.01', amount: '0.123'});
+        });
+
+        it('does not hold the total of a buy_market order to the tick size', function () {
+            var result = decimals.applyPrecision({type: 'buy_market', price: '100.123'}, instrument);
+            assert.deepEqual(result.problems, []);
+            assert.equal(result.params.price, '100.123');
+        });
+
+        it('reports numbers that lost precision', function () {
+            var result = decimals.applyPrecision({type: 'buy', price: 6500, amount: 0.1 + 0.2}, instrument, 'round');
+            assert.equal(result.problems.length, 1);
+            assert.ok(/amount 0.30000000000000004 is not a decimal/.test(result.problems[0]));
+        });
+    });
+
+    describe('toDecimalFields', function () {
+        it('reads the sums in models to 15 significant digits', function () {
+            var model = decimals.toDecimalFields({total: 0.1 + 0.2, raw: {}});
+            assert.equal(model.total.toFixed(), '0.3');
+        });
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const _ = require('underscore');
+const errors = require('../errors');
+
+describe('errors', function () {
+    it('maps OKEX error codes to their classes', function () {
+        var cases = {
+            10001: errors.RateLimitError,
+            10007: errors.AuthError,
+            10009: errors.OrderNotFoundError,
+            10010: errors.InsufficientBalanceError,
+            10028: errors.WithdrawalError,
+            20015: errors.OrderNotFoundError,
+            20049: errors.RateLimitError
+        };
+
+        _.each(cases, function (ErrorClass, code) {
+            var error = errors.fromCode(code, {endpoint: 'trade'}, 'failed');
+
+            assert.ok(error instanceof ErrorClass, code + ' is a ' + error.name);
+            assert.ok(error instanceof errors.ExchangeError);
+            assert.ok(error instanceof errors.OKEXError);
+            assert.equal(error.code, Number(code));
+            assert.equal(error.endpoint, 'trade');
+            assert.equal(error.message, 'failed');
+        });
+    });
+
+    it('has the messages and retryability of a code', function () {
+        var error = errors.fromCode('10001', {}, 'too frequent');
+
+        assert.equal(error.messageEn, 'Requests are too frequent');
+        assert.equal(error.messageCn, '用户请求过于频繁');
+        assert.equal(error.retryable, true);
+        assert.equal(error.name, 'RateLimitError');
+        assert.equal(errors.fromCode(10007, {}, 'bad sign').retryable, false);
+    });
+
+    it('maps unknown codes to ExchangeError', function () {
+        var error = errors.fromCode(99999, {}, 'unknown');
+
+        assert.equal(error.constructor, errors.ExchangeError);
+        assert.equal(error.messageEn, 'Unknown OKEX error code: 99999');
+        assert.equal(errors.messageFor(99999, 'cn'), '未知错误代码: 99999');
+    });
+
+    it('maps HTTP status codes and network errors', function () {
+        var serverError = errors.fromStatusCode(502, {}, 'bad gateway'),
+            notFound = errors.fromStatusCode(404, {}, 'not found'),
+            cause = new Error('connect ECONNREFUSED');
+
+        cause.code = 'ECONNREFUSED';
+
+        var networkError = errors.fromNetworkError(cause, {endpoint: 'ticker'}, 'could not connect');
+
+        assert.ok(serverError instanceof errors.HttpError);
+        assert.equal(serverError.retryable, true);
+        assert.equal(notFound.retryable, false);
+        assert.ok(networkError instanceof errors.NetworkError);
+        assert.equal(networkError.retryable, true);
+        assert.equal(networkError.errno, 'ECONNREFUSED');
+    });
+
+    it('redacts the secrets of request parameters', function () {
+        var params = {
+                api_key: 'key',
+                secret: 'secret',
+                secret_key: 'secret',
+                sign: 'ABC',
+                trade_pwd: 'password',
+                passphrase: 'passphrase',
+                symbol: 'btc_usdt'
+            },
+            redacted = errors.redactParams(params);
+
+        assert.deepEqual(redacted, {
+            api_key: '[REDACTED]',
+            secret: '[REDACTED]',
+            secret_key: '[REDACTED]',
+            sign: '[REDACTED]',
+            trade_pwd: '[REDACTED]',
+            passphrase: '[REDACTED]',
+            symbol: 'btc_usdt'
+        });
+        // the parameters are not changed
+        assert.equal(params.api_key, 'key');
+        assert.equal(errors.redactParams(undefined), undefined);
+    });
+
+    it('redacts the parameters an error is created with', function () {
+        var error = errors.fromCode(10007, {endpoint: 'userinfo', params: {api_key: 'key', sign: 'ABC'}}, 'bad sign');
+
+        assert.deepEqual(error.params, {api_key: '[REDACTED]', sign: '[REDACTED]'});
+    });
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const _ = require('underscore');
+const OKEX = require('../rest');
+const PaperExchange = require('../paper');
+const Execution = require('../execution');
+
+describe('Execution', function () {
+    var client, paper;
+
+    beforeEach(function () {
+        paper = new PaperExchange({balances: {usdt: 100000, btc: 10}});
+        paper.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+
+        client = new OKEX(null, null, null, null, {rateLimit: false, paper: paper});
+    });
+
+    function execution(order, options) {
+        return new Execution(client, order, _.extend({pollInterval: 10, settleTimeout: 1000}, options));
+    }
+
+    it('places the twap slices at the best opposite price and completes', function (done) {
+        var exec = execution({symbol: 'btc_usdt', type: 'buy', amount: 1}, {duration: 40, slices: 4});
+
+        exec.start(function (err, summary) {
+            assert.ifError(err);
+            assert.equal(summary.status, 'completed');
+            assert.equal(summary.filledAmount, 1);
+            assert.equal(summary.averagePrice, 6510);
+            assert.equal(summary.orders.length, 4);
+            done();
+        });
+    });
+
+    it('shows the next iceberg clip once the last one is filled', function (done) {
+        var exec = execution({symbol: 'btc_usdt', type: 'sell', amount: 0.3, price: 6490}, {
+            algorithm: 'iceberg',
+            visibleAmount: 0.1
+        });
+
+        exec.start(function (err, summary) {
+            assert.ifError(err);
+            assert.equal(summary.filledAmount, 0.3);
+            assert.deepEqual(_.pluck(summary.orders, 'amount'), [0.1, 0.1, 0.1]);
+            done();
+        });
+    });
+
+    it('rejects an iceberg clip smaller than the lot size or minimum order size', function (done) {
+        client = new OKEX(null, null, null, null, {
+            rateLimit: false,
+            paper: paper,
+            instruments: {btc_usdt: {lotSize: '0.01', minSize: '0.05'}}
+        });
+
+        var belowLot = execution({symbol: 'btc_usdt', type: 'sell', amount: 0.3, price: 6490}, {
+                algorithm: 'iceberg',
+                visibleAmount: 0.005
+            }),
+            belowMin = execution({symbol: 'btc_usdt', type: 'sell', amount: 0.3, price: 6490}, {
+                algorithm: 'iceberg',
+                visibleAmount: 0.03
+            });
+
+        belowLot.start(function (err) {
+            assert.ok(/iceberg visibleAmount 0.005 is less than the lot size 0.01/.test(err.message));
+            assert.equal(belowLot.status, 'pending');
+
+            belowMin.start(function (err) {
+                assert.ok(/iceberg visibleAmount 0.03 is less than .* minimum order size 0.05/.test(err.message));
+                assert.deepEqual(paper.orders, {});
+                done();
+            });
+        });
+    });
+
+    it('reprices a chase order when the book moves away', function (done) {
+        var exec = execution({symbol: 'btc_usdt', type: 'buy', amount: 1, price: 6600}, {
+            algorithm: 'chase',
+            repriceInterval: 20
+        });
+
+        exec.once('order', function (order) {
+            assert.equal(order.price, 6490);
+            paper.updateDepth('btc_usdt', {asks: [[6520, 5]], bids: [[6500, 5]]});
+
+            exec.once('order', function (order) {
+                assert.equal(order.price, 6500);
+                exec.abort(function (err, summary) {
+                    assert.ifError(err);
+                    assert.equal(summary.status, 'aborted');
+                    assert.equal(summary.filledAmount, 0);
+                    assert.equal(exec.openOrders().length, 0);
+                    done();
+                });
+            });
+        });
+
+        exec.start(assert.ifError);
+    });
+
+    it('waits for a child order being placed when it is aborted and counts its fills', function (done) {
+        var exec = execution({symbol: 'btc_usdt', type: 'buy', amount: 1}, {duration: 1000, slices: 2}),
+            placeOrder = exec.manager.placeOrder;
+
+        exec.manager.placeOrder = function () {
+            var args = arguments;
+
+            exec.abort(function (err, summary) {
+                assert.ifError(err);
+                assert.equal(summary.orders.length, 1);
+                assert.equal(summary.filledAmount, 0.5);
+                done();
+            });
+            placeOrder.apply(exec.manager, args);
+        };
+
+        exec.start(function () {});
+    });
+
+    it('cancels a resting child order placed after it is aborted', function (done) {
+        var exec = execution({symbol: 'btc_usdt', type: 'buy', amount: 1, price: 6400}, {
+                algorithm: 'chase'
+            }),
+            placeOrder = exec.manager.placeOrder;
+
+        exec.manager.placeOrder = function () {
+            var args = arguments;
+
+            exec.abort(function (err, summary) {
+                assert.ifError(err);
+                assert.equal(summary.orders.length, 1);
+                assert.equal(summary.orders[0].status, OKEX.models.OrderStatus.CANCELLED);
+                done();
+            });
+            placeOrder.apply(exec.manager, args);
+        };
+
+        exec.start(function () {});
+    });
+});
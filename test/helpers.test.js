@@ -0,0 +1,87 @@
+const assert = require('assert');
+const _ = require('underscore');
+const helpers = require('../helpers');
+
+describe('helpers', function () {
+    // task that answers after a delay and counts the tasks running at the same time
+    function counted(state, err, result) {
+        return function (callback) {
+            state.mostRunning = Math.max(state.mostRunning, ++state.running);
+
+            setTimeout(function () {
+                state.running--;
+                callback(err, result);
+            }, 5);
+        };
+    }
+
+    it('gathers the errors and results of every task', function (done) {
+        var state = {running: 0, mostRunning: 0},
+            failure = new Error('failed');
+
+        helpers.gather({
+            a: counted(state, null, 1),
+            b: counted(state, failure),
+            c: counted(state, null, 3)
+        }, function (errors, results) {
+            assert.deepEqual(results, {a: 1, c: 3});
+            assert.deepEqual(errors, {b: failure});
+            assert.equal(state.mostRunning, 3);
+            done();
+        });
+    });
+
+    it('runs at most concurrency tasks at the same time', function (done) {
+        var state = {running: 0, mostRunning: 0},
+            tasks = {};
+
+        for (var i = 0; i < 7; i++) tasks['task ' + i] = counted(state, null, i);
+        // tasks that answer right away start the next one
+        tasks.sync = function (callback) {
+            callback(null, 'sync');
+        };
+
+        helpers.gather(tasks, 2, function (errors, results) {
+            assert.deepEqual(errors, {});
+            assert.equal(_.size(results), 8);
+            assert.equal(state.mostRunning, 2);
+            done();
+        });
+    });
+
+    it('calls back right away without tasks', function () {
+        var called = false;
+
+        helpers.gather({}, 2, function (errors, results) {
+            assert.deepEqual(errors, {});
+            assert.deepEqual(results, {});
+            called = true;
+        });
+        assert.ok(called);
+    });
+
+    it('runs tasks in parallel and fails with their error', function (done) {
+        var state = {running: 0, mostRunning: 0};
+
+        helpers.parallel({a: counted(state, null, 1), b: counted(state, null, 2)}, function (err, results) {
+            assert.ifError(err);
+            assert.deepEqual(results, {a: 1, b: 2});
+
+            helpers.parallel({a: counted(state, null, 1), b: counted(state, new Error('b failed'))}, function (err) {
+                assert.equal(err.message, 'b failed');
+                done();
+            });
+        });
+    });
+
+    it('adds up numbers without floating point noise', function () {
+        assert.strictEqual(helpers.sum([0.1, 0.2]), 0.3);
+        assert.strictEqual(helpers.sum(['0.1', null, undefined, 0.1 + 0.2]), 0.4);
+        assert.strictEqual(helpers.sum([]), 0);
+    });
+
+    it('parses JSON or returns null', function () {
+        assert.deepEqual(helpers.safeParse('{"result":true}'), {result: true});
+        assert.strictEqual(helpers.safeParse('<html>'), null);
+    });
+});
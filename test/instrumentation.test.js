@@ -0,0 +1,173 @@
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const OKEX = require('../rest');
+const MockServer = require('../mockserver');
+const instrumentation = require('../instrumentation');
+
+describe('instrumentation', function () {
+    describe('Metrics', function () {
+        it('counts the events of each endpoint', function () {
+            var client = new EventEmitter(),
+                metrics = new instrumentation.Metrics([100, 50]),
+                error = new Error('timeout');
+
+            error.errno = 'ETIMEDOUT';
+            metrics.attach(client);
+
+            client.emit('request', {endpoint: 'userinfo'});
+            client.emit('error', new Error('rate limited'), {endpoint: 'userinfo', code: 10001, latency: 40});
+            client.emit('retry', {endpoint: 'userinfo'});
+            client.emit('request', {endpoint: 'userinfo'});
+            client.emit('response', {endpoint: 'userinfo', latency: 70});
+            client.emit('request', {endpoint: 'ticker'});
+            client.emit('error', error, {endpoint: 'ticker', latency: 500});
+
+            var snapshot = metrics.snapshot();
+
+            assert.deepEqual(snapshot.userinfo, {
+                requests: 2,
+                errors: 1,
+                retries: 1,
+                errorCodes: {10001: 1},
+                latency: {count: 2, sum: 110, min: 40, max: 70, buckets: {50: 1, 100: 1, Infinity: 0}}
+            });
+            assert.deepEqual(snapshot.ticker.errorCodes, {ETIMEDOUT: 1});
+            assert.deepEqual(snapshot.ticker.latency.buckets, {50: 0, 100: 0, Infinity: 1});
+
+            // a snapshot is a copy
+            snapshot.userinfo.requests = 0;
+            assert.equal(metrics.snapshot().userinfo.requests, 2);
+
+            metrics.reset();
+            assert.deepEqual(metrics.snapshot(), {});
+        });
+    });
+
+    describe('attachLogger', function () {
+        function recorder() {
+            var lines = [];
+
+            return {
+                lines: lines,
+                debug: function (line) {
+                    lines.push(['debug', line]);
+                },
+                warn: function (line) {
+                    lines.push(['warn', line]);
+                },
+                error: function (line) {
+                    lines.push(['error', line]);
+                }
+            };
+        }
+
+        it('logs each event at its level', function () {
+            var client = new EventEmitter(),
+                logger = recorder();
+
+            instrumentation.attachLogger(client, logger);
+
+            client.emit('request', {endpoint: 'userinfo', attempt: 1, params: {api_key: '[REDACTED]'}});
+            client.emit('retry', {endpoint: 'userinfo', attempt: 1, delay: 100, error: new Error('rate limited')});
+            client.emit('response', {endpoint: 'userinfo', statusCode: 200, latency: 70});
+            client.emit('error', new Error('invalid sign'), {endpoint: 'trade', code: 10007, latency: 30});
+
+            assert.deepEqual(logger.lines, [
+                ['debug', 'OKEX userinfo request attempt 1 params {"api_key":"[REDACTED]"}'],
+                ['warn', 'OKEX userinfo retry after attempt 1 in 100ms: rate limited'],
+                ['debug', 'OKEX userinfo response status 200 in 70ms'],
+                ['error', 'OKEX trade failed with code 10007 in 30ms: invalid sign']
+            ]);
+        });
+
+        it('falls back to the log function of the logger', function () {
+            var client = new EventEmitter(),
+                lines = [];
+
+            instrumentation.attachLogger(client, {
+                log: function (line) {
+                    lines.push(line);
+                }
+            });
+
+            client.emit('response', {endpoint: 'ticker', statusCode: 200, latency: 5});
+
+            assert.deepEqual(lines, ['OKEX ticker response status 200 in 5ms']);
+        });
+    });
+
+    describe('client', function () {
+        var mock, server;
+
+        beforeEach(function (done) {
+            mock = new MockServer({exchange: {balances: {usdt: 1000}}});
+            mock.listen(0, function (err, url) {
+                server = url;
+                done(err);
+            });
+        });
+
+        afterEach(function (done) {
+            mock.close(done);
+        });
+
+        function client(options) {
+            return new OKEX('key', 'secret', server, null,
+                Object.assign({rateLimit: false, retry: {baseDelay: 1, jitter: 0}}, options));
+        }
+
+        it('has no metrics or error listener unless asked', function (done) {
+            var okex = client();
+
+            assert.equal(okex.metrics, null);
+            assert.equal(okex.listenerCount('error'), 0);
+
+            // the failed attempt is not emitted so it does not throw
+            mock.failNext('userinfo', 10007);
+
+            okex.getUserInfo(function (err) {
+                assert.ok(err instanceof OKEX.errors.AuthError);
+                done();
+            });
+        });
+
+        it('counts the attempts of the requests with the metrics option', function (done) {
+            var okex = client({metrics: true});
+
+            mock.failNext('userinfo', 10001);
+
+            okex.getUserInfo(function (err) {
+                assert.ifError(err);
+
+                var userinfo = okex.metrics.snapshot().userinfo;
+
+                assert.equal(userinfo.requests, 2);
+                assert.equal(userinfo.errors, 1);
+                assert.equal(userinfo.retries, 1);
+                assert.deepEqual(userinfo.errorCodes, {10001: 1});
+                assert.equal(userinfo.latency.count, 2);
+                done();
+            });
+        });
+
+        it('logs the requests with their secrets redacted', function (done) {
+            var lines = [],
+                okex = client({
+                    logger: {
+                        log: function (line) {
+                            lines.push(line);
+                        }
+                    }
+                });
+
+            mock.fixture('withdraw', {result: true, withdraw_id: 1});
+
+            okex.addWithdraw(function (err) {
+                assert.ifError(err);
+                assert.ok(/^OKEX withdraw request attempt 1 params .*"trade_pwd":"\[REDACTED\]"/.test(lines[0]));
+                assert.equal(lines.join('\n').indexOf('password'), -1);
+                done();
+            }, 'btc_usd', '0.0001', 'password', 'address', '0.1');
+        });
+    });
+});
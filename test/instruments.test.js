@@ -0,0 +1,26 @@
+const assert = require('assert');
+const InstrumentRegistry = require('../instruments');
+
+describe('InstrumentRegistry', function () {
+    var registry;
+
+    beforeEach(function () {
+        registry = new InstrumentRegistry({btc_usdt: {type: 'spot', minSize: '0.001'}});
+        registry.loadedAt = Date.now();
+    });
+
+    it('rejects futures requests for spot symbols', function () {
+        assert.deepEqual(registry.check('future_ticker', {symbol: 'btc_usdt'}), ['symbol btc_usdt is a spot symbol']);
+    });
+
+    it('leaves spot and margin requests for the pairs of the futures to OKEX', function () {
+        assert.deepEqual(registry.check('ticker', {symbol: 'btc_usd'}), []);
+        assert.deepEqual(registry.check('margin_userinfo', {symbol: 'btc_usd'}), []);
+    });
+
+    it('rejects unknown spot symbols and orders below the minimum size once loaded', function () {
+        assert.deepEqual(registry.check('ticker', {symbol: 'abc_usdt'}), ['symbol abc_usdt is not a known spot symbol']);
+        assert.deepEqual(registry.check('trade', {symbol: 'btc_usdt', amount: '0.0001'}),
+            ['amount 0.0001 is less than the minimum order size 0.001 of btc_usdt']);
+    });
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const http = require('http');
+const querystring = require('querystring');
+const OKEX = require('../rest');
+
+describe('lending and margin', function () {
+    var server, client,
+        requests = [];
+
+    // keeps the requests and answers each of them with a successful result
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            var body = '';
+
+            req.on('data', function (chunk) {
+                body += chunk;
+            });
+            req.on('end', function () {
+                requests.push({method: req.method, path: req.url, params: querystring.parse(body)});
+                res.end(JSON.stringify({result: true}));
+            });
+        });
+        server.listen(0, '127.0.0.1', function () {
+            client = new OKEX('key', 'secret', 'http://127.0.0.1:' + server.address().port);
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    it('asks for the lend depth with a signed request', function () {
+        return client.getLendDepth('btc_usdt').then(function () {
+            var request = requests[requests.length - 1];
+
+            assert.equal(request.method, 'POST');
+            assert.equal(request.path, '/api/v1/lend_depth.do');
+            assert.equal(request.params.symbol, 'btc_usdt');
+            assert.equal(request.params.api_key, 'key');
+            assert.ok(request.params.sign);
+        });
+    });
+
+    it('checks the days and rate of a borrow before it is sent', function () {
+        var sent = requests.length;
+
+        return client.addBorrowMoney('btc_usdt', 'forty', 1, 0.02).then(function () {
+            assert.fail('addBorrowMoney() sent a borrow for forty days');
+        }, function (err) {
+            assert.ok(/days must be one of fifteen, thirty, sixty, ninety/.test(err.message));
+            assert.ok(/rate must be at most 0.01/.test(err.message));
+            assert.equal(requests.length, sent);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const http = require('http');
+const OKEX = require('../rest');
+const MockServer = require('../mockserver');
+const sign = require('../sign');
+
+describe('MockServer', function () {
+    var mock, server;
+
+    beforeEach(function (done) {
+        mock = new MockServer({
+            exchange: {balances: {usdt: 1000}},
+            fixtures: {
+                future_index: function (params) {
+                    return {future_index: params.symbol == 'btc_usd' ? 6600 : 0};
+                }
+            }
+        });
+        mock.exchange.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+
+        mock.listen(0, function (err, url) {
+            server = url;
+            done(err);
+        });
+    });
+
+    afterEach(function (done) {
+        mock.close(done);
+    });
+
+    function client(secret) {
+        return new OKEX('key', secret || 'secret', server, null, {rateLimit: false});
+    }
+
+    // posts a form with a sign made by signMessage
+    function post(method, params, secret, callback) {
+        var body = sign.formatParameters(params) + '&sign=' + sign.signMessage(params, secret),
+            req = http.request(server + '/api/v1/' + method + '.do', {
+                method: 'POST',
+                headers: {'Content-Type': 'application/x-www-form-urlencoded'}
+            }, function (res) {
+                var data = '';
+                res.on('data', function (chunk) {
+                    data += chunk;
+                });
+                res.on('end', function () {
+                    callback(null, res.statusCode, JSON.parse(data));
+                });
+            });
+
+        req.on('error', callback);
+        req.end(body);
+    }
+
+    it('accepts private requests signed with the secret of the api key', function (done) {
+        post('userinfo', {api_key: 'key'}, 'secret', function (err, statusCode, body) {
+            assert.ifError(err);
+            assert.equal(statusCode, 200);
+            assert.equal(body.result, true);
+            assert.equal(body.info.funds.free.usdt, '1000');
+            done();
+        });
+    });
+
+    it('rejects bad signs with 10007 and unknown keys with 10005', function (done) {
+        post('userinfo', {api_key: 'key'}, 'wrong', function (err, statusCode, body) {
+            assert.ifError(err);
+            assert.deepEqual(body, {result: false, error_code: 10007});
+
+            post('userinfo', {api_key: 'other'}, 'secret', function (err, statusCode, body) {
+                assert.ifError(err);
+                assert.deepEqual(body, {result: false, error_code: 10005});
+                done();
+            });
+        });
+    });
+
+    it('maps the errors of a client with the wrong secret', function (done) {
+        client('wrong').getUserInfo(function (err) {
+            assert.ok(err instanceof OKEX.errors.ExchangeError);
+            assert.equal(err.code, 10007);
+            done();
+        });
+    });
+
+    it('serves fixtures and simulates orders with the paper exchange', function (done) {
+        var okex = client();
+
+        okex.getFutureIndex(function (err, data) {
+            assert.ifError(err);
+            assert.equal(data.future_index, 6600);
+
+            okex.addTrade(function (err, data) {
+                assert.ifError(err);
+
+                okex.getOrderInfo(function (err, data) {
+                    assert.ifError(err);
+                    assert.equal(data.orders[0].status, 2);
+                    done();
+                }, 'btc_usdt', data.order_id);
+            }, 'btc_usdt', 'buy', 0.1, 6510);
+        }, 'btc_usd');
+    });
+
+    it('fails the next requests of a method with HTTP status codes and OKEX error codes', function (done) {
+        var okex = client();
+
+        mock.failNext('ticker', 503);
+        mock.failNext('ticker', 20049);
+
+        okex.getTicker(function (err) {
+            // OKEX answers 503 when it throttles requests
+            assert.ok(err instanceof OKEX.errors.RateLimitError);
+            assert.equal(err.code, 503);
+
+            okex.getTicker(function (err) {
+                assert.ok(err instanceof OKEX.errors.RateLimitError);
+                assert.equal(err.code, 20049);
+
+                okex.getTicker(function (err, data) {
+                    assert.ifError(err);
+                    assert.equal(data.ticker.buy, '6490');
+                    done();
+                }, 'btc_usdt');
+            }, 'btc_usdt');
+        }, 'btc_usdt');
+    });
+
+    it('logs the requests without their secrets', function (done) {
+        client().addWithdraw(function () {
+            var logged = mock.requests[mock.requests.length - 1];
+
+            assert.equal(logged.method, 'withdraw');
+            assert.equal(logged.params.trade_pwd, '[REDACTED]');
+            assert.equal(logged.params.sign, undefined);
+            done();
+        }, 'btc_usd', 0.001, 'password', 'address', 1);
+    });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const _ = require('underscore');
+const models = require('../models');
+
+describe('models', function () {
+    it('parses spot and futures orders', function () {
+        var spot = new models.Order({
+                order_id: 1, symbol: 'btc_usdt', type: 'buy', status: 1, price: '6500.1', amount: '0.3',
+                deal_amount: '0.1', avg_price: '6500', create_date: 1539907200000
+            }),
+            future = new models.Order({
+                order_id: 2, symbol: 'btc_usd', type: 3, status: 4, price: 6600, amount: 2, deal_amount: 0,
+                price_avg: 0, fee: 0, lever_rate: 20, contract_name: 'BTC1228'
+            }, 'quarter');
+
+        assert.equal(spot.status, models.OrderStatus.PARTIALLY_FILLED);
+        assert.equal(spot.side, 'buy');
+        assert.strictEqual(spot.price, 6500.1);
+        assert.strictEqual(spot.filledAmount, 0.1);
+        assert.strictEqual(spot.averagePrice, 6500);
+        assert.equal(spot.createdAt.toISOString(), '2018-10-19T00:00:00.000Z');
+        assert.equal(spot.fee, null);
+
+        assert.equal(future.type, models.OrderType.CLOSE_LONG);
+        assert.equal(future.side, 'sell');
+        assert.equal(future.status, models.OrderStatus.CANCELLING);
+        assert.equal(future.contractType, 'quarter');
+        assert.equal(future.leverRate, 20);
+    });
+
+    it('adds up balances without floating point noise', function () {
+        var balances = models.normalize('userinfo', {
+            result: true,
+            info: {funds: {free: {btc: '0.1', usdt: '100'}, freezed: {btc: '0.2', ltc: '1'}}}
+        });
+
+        var btc = balances[0];
+
+        assert.equal(btc.currency, 'btc');
+        assert.strictEqual(btc.total, 0.3);
+        assert.deepEqual(_.map(balances, function (balance) {
+            return [balance.currency, balance.free, balance.frozen, balance.total];
+        }), [['btc', 0.1, 0.2, 0.3], ['usdt', 100, 0, 100], ['ltc', 0, 1, 1]]);
+        assert.equal(models.rawOf(balances).result, true);
+    });
+
+    it('adds up the margin of fixed margin futures accounts', function () {
+        var balances = models.normalize('future_userinfo_4fix', {
+            result: true,
+            info: {btc: {balance: 1, rights: '1.5', contracts: [{bond: '0.1'}, {bond: '0.2'}, {}]}}
+        });
+
+        assert.strictEqual(balances[0].margin, 0.3);
+        assert.strictEqual(balances[0].free, 1);
+        assert.strictEqual(balances[0].total, 1.5);
+    });
+
+    it('splits futures holdings into positions', function () {
+        var positions = models.normalize('future_position', {
+            result: true,
+            force_liqu_price: '5000',
+            holding: [{
+                symbol: 'btc_usd', contract_type: 'quarter', buy_amount: 2, buy_price_avg: '6500.5', sell_amount: 0,
+                lever_rate: 10
+            }]
+        });
+
+        assert.equal(positions.length, 1);
+        assert.equal(positions[0].side, 'long');
+        assert.strictEqual(positions[0].averagePrice, 6500.5);
+        assert.strictEqual(positions[0].liquidationPrice, 5000);
+    });
+
+    it('parses tickers, candles and trades', function () {
+        var ticker = models.normalize('ticker', {date: '1539907200', ticker: {last: '6500', buy: '6499.9'}},
+                {symbol: 'btc_usdt'}),
+            candles = models.normalize('kline', [[1539907200000, '1', '2', '0.5', '1.5', '10']], {symbol: 'btc_usdt'}),
+            trades = models.normalize('trades', [
+                {tid: 1, type: 'sell', price: '6500', amount: '0.1', date: 1539907200}
+            ], {symbol: 'btc_usdt'});
+
+        assert.strictEqual(ticker.bid, 6499.9);
+        assert.equal(ticker.timestamp.getTime(), 1539907200000);
+        assert.strictEqual(candles[0].close, 1.5);
+        assert.equal(candles[0].coinVolume, null);
+        assert.equal(trades[0].side, 'sell');
+        assert.equal(trades[0].timestamp.getTime(), 1539907200000);
+    });
+
+    it('returns the responses of methods without models as they are', function () {
+        var data = {result: true, order_id: 1};
+
+        assert.strictEqual(models.normalize('trade', data), data);
+        assert.strictEqual(models.rawOf(data), data);
+    });
+});
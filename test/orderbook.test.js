@@ -0,0 +1,69 @@
+const assert = require('assert');
+const OrderBook = require('../orderbook');
+
+describe('OrderBook', function () {
+    var book;
+
+    beforeEach(function () {
+        // OKEX returns the asks from the highest price
+        book = OrderBook.fromDepth({
+            asks: [[6520.3, '0.2'], [6510.1, '0.1'], [6515, 0]],
+            bids: [['6490.2', 0.1], [6480, 0.2]],
+            timestamp: 1
+        }, 'btc_usdt');
+    });
+
+    it('sorts the levels of a snapshot and drops the empty ones', function () {
+        assert.deepEqual(book.asks, [{price: 6510.1, amount: 0.1}, {price: 6520.3, amount: 0.2}]);
+        assert.deepEqual(book.bids, [{price: 6490.2, amount: 0.1}, {price: 6480, amount: 0.2}]);
+        assert.equal(book.bestAsk().price, 6510.1);
+        assert.equal(book.bestBid().price, 6490.2);
+        assert.equal(book.timestamp, 1);
+    });
+
+    it('rejects a snapshot without asks and bids', function () {
+        assert.throws(function () {
+            book.applySnapshot({asks: []});
+        }, /must have asks and bids arrays/);
+    });
+
+    it('merges updates into the levels', function () {
+        book.applyUpdate({
+            // a new best ask, a changed level and a removed level
+            asks: [[6505, 1], [6520.3, 0.5], [6510.1, 0]],
+            bids: [[6485, 0.3], [6470, 0], [6490.2, '0']],
+            timestamp: 2
+        });
+
+        assert.deepEqual(book.asks, [{price: 6505, amount: 1}, {price: 6520.3, amount: 0.5}]);
+        assert.deepEqual(book.bids, [{price: 6485, amount: 0.3}, {price: 6480, amount: 0.2}]);
+        assert.equal(book.timestamp, 2);
+    });
+
+    it('works out the spread and mid price without floating point noise', function () {
+        // 6510.1 - 6490.2 is 19.900000000000546 as floats
+        assert.equal(book.spread(), 19.9);
+        assert.equal(book.midPrice(), 6500.15);
+
+        book.applySnapshot({asks: [], bids: [[1, 1]]});
+        assert.equal(book.spread(), null);
+        assert.equal(book.midPrice(), null);
+    });
+
+    it('works out the vwap and depth of a side', function () {
+        assert.equal(book.vwap('buy', 0.1), 6510.1);
+        // (0.1 * 6510.1 + 0.2 * 6520.3) / 0.3
+        assert.equal(book.vwap('buy', '0.3'), 6516.9);
+        assert.equal(book.vwap('buy', 0.4), null);
+        assert.equal(book.vwap('sell', 0), null);
+
+        // 0.1 + 0.2 is 0.30000000000000004 as floats
+        assert.strictEqual(book.depthTo('buy', 6520.3), 0.3);
+        assert.strictEqual(book.depthTo('sell', 6480), 0.3);
+        assert.strictEqual(book.depthTo('sell', 6490.2), 0.1);
+
+        assert.throws(function () {
+            book.vwap('hold', 1);
+        }, /side hold must be buy or sell/);
+    });
+});
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const PaperExchange = require('../paper');
+const OrderManager = require('../ordermanager');
+
+describe('OrderManager', function () {
+    var client, paper, orders;
+
+    beforeEach(function () {
+        paper = new PaperExchange({balances: {usdt: 100000, btc: 10}, futureBalances: {btc: 10}});
+        paper.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+
+        client = new OKEX(null, null, null, null, {rateLimit: false, paper: paper, defaultContractType: 'this_week'});
+        orders = new OrderManager(client, {pollInterval: 10});
+    });
+
+    afterEach(function () {
+        orders.stop();
+    });
+
+    it('emits accepted and filled as a waiting order is crossed', function (done) {
+        var events = [];
+
+        orders.on('accepted', function (order) {
+            events.push('accepted ' + order.status);
+        });
+        orders.on('filled', function (order) {
+            events.push('filled ' + order.filledAmount);
+            assert.deepEqual(events, ['accepted open', 'filled 1']);
+            done();
+        });
+
+        orders.placeOrder(function (err) {
+            assert.ifError(err);
+            paper.updateDepth('btc_usdt', {asks: [[6495, 5]], bids: [[6490, 5]]});
+        }, 'btc_usdt', 'buy', 1, 6500);
+    });
+
+    it('emits cancelled after a tracked order is cancelled', function (done) {
+        orders.on('cancelled', function (order) {
+            assert.equal(order.status, OKEX.models.OrderStatus.CANCELLED);
+            done();
+        });
+
+        orders.placeOrder(function (err, order) {
+            assert.ifError(err);
+            orders.cancel(assert.ifError, order.id);
+        }, 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('rejects waitForFill when the order is not filled in time', function (done) {
+        orders.placeOrder(function (err, order) {
+            assert.ifError(err);
+
+            orders.waitForFill(function (err) {
+                assert.ok(/was not filled within 30 milliseconds/.test(err.message));
+                assert.equal(err.order.id, order.id);
+                done();
+            }, order.id, 30);
+        }, 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('tracks futures orders with the default contract type of the client', function (done) {
+        orders.placeFutureOrder(function (err, order) {
+            assert.ifError(err);
+            assert.equal(order.contractType, 'this_week');
+            done();
+        }, 'btc_usd', 1, 1, 6000);
+    });
+
+    it('does not throw when polling fails and nothing listens to error', function (done) {
+        var getOrdersInfo = client.getOrdersInfo;
+
+        client.getOrdersInfo = function (callback) {
+            callback(new Error('network down'));
+        };
+
+        orders.placeOrder(function (err) {
+            assert.ifError(err);
+
+            setTimeout(function () {
+                client.getOrdersInfo = getOrdersInfo;
+                done();
+            }, 50);
+        }, 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('emits poll errors to error listeners', function (done) {
+        client.getOrdersInfo = function (callback) {
+            callback(new Error('network down'));
+        };
+
+        orders.once('error', function (err) {
+            assert.equal(err.message, 'network down');
+            done();
+        });
+
+        orders.placeOrder(assert.ifError, 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('does not poll again after it is stopped during a poll', function (done) {
+        var getOrdersInfo = client.getOrdersInfo,
+            polls = 0;
+
+        client.getOrdersInfo = function () {
+            polls++;
+            orders.stop();
+            getOrdersInfo.apply(client, arguments);
+        };
+
+        orders.placeOrder(function (err) {
+            assert.ifError(err);
+
+            setTimeout(function () {
+                assert.equal(polls, 1);
+                done();
+            }, 60);
+        }, 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('requests the filled orders of a batch only for the orders that are no longer unfilled', function (done) {
+        var getOrdersInfo = client.getOrdersInfo,
+            requests = [];
+
+        client.getOrdersInfo = function (callback, symbol, type, order_id) {
+            requests.push(type + ' ' + order_id);
+            getOrdersInfo.apply(client, arguments);
+        };
+
+        orders.placeOrder(assert.ifError, 'btc_usdt', 'buy', 1, 6000);
+        orders.placeOrder(function (err, order) {
+            assert.ifError(err);
+
+            orders.once('filled', function (filled) {
+                assert.equal(filled.id, order.id);
+                assert.deepEqual(requests.slice(-2), ['0 1,2', '1 ' + order.id]);
+                // the polls before the fill are one request each
+                assert.ok(requests.length >= 3);
+                assert.deepEqual(requests.slice(0, -2), requests.slice(0, -2).map(function () {
+                    return '0 1,2';
+                }));
+                done();
+            });
+
+            setTimeout(function () {
+                paper.updateDepth('btc_usdt', {asks: [[6495, 5]], bids: [[6490, 5]]});
+            }, 25);
+        }, 'btc_usdt', 'buy', 1, 6500);
+    });
+
+    it('emits rejected for orders OKEX rejects and error for other failures', function (done) {
+        var rejected = [],
+            failed = [];
+
+        orders.on('rejected', function (err) {
+            rejected.push(err);
+        });
+        orders.on('error', function (err) {
+            failed.push(err);
+        });
+
+        orders.placeOrder(function (err) {
+            assert.ok(err instanceof OKEX.errors.InsufficientBalanceError);
+
+            client.addTrade = function (callback) {
+                callback(new OKEX.errors.NetworkError({}, null, 'socket hang up'));
+            };
+
+            orders.placeOrder(function (err) {
+                assert.ok(err instanceof OKEX.errors.NetworkError);
+                assert.deepEqual(rejected.map(function (err) {
+                    return err.name;
+                }), ['InsufficientBalanceError']);
+                assert.deepEqual(failed, [err]);
+                done();
+            }, 'btc_usdt', 'buy', 1, 6000);
+        }, 'btc_usdt', 'buy', 100, 6000);
+    });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const _ = require('underscore');
+const pagination = require('../pagination');
+
+// client whose history methods answer from pages of items and log the params they were called with
+function stubClient(pages) {
+    var client = {requests: []};
+
+    _.each(pages, function (answer, method) {
+        client[method] = function (callback, params) {
+            client.requests.push(_.clone(params));
+            setImmediate(callback, null, answer(params));
+        };
+    });
+
+    return client;
+}
+
+describe('pagination', function () {
+    it('walks the pages until a short one and skips orders that show up again', function (done) {
+        var pages = [
+                [{order_id: 3, create_date: 3000}, {order_id: 2, create_date: 2000}],
+                // a new order shifted order 2 onto the second page
+                [{order_id: 2, create_date: 2000}, {order_id: 1, create_date: 1000}],
+                []
+            ],
+            client = stubClient({
+                getOrderHistory: function (params) {
+                    return {result: true, orders: pages[params.current_page - 1]};
+                }
+            });
+
+        pagination.collect(client, 'getOrderHistory', {symbol: 'btc_usdt', page_length: 2}, {}, function (err, orders) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(orders, 'order_id'), [3, 2, 1]);
+            assert.deepEqual(_.pluck(client.requests, 'current_page'), [1, 2, 3]);
+            done();
+        });
+    });
+
+    it('returns account records that are the same on different pages', function (done) {
+        var record = {addTime: 1000, amount: 1, type: 0},
+            client = stubClient({
+                getAccountRecords: function (params) {
+                    return {records: params.current_page == 1 ? [record, record] : [record]};
+                }
+            });
+
+        pagination.collect(client, 'getAccountRecords', {symbol: 'btc_usdt', page_length: 2}, {}, function (err, records) {
+            assert.ifError(err);
+            assert.equal(records.length, 3);
+            done();
+        });
+    });
+
+    it('walks the since cursor of the trades until there are no newer ones', function (done) {
+        var trades = [{tid: 1, date: 1}, {tid: 2, date: 2}, {tid: 3, date: 3}],
+            client = stubClient({
+                getTradeHistory: function (params) {
+                    return _.filter(trades, function (trade) {
+                        return trade.tid > params.since;
+                    }).slice(0, 2);
+                }
+            });
+
+        pagination.collect(client, 'getTradeHistory', {symbol: 'btc_usdt'}, {}, function (err, items) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(items, 'tid'), [1, 2, 3]);
+            assert.deepEqual(_.pluck(client.requests, 'since'), [0, 2, 3]);
+            done();
+        });
+    });
+
+    it('stops at the limit and at the start of the date range', function (done) {
+        var client = stubClient({
+            getOrderHistory: function (params) {
+                var newest = 10 - (params.current_page - 1) * 2;
+                return {orders: [{order_id: newest, create_date: newest}, {order_id: newest - 1, create_date: newest - 1}]};
+            }
+        });
+
+        pagination.collect(client, 'getOrderHistory', {page_length: 2}, {from: 7}, function (err, orders) {
+            assert.ifError(err);
+            assert.deepEqual(_.pluck(orders, 'order_id'), [10, 9, 8, 7]);
+
+            pagination.collect(client, 'getOrderHistory', {page_length: 2}, {limit: 3}, function (err, orders) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(orders, 'order_id'), [10, 9, 8]);
+                done();
+            });
+        });
+    });
+
+    it('resolves the items one at a time like an async iterator', function () {
+        var client = stubClient({
+                getOrderHistory: function () {
+                    return {orders: [{order_id: 1, create_date: 1}]};
+                }
+            }),
+            iterator = new pagination.HistoryIterator(client, 'getOrderHistory', {});
+
+        return iterator.next().then(function (result) {
+            assert.deepEqual(result, {value: {order_id: 1, create_date: 1}, done: false});
+            return iterator.next();
+        }).then(function (result) {
+            assert.equal(result.done, true);
+        });
+    });
+
+    it('requests a page once when next is called again before it resolves', function (done) {
+        var client = stubClient({
+                getOrderHistory: function (params) {
+                    var pages = [[{order_id: 2, create_date: 2000}, {order_id: 1, create_date: 1000}], []];
+                    return {result: true, orders: pages[params.current_page - 1]};
+                }
+            }),
+            iterator = new pagination.HistoryIterator(client, 'getOrderHistory', {symbol: 'btc_usdt', page_length: 2});
+
+        Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()]).then(function (results) {
+            assert.deepEqual(_.map(results, function (result) {
+                return result.done ? 'done' : result.value.order_id;
+            }), [2, 1, 'done', 'done']);
+            assert.deepEqual(_.pluck(client.requests, 'current_page'), [1, 2]);
+            done();
+        }).catch(done);
+    });
+
+    it('rejects the calls waiting for a page that fails', function (done) {
+        var client = {
+                getOrderHistory: function (callback) {
+                    setImmediate(callback, new Error('network down'));
+                }
+            },
+            iterator = new pagination.HistoryIterator(client, 'getOrderHistory', {symbol: 'btc_usdt'});
+
+        Promise.all([iterator.next(), iterator.next()]).then(function () {
+            done(new Error('the iterator did not fail'));
+        }, function (err) {
+            assert.equal(err.message, 'network down');
+            assert.strictEqual(iterator.pending, null);
+            done();
+        });
+    });
+});
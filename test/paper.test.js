@@ -0,0 +1,115 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const PaperExchange = require('../paper');
+const InstrumentRegistry = require('../instruments');
+
+describe('PaperExchange', function () {
+    var client, paper;
+
+    beforeEach(function () {
+        paper = new PaperExchange({balances: {usdt: 10000, btc: 1}, futureBalances: {btc: 1}});
+        paper.updateDepth('btc_usdt', {asks: [[6510, 0.5]], bids: [[6490, 0.5]]});
+        paper.updateDepth('btc_usd', {asks: [[6510, 500]], bids: [[6490, 500]]}, 'quarter');
+        paper.updateDepth('btc_usd', {asks: [[6410, 500]], bids: [[6390, 500]]}, 'this_week');
+
+        client = new OKEX(null, null, null, null, {rateLimit: false, paper: paper});
+    });
+
+    it('cancels the rest of a market buy the book could not fill', function (done) {
+        client.addTrade(function (err, data) {
+            assert.ifError(err);
+
+            client.getOrderInfo(function (err, info) {
+                assert.ifError(err);
+                assert.equal(info.orders[0].status, -1);
+                assert.equal(info.orders[0].deal_amount, 0.5);
+                assert.equal(paper.balanceOf('usdt').free.toFixed(), '6745');
+                assert.equal(paper.balanceOf('usdt').freezed.toFixed(), '0');
+                done();
+            }, 'btc_usdt', data.order_id);
+        }, 'btc_usdt', 'buy_market', undefined, 6510);
+    });
+
+    it('fills a market buy that spends all of its quote currency', function (done) {
+        client.addTrade(function (err, data) {
+            assert.ifError(err);
+
+            client.getOrderInfo(function (err, info) {
+                assert.ifError(err);
+                assert.equal(info.orders[0].status, 2);
+                assert.equal(info.orders[0].deal_amount, 0.2);
+                done();
+            }, 'btc_usdt', data.order_id);
+        }, 'btc_usdt', 'buy_market', undefined, 1302);
+    });
+
+    it('names futures contracts after their delivery date', function (done) {
+        var delivery = InstrumentRegistry.deliveryDates().quarter.toISOString();
+
+        client.addFutureTrade(function (err, data) {
+            assert.ifError(err);
+
+            client.getFutureOrderInfo(function (err, info) {
+                assert.ifError(err);
+                assert.equal(info.orders[0].contract_name, 'BTC' + delivery.slice(5, 7) + delivery.slice(8, 10));
+                done();
+            }, 'btc_usd', data.order_id, undefined, 'quarter');
+        }, 'btc_usd', 1, 1, 6000, 0, 'quarter', 10);
+    });
+
+    it('only cancels futures orders of the contract type they were placed for', function (done) {
+        client.addFutureTrade(function (err, data) {
+            assert.ifError(err);
+
+            client.cancelFutureOrder(function (err) {
+                assert.ok(err);
+                assert.equal(err.code, 20015);
+
+                client.cancelFutureOrder(function (err) {
+                    assert.ifError(err);
+                    assert.equal(paper.orders[data.order_id].status, -1);
+                    done();
+                }, 'btc_usd', data.order_id, 'quarter');
+            }, 'btc_usd', data.order_id, 'this_week');
+        }, 'btc_usd', 1, 1, 6000, 0, 'quarter', 10);
+    });
+
+    it('places the orders of a spot batch one by one', function (done) {
+        client.addBatchTrades(function (err, data) {
+            assert.ifError(err);
+            // the second order needs more usdt than is left
+            assert.deepEqual(data.order_info, [{order_id: 1}, {error_code: 10010, order_id: -1}, {order_id: 2}]);
+            assert.equal(paper.orders[1].side, 'buy');
+            assert.equal(paper.orders[2].side, 'sell');
+            assert.equal(paper.balanceOf('usdt').freezed.toFixed(), '6000');
+            done();
+        }, 'btc_usdt', 'buy', [
+            {price: 6000, amount: 1},
+            {price: 6000, amount: 1},
+            {price: 7000, amount: 0.5, type: 'sell'}
+        ]);
+    });
+
+    it('places the orders of a futures batch one by one', function (done) {
+        client.addFutureBatchTrades(function (err, data) {
+            assert.ifError(err);
+            assert.deepEqual(data.order_info, [{order_id: 1}, {error_code: 20016, order_id: -1}]);
+            assert.equal(paper.orders[1].contract_type, 'quarter');
+            assert.equal(paper.orders[1].lever_rate, 20);
+            done();
+        }, 'btc_usd', [{type: 1, price: 6000, amount: 1}, {type: 3, price: 6000, amount: 1}], 20, 'quarter');
+    });
+
+    it('fails methods it does not simulate with an ExchangeError', function (done) {
+        client.getFutureUserInfoFix(function (err) {
+            assert.ok(err instanceof OKEX.errors.ExchangeError);
+            assert.ok(/future_userinfo_4fix is not supported in paper mode. Futures accounts are simulated as cross/
+                .test(err.message));
+
+            client.getFuturePositionFix(function (err) {
+                assert.ok(/future_position_4fix is not supported in paper mode/.test(err.message));
+                done();
+            }, 'btc_usd', 'quarter');
+        });
+    });
+});
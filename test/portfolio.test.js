@@ -0,0 +1,94 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const Portfolio = require('../portfolio');
+
+describe('Portfolio', function () {
+    var mock, client;
+
+    beforeEach(function (done) {
+        mock = new OKEX.MockServer({
+            exchange: {balances: {usdt: 1000, btc: 0.5}, futureBalances: {btc: 1}},
+            fixtures: {
+                future_index: {future_index: 6500}
+            }
+        });
+        mock.exchange.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+        mock.exchange.updateDepth('btc_usd', {asks: [[6510, 500]], bids: [[6490, 500]]}, 'quarter');
+
+        mock.listen(0, function (err, server) {
+            client = new OKEX('key', 'secret', server, null, {rateLimit: false});
+            client.addFutureTrade(done, 'btc_usd', 1, 10, 6510, 0, 'quarter', 10);
+        });
+    });
+
+    afterEach(function (done) {
+        mock.close(done);
+    });
+
+    it('values the spot balances, futures accounts and positions in the quote', function (done) {
+        new Portfolio(client, {contractTypes: ['quarter']}).load(function (err, portfolio) {
+            assert.ifError(err);
+            assert.deepEqual(portfolio.unpriced, []);
+            assert.equal(portfolio.spot.length, 2);
+            assert.equal(portfolio.positions.length, 1);
+            assert.equal(portfolio.positions[0].side, 'long');
+            assert.equal(portfolio.positions[0].amount, 10);
+            assert.ok(portfolio.positions[0].unrealizedProfit < 0);
+            assert.ok(portfolio.totalValue > 1000 + 0.5 * 6000);
+            done();
+        });
+    });
+
+    it('lists the currency of a position without a contract price as unpriced', function (done) {
+        mock.failNext('future_ticker', 20049);
+
+        new Portfolio(client, {contractTypes: ['quarter']}).load(function (err, portfolio) {
+            assert.ifError(err);
+            assert.deepEqual(portfolio.unpriced, ['btc']);
+            assert.strictEqual(portfolio.positions[0].unrealizedProfit, null);
+            assert.strictEqual(portfolio.positions[0].unrealizedProfitValue, null);
+            done();
+        });
+    });
+
+    it('lists currencies whose ticker has no last price as unpriced', function (done) {
+        mock.fixture('ticker', {date: '1'});
+
+        new Portfolio(client, {contractTypes: ['quarter']}).load(function (err, portfolio) {
+            assert.ifError(err);
+            assert.deepEqual(portfolio.unpriced, ['btc']);
+            done();
+        });
+    });
+
+    it('needs the v1 api', function () {
+        var v3 = new OKEX('key', 'secret', null, null, {apiVersion: 'v3', passphrase: 'passphrase'});
+
+        assert.throws(function () {
+            new Portfolio(v3);
+        }, /needs the v1 API, not v3/);
+    });
+
+    it('sends at most concurrency requests at the same time', function (done) {
+        var inFlight = 0,
+            mostInFlight = 0,
+            requests = 0;
+
+        client.on('request', function () {
+            requests++;
+            mostInFlight = Math.max(mostInFlight, ++inFlight);
+        });
+        client.on('response', function () {
+            inFlight--;
+        });
+
+        new Portfolio(client, {concurrency: 2}).load(function (err, portfolio) {
+            assert.ifError(err);
+            assert.equal(portfolio.positions.length, 1);
+            // the spot price, index, and the position and mark price of each contract type
+            assert.ok(requests >= 8);
+            assert.equal(mostInFlight, 2);
+            done();
+        });
+    });
+});
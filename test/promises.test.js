@@ -0,0 +1,44 @@
+const assert = require('assert');
+const http = require('http');
+const OKEX = require('../rest');
+
+describe('promises', function () {
+    var server, url;
+
+    // answers every request with a btc_usdt ticker
+    before(function (done) {
+        server = http.createServer(function (req, res) {
+            res.end(JSON.stringify({date: '1539907200', ticker: {last: '6500'}}));
+        });
+        server.listen(0, '127.0.0.1', function () {
+            url = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    it('returns a Promise of the data when a method is called without a callback', function () {
+        return new OKEX(null, null, url).getTicker('btc_usdt').then(function (data) {
+            assert.equal(data.ticker.last, '6500');
+        });
+    });
+
+    it('calls the callback when a method is called with one', function (done) {
+        new OKEX(null, null, url).getTicker(function (err, data) {
+            assert.ifError(err);
+            assert.equal(data.ticker.last, '6500');
+            done();
+        }, 'btc_usdt');
+    });
+
+    it('rejects the Promise with the error of the request', function () {
+        return new OKEX(null, null, url).getUserInfo().then(function () {
+            assert.fail('getUserInfo() resolved without api_key and secret');
+        }, function (err) {
+            assert.ok(/must provide api_key and secret/.test(err.message));
+        });
+    });
+});
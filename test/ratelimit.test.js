@@ -0,0 +1,128 @@
+const assert = require('assert');
+const _ = require('underscore');
+const OKEX = require('../rest');
+const RateLimiter = require('../ratelimit');
+
+describe('RateLimiter', function () {
+    var now, timers, realNow, realSetTimeout;
+
+    // Date.now and setTimeout are replaced by a clock that only moves with tick
+    beforeEach(function () {
+        now = 1000000;
+        timers = [];
+        realNow = Date.now;
+        realSetTimeout = global.setTimeout;
+
+        Date.now = function () {
+            return now;
+        };
+        global.setTimeout = function (callback, delay) {
+            var timer = {at: now + delay, callback: callback};
+            timers.push(timer);
+            return timer;
+        };
+    });
+
+    afterEach(function () {
+        Date.now = realNow;
+        global.setTimeout = realSetTimeout;
+    });
+
+    function tick(milliseconds) {
+        var end = now + milliseconds;
+
+        for (;;) {
+            var timer = _.min(_.filter(timers, function (timer) {
+                return timer.at <= end;
+            }), 'at');
+
+            if (timer === Infinity) break;
+
+            timers = _.without(timers, timer);
+            now = timer.at;
+            timer.callback();
+        }
+
+        now = end;
+    }
+
+    function scheduleAll(limiter, group, names, sent) {
+        _.each(names, function (name) {
+            limiter.schedule(group, limiter.priorityOf(name), function () {
+                sent.push(name);
+            });
+        });
+    }
+
+    it('sends up to the limit at once and queues the rest', function () {
+        var limiter = new RateLimiter({limits: {spot: {limit: 2, interval: 1000}}}),
+            sent = [];
+
+        scheduleAll(limiter, 'spot', ['a', 'b', 'c', 'd'], sent);
+
+        assert.deepEqual(sent, ['a', 'b']);
+        assert.equal(limiter.stats().spot.queued, 2);
+    });
+
+    it('refills the tokens over the interval', function () {
+        var limiter = new RateLimiter({limits: {spot: {limit: 2, interval: 1000}}}),
+            sent = [];
+
+        scheduleAll(limiter, 'spot', ['a', 'b', 'c', 'd', 'e'], sent);
+
+        tick(499);
+        assert.deepEqual(sent, ['a', 'b']);
+
+        tick(1);
+        assert.deepEqual(sent, ['a', 'b', 'c']);
+
+        tick(1000);
+        assert.deepEqual(sent, ['a', 'b', 'c', 'd', 'e']);
+
+        var stats = limiter.stats().spot;
+        assert.equal(stats.sent, 5);
+        assert.equal(stats.queued, 0);
+        assert.equal(stats.maxWait, 1500);
+    });
+
+    it('does not save up more tokens than the limit', function () {
+        var limiter = new RateLimiter({limits: {spot: {limit: 2, interval: 1000}}}),
+            sent = [];
+
+        tick(10000);
+        scheduleAll(limiter, 'spot', ['a', 'b', 'c'], sent);
+
+        assert.deepEqual(sent, ['a', 'b']);
+    });
+
+    it('sends cancels before the other queued requests', function () {
+        var limiter = new RateLimiter({limits: {spot: {limit: 1, interval: 1000}}}),
+            sent = [];
+
+        scheduleAll(limiter, 'spot', ['trade', 'trade_2', 'userinfo', 'cancel_order'], sent);
+        tick(3000);
+
+        assert.deepEqual(sent, ['trade', 'cancel_order', 'trade_2', 'userinfo']);
+    });
+
+    it('queues each endpoint group on its own', function () {
+        var limiter = new RateLimiter({limits: {spot: {limit: 1, interval: 1000}, futures: {limit: 1, interval: 1000}}}),
+            sent = [];
+
+        assert.equal(limiter.groupOf('ticker', false), 'public');
+        assert.equal(limiter.groupOf('trade', true), 'spot');
+        assert.equal(limiter.groupOf('future_trade', true), 'futures');
+
+        scheduleAll(limiter, 'spot', ['trade', 'userinfo'], sent);
+        scheduleAll(limiter, 'futures', ['future_trade'], sent);
+
+        assert.deepEqual(sent, ['trade', 'future_trade']);
+    });
+
+    it('is used by the client unless rateLimit is false', function () {
+        assert.ok(new OKEX().rateLimiter instanceof RateLimiter);
+        assert.equal(new OKEX(null, null, null, null, {rateLimit: false}).rateLimiter, undefined);
+        assert.equal(new OKEX(null, null, null, null, {rateLimit: {limits: {spot: {limit: 5, interval: 1000}}}})
+            .rateLimiter.groups.spot.limit, 5);
+    });
+});
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OKEX = require('../rest');
+const RecordingTransport = require('../recorder');
+const transports = require('../transports');
+
+var fixtures = path.join(__dirname, 'fixtures');
+
+function tempFile(name) {
+    return path.join(os.tmpdir(), 'okex-' + process.pid + '-' + name);
+}
+
+// transport that answers every request with the next body and counts what it sent
+function stubTransport(version, bodies) {
+    var transport = version == 'v3' ? new transports.V3Transport({
+        server: 'https://www.okex.com',
+        api_key: 'key',
+        secret: 'secret',
+        passphrase: 'passphrase'
+    }) : new transports.V1Transport({server: 'https://www.okex.com', api_key: 'key', secret: 'secret'});
+
+    transport.sent = 0;
+    transport.send = function (options, callback) {
+        var body = bodies[transport.sent++];
+        setImmediate(function () {
+            callback(null, {statusCode: 200}, body);
+        });
+    };
+
+    return transport;
+}
+
+function sendThrough(recorder, method, params, isPrivate, callback) {
+    var built = recorder.buildRequest(method, params, isPrivate);
+
+    if (isPrivate) recorder.authorize(built.options);
+    recorder.send(built.options, callback);
+}
+
+describe('RecordingTransport', function () {
+    describe('replaying fixtures', function () {
+        var client = new OKEX('key', 'secret', null, null, {
+            rateLimit: false,
+            replay: path.join(fixtures, 'spot.json')
+        });
+
+        it('serves public and private responses without sending them', function (done) {
+            client.getTicker(function (err, data) {
+                assert.ifError(err);
+                assert.equal(data.ticker.last, '6500');
+
+                client.getUserInfo(function (err, data) {
+                    assert.ifError(err);
+                    assert.equal(data.info.funds.free.usdt, '1000');
+                    done();
+                });
+            }, 'btc_usdt');
+        });
+
+        it('replays repeated requests in the order they were recorded', function (done) {
+            client.addTrade(function (err, data) {
+                assert.ifError(err);
+
+                client.getOrderInfo(function (err, open) {
+                    assert.ifError(err);
+                    assert.equal(open.orders[0].status, 0);
+
+                    client.cancelOrder(function (err) {
+                        assert.ifError(err);
+
+                        client.getOrderInfo(function (err, cancelled) {
+                            assert.ifError(err);
+                            assert.equal(cancelled.orders[0].status, -1);
+                            done();
+                        }, 'btc_usdt', data.order_id);
+                    }, 'btc_usdt', data.order_id);
+                }, 'btc_usdt', data.order_id);
+            }, 'btc_usdt', 'buy', 0.1, 6400);
+        });
+
+        it('fails requests that were not recorded', function (done) {
+            client.getTicker(function (err) {
+                assert.ok(err);
+                assert.ok(/no recorded response/.test(err.message));
+                done();
+            }, 'ltc_usdt');
+        });
+    });
+
+    describe('recording', function () {
+        var file = tempFile('recording.json');
+
+        afterEach(function () {
+            if (fs.existsSync(file)) fs.unlinkSync(file);
+        });
+
+        it('writes the redacted recordings once they are flushed', function (done) {
+            var transport = stubTransport('v1', [{result: true, withdraw_id: 1}]),
+                recorder = new RecordingTransport(transport, {mode: 'record', file: file});
+
+            sendThrough(recorder, 'withdraw', {symbol: 'btc_usd', trade_pwd: 'password', withdraw_amount: '1'}, true,
+                function (err) {
+                    assert.ifError(err);
+                    assert.equal(fs.existsSync(file), false);
+
+                    recorder.flush(function (err) {
+                        assert.ifError(err);
+
+                        var saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+                        assert.equal(saved.length, 1);
+                        assert.equal(saved[0].request.params.trade_pwd, '[REDACTED]');
+                        assert.equal(saved[0].request.params.api_key, undefined);
+                        assert.equal(saved[0].request.params.sign, undefined);
+                        assert.deepEqual(saved[0].response.body, {result: true, withdraw_id: 1});
+                        done();
+                    });
+                });
+        });
+
+        it('stops recording when it is closed', function (done) {
+            var transport = stubTransport('v1', [{ticker: {last: '1'}}, {ticker: {last: '2'}}]),
+                recorder = new RecordingTransport(transport, {mode: 'record', file: file});
+
+            sendThrough(recorder, 'ticker', {symbol: 'btc_usdt'}, false, function (err) {
+                assert.ifError(err);
+
+                recorder.close(function (err) {
+                    assert.ifError(err);
+
+                    sendThrough(recorder, 'ticker', {symbol: 'btc_usdt'}, false, function (err) {
+                        assert.ifError(err);
+                        assert.equal(transport.sent, 2);
+                        assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).length, 1);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('saves v3 futures instrument ids with the contract type instead of the delivery date', function (done) {
+            var transport = stubTransport('v3', [{last: '6500'}]),
+                recorder = new RecordingTransport(transport, {mode: 'record', file: file});
+
+            sendThrough(recorder, 'future_ticker', {symbol: 'btc_usd', contract_type: 'quarter'}, false,
+                function (err) {
+                    assert.ifError(err);
+                    assert.equal(recorder.fixtures[0].request.path,
+                        '/api/futures/v3/instruments/BTC-USD-QUARTER/ticker');
+                    done();
+                });
+        });
+    });
+
+    describe('replaying v3 futures fixtures', function () {
+        var file = tempFile('futures.json');
+
+        before(function () {
+            fs.writeFileSync(file, JSON.stringify([{
+                request: {method: 'GET', path: '/api/futures/v3/instruments/BTC-USD-THIS_WEEK/ticker', params: {}},
+                response: {statusCode: 200, body: {instrument_id: 'BTC-USD-181102', last: '6400'}}
+            }]));
+        });
+
+        after(function () {
+            fs.unlinkSync(file);
+        });
+
+        it('matches the contract of the current delivery date', function (done) {
+            var recorder = new RecordingTransport(stubTransport('v3', []), {mode: 'replay', file: file});
+
+            sendThrough(recorder, 'future_ticker', {symbol: 'btc_usd', contract_type: 'this_week'}, false,
+                function (err, response, body) {
+                    assert.ifError(err);
+                    assert.equal(body.last, '6400');
+                    done();
+                });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+const assert = require('assert');
+const _ = require('underscore');
+const OKEX = require('../rest');
+const RetryPolicy = require('../retry');
+const transports = require('../transports');
+
+// v1 transport that answers each method with the next of its scripted answers: an Error, or a body
+function stubTransport(answers) {
+    var transport = new transports.V1Transport({server: 'https://www.okex.com', api_key: 'key', secret: 'secret'});
+
+    transport.sent = [];
+    transport.send = function (options, callback) {
+        var method = /\/api\/v1\/([a-z0-9_]+)\.do/.exec(options.url)[1],
+            answer = (answers[method] || []).shift();
+
+        transport.sent.push(method);
+        setImmediate(function () {
+            if (answer instanceof Error) return callback(answer);
+            callback(null, {statusCode: 200}, JSON.stringify(answer));
+        });
+    };
+
+    return transport;
+}
+
+function timeout() {
+    var err = new Error('ESOCKETTIMEDOUT');
+    err.code = 'ESOCKETTIMEDOUT';
+    return err;
+}
+
+function openOrder() {
+    return {order_id: 42, type: 'buy', amount: 0.1, price: 6000, status: 0, create_date: Date.now()};
+}
+
+describe('RetryPolicy', function () {
+    function client(transport) {
+        return new OKEX('key', 'secret', null, null, {
+            rateLimit: false,
+            transport: transport,
+            retry: {baseDelay: 1, jitter: 0, duplicateCheckDelay: 1}
+        });
+    }
+
+    function count(transport, method) {
+        return _.filter(transport.sent, function (sent) {
+            return sent == method;
+        }).length;
+    }
+
+    it('only retries read only methods and order methods', function () {
+        var policy = new RetryPolicy();
+
+        assert.equal(policy.shouldRetry('ticker', new OKEX.errors.NetworkError({retryable: true}, null, 'x'), 1), true);
+        assert.equal(policy.shouldRetry('withdraw', new OKEX.errors.NetworkError({retryable: true}, null, 'x'), 1), false);
+        assert.equal(policy.shouldRetry('ticker', new OKEX.errors.NetworkError({retryable: true}, null, 'x'), 3), false);
+        assert.equal(policy.needsDuplicateCheck('trade'), true);
+    });
+
+    it('returns the order of a timed out attempt that reached OKEX instead of sending it again', function (done) {
+        var transport = stubTransport({
+                trade: [timeout()],
+                order_info: [{result: true, orders: [openOrder()]}],
+                order_history: [{result: true, orders: []}]
+            }),
+            okex = client(transport);
+
+        okex.addTrade(function (err, data) {
+            assert.ifError(err);
+            assert.equal(data.order_id, 42);
+            assert.equal(count(transport, 'trade'), 1);
+            done();
+        }, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('finds an order that reaches OKEX after the first look', function (done) {
+        var transport = stubTransport({
+                trade: [timeout()],
+                order_info: [{result: true, orders: []}, {result: true, orders: [openOrder()]}],
+                order_history: [{result: true, orders: []}, {result: true, orders: []}]
+            }),
+            okex = client(transport);
+
+        okex.addTrade(function (err, data) {
+            assert.ifError(err);
+            assert.equal(data.order_id, 42);
+            assert.equal(count(transport, 'order_info'), 2);
+            assert.equal(count(transport, 'trade'), 1);
+            done();
+        }, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('sends the order again when OKEX does not have it', function (done) {
+        var other = _.extend(openOrder(), {price: 5000}),
+            old = _.extend(openOrder(), {create_date: Date.now() - 60000}),
+            transport = stubTransport({
+                trade: [timeout(), {result: true, order_id: 43}],
+                order_info: [{result: true, orders: [other]}, {result: true, orders: [other]}],
+                order_history: [{result: true, orders: [old]}, {result: true, orders: [old]}]
+            }),
+            okex = client(transport);
+
+        okex.addTrade(function (err, data) {
+            assert.ifError(err);
+            assert.equal(data.order_id, 43);
+            assert.equal(count(transport, 'order_info'), 2);
+            assert.equal(count(transport, 'trade'), 2);
+            done();
+        }, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('does not send the order again when OKEX can not be asked for it', function (done) {
+        var transport = stubTransport({
+                trade: [timeout()],
+                // the lookup is retried too
+                order_info: [{result: false, error_code: 10002}, {result: false, error_code: 10002},
+                    {result: false, error_code: 10002}],
+                order_history: [{result: true, orders: []}]
+            }),
+            okex = client(transport);
+
+        okex.addTrade(function (err) {
+            assert.ok(err instanceof OKEX.errors.NetworkError);
+            assert.equal(count(transport, 'trade'), 1);
+            done();
+        }, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+});
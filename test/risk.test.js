@@ -0,0 +1,126 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const PaperExchange = require('../paper');
+
+describe('RiskGuard', function () {
+    var paper;
+
+    beforeEach(function () {
+        paper = new PaperExchange({balances: {usdt: 100000, btc: 10}, futureBalances: {btc: 10}});
+        paper.updateDepth('btc_usdt', {asks: [[6510, 5]], bids: [[6490, 5]]});
+        paper.updateDepth('btc_usd', {asks: [[6510, 500]], bids: [[6490, 500]]}, 'quarter');
+    });
+
+    function client(risk) {
+        return new OKEX(null, null, null, null, {rateLimit: false, paper: paper, risk: risk});
+    }
+
+    function assertRejected(pattern, done) {
+        return function (err) {
+            assert.ok(err instanceof OKEX.errors.RiskLimitError, err);
+            assert.ok(pattern.test(err.message), err.message);
+            done();
+        };
+    }
+
+    it('rejects limit prices outside the band around the last price', function (done) {
+        var okex = client({priceBand: 0.05});
+
+        okex.addTrade(function (err) {
+            assert.ifError(err);
+            okex.addTrade(assertRejected(/price 5000 is 23.08% from the last price 6500, more than the 5% band/, done),
+                'btc_usdt', 'buy', 0.1, 5000);
+        }, 'btc_usdt', 'buy', 0.1, 6400);
+    });
+
+    it('rejects orders over the notional limit of an order', function (done) {
+        var okex = client({maxOrderNotional: {btc_usdt: 5000, btc_usd: 500}});
+
+        okex.addTrade(assertRejected(/notional 6000 is more than the limit of 5000 for an order/, function () {
+            okex.addFutureTrade(assertRejected(/notional 600 is more than the limit of 500/, done),
+                'btc_usd', 1, 6, 6000, 0, 'quarter', 10);
+        }), 'btc_usdt', 'buy', 1, 6000);
+    });
+
+    it('rejects orders that take the open orders of a symbol over the notional limit', function (done) {
+        var okex = client({maxSymbolNotional: 5000});
+
+        okex.addTrade(function (err) {
+            assert.ifError(err);
+            okex.addTrade(assertRejected(/notional 6000 of the open and new orders of btc_usdt is more than/, done),
+                'btc_usdt', 'buy', 0.5, 6000);
+        }, 'btc_usdt', 'buy', 0.5, 6000);
+    });
+
+    it('rejects orders over the open orders limit', function (done) {
+        var okex = client({maxOpenOrders: 1});
+
+        okex.addTrade(function (err) {
+            assert.ifError(err);
+            okex.addTrade(assertRejected(/1 open orders and 1 new would be more than the limit of 1 open orders/, done),
+                'btc_usdt', 'buy', 0.1, 6000);
+        }, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('rejects futures orders over the position and lever rate limits', function (done) {
+        var okex = client({maxPosition: {quarter: 10}, maxLeverRate: 10});
+
+        okex.addFutureTrade(function (err) {
+            assert.ifError(err);
+
+            okex.addFutureTrade(assertRejected(/quarter long position of 11 contracts would be more than the limit/,
+                function () {
+                    okex.addFutureTrade(assertRejected(/lever_rate 20 is more than the limit of 10/, done),
+                        'btc_usd', 2, 1, 6510, 0, 'quarter', 20);
+                }), 'btc_usd', 1, 1, 6510, 0, 'quarter', 10);
+        }, 'btc_usd', 1, 10, 6510, 0, 'quarter', 10);
+    });
+
+    it('rejects orders when the state can not be read', function (done) {
+        var okex = client({maxOpenOrders: 5});
+
+        okex.getOrderInfo = function (callback) {
+            callback(null, {result: true});
+        };
+
+        okex.addTrade(assertRejected(/the open orders response has no orders list/, function () {
+            okex.getOrderInfo = function (callback) {
+                callback(new Error('network down'));
+            };
+
+            okex.addTrade(assertRejected(/could not get the market and account state/, done),
+                'btc_usdt', 'buy', 0.1, 6000);
+        }), 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('counts the orders that passed the checks until OKEX answers them', function (done) {
+        var okex = client({maxOpenOrders: 1, maxSymbolNotional: 1000}),
+            results = [];
+
+        function placed(err) {
+            results.push(err ? err.name : 'placed');
+            if (results.length < 2) return;
+
+            assert.deepEqual(results.sort(), ['RiskLimitError', 'placed']);
+            assert.equal(okex.riskGuard.reservations.length, 0);
+            done();
+        }
+
+        okex.addTrade(placed, 'btc_usdt', 'buy', 0.1, 6000);
+        okex.addTrade(placed, 'btc_usdt', 'buy', 0.1, 6000);
+    });
+
+    it('stops counting orders that OKEX rejects', function (done) {
+        var okex = client({maxOpenOrders: 1});
+
+        okex.addTrade(function (err) {
+            assert.ok(err instanceof OKEX.errors.InsufficientBalanceError);
+            assert.equal(okex.riskGuard.reservations.length, 0);
+
+            okex.addTrade(function (err) {
+                assert.ifError(err);
+                done();
+            }, 'btc_usdt', 'buy', 0.1, 6000);
+        }, 'btc_usdt', 'buy', 100, 6000);
+    });
+});
@@ -0,0 +1,111 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const OKEX = require('../rest');
+const sign = require('../sign');
+const transports = require('../transports');
+
+describe('transports', function () {
+    function v3(config) {
+        return new transports.V3Transport(Object.assign({
+            server: 'https://www.okex.com',
+            api_key: 'key',
+            secret: 'secret',
+            passphrase: 'passphrase'
+        }, config));
+    }
+
+    describe('signV3Message', function () {
+        it('signs with HMAC-SHA256 as base64', function () {
+            // RFC 4231 test case 2
+            assert.equal(sign.signV3Message('what do ya want for nothing?', 'Jefe'),
+                'W9zBRr9gdU5qBCQmCJV1x1oAPwidJzmDnexYuWTsOEM=');
+        });
+    });
+
+    describe('V3Transport', function () {
+        it('signs the timestamp, method, path and body of private requests', function () {
+            var transport = v3(),
+                built = transport.buildRequest('trade', {symbol: 'btc_usdt', type: 'buy', amount: '1', price: '6500'},
+                    true);
+
+            transport.authorize(built.options);
+
+            var headers = built.options.headers,
+                message = headers['OK-ACCESS-TIMESTAMP'] + 'POST/api/spot/v3/orders' +
+                    '{"instrument_id":"BTC-USDT","side":"buy","type":"limit","price":"6500","size":"1"}';
+
+            assert.equal(built.options.body,
+                '{"instrument_id":"BTC-USDT","side":"buy","type":"limit","price":"6500","size":"1"}');
+            assert.equal(headers['OK-ACCESS-KEY'], 'key');
+            assert.equal(headers['OK-ACCESS-PASSPHRASE'], 'passphrase');
+            assert.ok(!isNaN(Date.parse(headers['OK-ACCESS-TIMESTAMP'])));
+            assert.equal(headers['OK-ACCESS-SIGN'],
+                crypto.createHmac('sha256', 'secret').update(message).digest('base64'));
+        });
+
+        it('signs the query string of GET requests', function () {
+            var messages = [],
+                transport = v3({
+                    signer: function (message) {
+                        messages.push(message);
+                        return 'sign';
+                    }
+                }),
+                built = transport.buildRequest('order_info', {symbol: 'btc_usdt', order_id: -1}, true);
+
+            transport.authorize(built.options);
+
+            assert.ok(/Z?GET\/api\/spot\/v3\/orders_pending\?instrument_id=BTC-USDT$/.test(messages[0]));
+            assert.equal(built.options.headers['OK-ACCESS-SIGN'], 'sign');
+        });
+
+        it('needs a passphrase for private requests', function () {
+            var built = v3({passphrase: null}).buildRequest('userinfo', {}, true);
+
+            assert.ok(built instanceof Error);
+            assert.ok(/must provide a passphrase/.test(built.message));
+        });
+
+        it('returns an error for methods and kline types v3 does not have', function () {
+            var transport = v3(),
+                batch = transport.buildRequest('batch_trade', {symbol: 'btc_usdt'}, true),
+                kline = transport.buildRequest('kline', {symbol: 'btc_usdt', type: '3day'}, false);
+
+            assert.ok(/method batch_trade is not supported by the v3 API/.test(batch.message));
+            assert.ok(/kline type 3day must be one of/.test(kline.message));
+        });
+
+        it('reads the error codes of v3 responses', function () {
+            var transport = v3();
+
+            assert.deepEqual(transport.errorOf({code: 30008, message: 'timestamp expired'}),
+                {code: 30008, message: 'timestamp expired'});
+            assert.equal(transport.errorOf({order_id: '1', error_code: '0'}), null);
+        });
+    });
+
+    describe('createTransport', function () {
+        it('creates the transport of an API version', function () {
+            assert.equal(transports.createTransport(undefined, {}).version, 'v1');
+            assert.equal(transports.createTransport('v3', {}).version, 'v3');
+            assert.throws(function () {
+                transports.createTransport('v2', {});
+            }, /API version v2 must be v1 or v3/);
+        });
+
+        it('is not used with the helpers that read v1 responses', function () {
+            assert.throws(function () {
+                new OKEX('key', 'secret', null, null, {apiVersion: 'v3', passphrase: 'passphrase', normalize: true});
+            }, /normalized responses need the v1 API, not v3/);
+
+            var client = new OKEX('key', 'secret', null, null, {apiVersion: 'v3', passphrase: 'passphrase'});
+
+            assert.throws(function () {
+                new OKEX.OrderManager(client);
+            }, /OrderManager\(\) needs the v1 API/);
+            assert.throws(function () {
+                client.candleHistory();
+            }, /CandleHistory\(\) needs the v1 API/);
+        });
+    });
+});
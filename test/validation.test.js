@@ -0,0 +1,93 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const validation = require('../validation');
+
+describe('validation', function () {
+    function problemsOf(method, params) {
+        var err = validation.validateParams('test()', method, params);
+        return err ? err.message : null;
+    }
+
+    it('accepts parameters that match the schema', function () {
+        assert.equal(problemsOf('trade', {symbol: 'btc_usdt', type: 'buy', amount: '0.1', price: '6500'}), null);
+        assert.equal(problemsOf('future_position', {symbol: 'btc_usd', contract_type: 'quarter'}), null);
+        assert.equal(problemsOf('kline', {symbol: 'btc_usdt', type: '1min', since: 0}), null);
+        // methods without a schema are not validated
+        assert.equal(problemsOf('unknown_method', {anything: true}), null);
+    });
+
+    it('rejects unknown fields', function () {
+        var message = problemsOf('ticker', {symbol: 'btc_usdt', contract_type: 'quarter'});
+
+        assert.ok(/test\(\) invalid parameters for ticker: contract_type is not a parameter of ticker/.test(message));
+    });
+
+    it('rejects missing fields and values that break their rules', function () {
+        var message = problemsOf('orders_info', {type: 2, order_id: '1,a'});
+
+        assert.ok(/symbol is required/.test(message));
+        assert.ok(/type must be one of 0, 1/.test(message));
+        assert.ok(/order_id must be an id or comma separated list of ids/.test(message));
+
+        assert.ok(/size must be at most 200/.test(problemsOf('depth', {symbol: 'btc_usdt', size: 201})));
+        assert.ok(/amount must be greater than 0/.test(problemsOf('trade', {
+            symbol: 'btc_usdt', type: 'buy', amount: 0, price: 6500
+        })));
+        assert.ok(/date must be a date formatted as yyyy-MM-dd/.test(problemsOf('future_trades_history', {
+            symbol: 'btc_usd', date: '2018/10/19', since: 0
+        })));
+    });
+
+    it('checks the rules across the fields of a trade', function () {
+        assert.ok(/amount must not be set for a buy_market order/.test(problemsOf('trade', {
+            symbol: 'btc_usdt', type: 'buy_market', amount: 1, price: 100
+        })));
+        assert.ok(/price is required for a buy order/.test(problemsOf('trade', {
+            symbol: 'btc_usdt', type: 'buy', amount: 1
+        })));
+    });
+
+    it('checks each order of a spot batch trade', function () {
+        assert.equal(problemsOf('batch_trade', {
+            symbol: 'btc_usdt',
+            type: 'buy',
+            orders_data: [{price: '6500', amount: '0.1'}, {price: '6600', amount: '0.1', type: 'sell'}]
+        }), null);
+
+        var message = problemsOf('batch_trade', {
+            symbol: 'btc_usdt',
+            orders_data: '[{"price":"6500","amount":"-1","type":"buy"},{"price":"6500","amount":"1"},' +
+                '{"price":"6500","amount":"1","type":"buy","leverage":3},"buy"]'
+        });
+
+        assert.ok(/orders_data\[0\] amount must be greater than 0/.test(message));
+        assert.ok(/orders_data\[1\] type is required when the batch has no type/.test(message));
+        assert.ok(/orders_data\[2\] leverage is not a parameter/.test(message));
+        assert.ok(/orders_data\[3\] must be an object/.test(message));
+
+        assert.ok(/orders_data must be a list of 1 to 5 orders/.test(problemsOf('batch_trade', {
+            symbol: 'btc_usdt', type: 'buy', orders_data: []
+        })));
+    });
+
+    it('checks each order of a futures batch trade', function () {
+        var message = problemsOf('future_batch_trade', {
+            symbol: 'btc_usd',
+            contract_type: 'quarter',
+            orders_data: [{amount: 1, type: 1}, {amount: 1.5, type: 5, price: 6500}]
+        });
+
+        assert.ok(/orders_data\[0\] price is required unless match_price is 1/.test(message));
+        assert.ok(/orders_data\[1\] amount must be an integer. Got 1.5, type must be one of 1, 2, 3, 4/.test(message));
+    });
+
+    it('rejects an invalid batch order before it is sent', function (done) {
+        var client = new OKEX('key', 'secret', 'http://127.0.0.1:1', null, {rateLimit: false});
+
+        client.addBatchTrades(function (err) {
+            assert.ok(err instanceof OKEX.errors.InvalidParameterError);
+            assert.ok(/orders_data\[0\] price is required/.test(err.message));
+            done();
+        }, 'btc_usdt', 'buy', [{amount: '0.1'}]);
+    });
+});
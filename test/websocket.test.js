@@ -0,0 +1,87 @@
+const assert = require('assert');
+const WebSocket = require('ws');
+const OKEXWebSocket = require('../websocket');
+
+describe('OKEXWebSocket', function () {
+    var server, url, connections, ws;
+
+    beforeEach(function (done) {
+        connections = [];
+        server = new WebSocket.Server({port: 0}, function () {
+            url = 'ws://127.0.0.1:' + server.address().port;
+            done();
+        });
+        server.on('connection', function (socket) {
+            connections.push(socket);
+        });
+    });
+
+    afterEach(function (done) {
+        if (ws) ws.close();
+        server.close(done);
+    });
+
+    function connect(callback) {
+        ws = new OKEXWebSocket('key', 'secret', {url: url, reconnectDelay: 10});
+        ws.once('open', callback);
+        ws.connect();
+    }
+
+    it('emits the data of channel messages', function (done) {
+        connect(function () {
+            ws.on('ok_sub_spot_btc_usdt_ticker', function (data) {
+                assert.deepEqual(data, {last: '6500'});
+                done();
+            });
+            connections[0].send(JSON.stringify([{channel: 'ok_sub_spot_btc_usdt_ticker', data: {last: '6500'}}]));
+        });
+    });
+
+    it('emits an error for messages that are valid JSON but not objects', function (done) {
+        connect(function () {
+            var messages = [];
+
+            ws.on('message', function (channel) {
+                messages.push(channel);
+            });
+            ws.on('error', function (err) {
+                assert.equal(err.name, 'InvalidResponseError');
+                assert.ok(/is not an object: null/.test(err.message));
+
+                // the connection keeps working
+                connections[0].send(JSON.stringify([null, 1, {channel: 'ok_sub_spot_btc_usdt_ticker', data: null}]));
+                setTimeout(function () {
+                    assert.deepEqual(messages, ['ok_sub_spot_btc_usdt_ticker']);
+                    done();
+                }, 20);
+            });
+            connections[0].send('null');
+        });
+    });
+
+    it('keeps the open connection when connect is called again', function (done) {
+        connect(function () {
+            ws.connect();
+
+            setTimeout(function () {
+                assert.equal(connections.length, 1);
+                assert.equal(ws.socket.readyState, WebSocket.OPEN);
+                done();
+            }, 20);
+        });
+    });
+
+    it('restores the subscriptions when it reconnects', function (done) {
+        connect(function () {
+            ws.subscribeTicker('btc_usdt');
+
+            server.once('connection', function (socket) {
+                socket.on('message', function (message) {
+                    assert.deepEqual(JSON.parse(message), {event: 'addChannel', channel: 'ok_sub_spot_btc_usdt_ticker'});
+                    done();
+                });
+            });
+            connections[0].terminate();
+        });
+    });
+});
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const OKEX = require('../rest');
+const WithdrawalGuard = require('../withdrawals');
+
+var ADDRESS = '1BoatSLRHtKNngkdXEeobR76b53LETtpyT';
+
+describe('WithdrawalGuard', function () {
+    var mock, server;
+
+    beforeEach(function (done) {
+        mock = new OKEX.MockServer({fixtures: {withdraw: {result: true, withdraw_id: 1}}});
+        mock.listen(0, function (err, url) {
+            server = url;
+            done(err);
+        });
+    });
+
+    afterEach(function (done) {
+        mock.close(done);
+    });
+
+    function client(withdrawals, url) {
+        return new OKEX('key', 'secret', url || server, null, {rateLimit: false, withdrawals: withdrawals});
+    }
+
+    function approve(withdrawal, callback) {
+        callback(null, true);
+    }
+
+    function withdraw(okex, amount, callback) {
+        okex.addWithdraw(callback, 'btc_usd', '0.0005', 'password', ADDRESS, amount);
+    }
+
+    function withdrawals() {
+        return mock.requests.filter(function (request) {
+            return request.method == 'withdraw';
+        });
+    }
+
+    it('needs a whitelist unless any address is allowed', function () {
+        assert.throws(function () {
+            new WithdrawalGuard({confirm: approve});
+        }, /needs a whitelist of addresses/);
+
+        assert.ok(new WithdrawalGuard({anyAddress: true, confirm: approve}));
+    });
+
+    it('blocks addresses that are not in the whitelist of the currency', function (done) {
+        var okex = client({whitelist: {btc: ['other'], ltc: [ADDRESS]}, confirm: approve});
+
+        withdraw(okex, 0.1, function (err) {
+            assert.ok(err instanceof OKEX.errors.WithdrawalBlockedError);
+            assert.ok(/address .* is not in the whitelist of btc/.test(err.message));
+            assert.equal(withdrawals().length, 0);
+            done();
+        });
+    });
+
+    it('blocks withdrawals over the limit of a withdrawal', function (done) {
+        var okex = client({whitelist: {btc: [ADDRESS]}, maxAmount: {btc: 0.5}, confirm: approve});
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ok(err instanceof OKEX.errors.WithdrawalBlockedError);
+            assert.ok(/amount 0.6 is more than the 0.5 btc limit of a withdrawal/.test(err.message));
+
+            withdraw(okex, 0.5, function (err, data) {
+                assert.ifError(err);
+                assert.equal(data.withdraw_id, 1);
+                assert.equal(withdrawals().length, 1);
+                done();
+            });
+        });
+    });
+
+    it('counts withdrawals being confirmed at the same time towards the daily limit', function (done) {
+        var confirmations = [],
+            okex = client({
+                whitelist: {btc: [ADDRESS]},
+                dailyLimit: {btc: 1},
+                confirm: function (withdrawal, callback) {
+                    confirmations.push(callback);
+                }
+            });
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ifError(err);
+            assert.equal(withdrawals().length, 1);
+            assert.equal(okex.withdrawalGuard.withdrawnToday('btc').toString(), '0.6');
+            done();
+        });
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ok(err instanceof OKEX.errors.WithdrawalBlockedError);
+            assert.ok(/would take the 0.6 withdrawn in 24 hours over the 1 btc daily limit/.test(err.message));
+            assert.equal(confirmations.length, 1);
+
+            confirmations[0](null, true);
+        });
+    });
+
+    it('stops counting withdrawals that are not confirmed', function (done) {
+        var okex = client({
+            whitelist: {btc: [ADDRESS]},
+            dailyLimit: {btc: 1},
+            confirm: function (withdrawal, callback) {
+                callback(null, false);
+            }
+        });
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ok(err instanceof OKEX.errors.WithdrawalBlockedError);
+            assert.ok(/was not confirmed/.test(err.message));
+            assert.equal(okex.withdrawalGuard.withdrawnToday('btc').toString(), '0');
+            assert.equal(withdrawals().length, 0);
+            done();
+        });
+    });
+
+    it('stops counting withdrawals that OKEX rejects', function (done) {
+        var okex = client({whitelist: {btc: [ADDRESS]}, dailyLimit: {btc: 1}, confirm: approve});
+
+        mock.failNext('withdraw', 10028);
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ok(err instanceof OKEX.errors.WithdrawalError);
+            assert.equal(okex.withdrawalGuard.withdrawnToday('btc').toString(), '0');
+            done();
+        });
+    });
+
+    it('keeps counting withdrawals whose outcome is unknown', function (done) {
+        // nothing listens on port 1 so the request fails without an answer from OKEX
+        var okex = client({whitelist: {btc: [ADDRESS]}, dailyLimit: {btc: 1}, confirm: approve}, 'http://127.0.0.1:1');
+
+        withdraw(okex, 0.6, function (err) {
+            assert.ok(err instanceof OKEX.errors.NetworkError);
+            assert.equal(okex.withdrawalGuard.withdrawnToday('btc').toString(), '0.6');
+            done();
+        });
+    });
+
+    it('returns the redacted request of a dry run without sending it', function (done) {
+        var okex = client({whitelist: {btc: [ADDRESS]}, dailyLimit: {btc: 1}, dryRun: true});
+
+        withdraw(okex, 0.6, function (err, withdrawal) {
+            assert.ifError(err);
+            assert.equal(withdrawal.dryRun, true);
+            assert.equal(withdrawal.currency, 'btc');
+            assert.equal(withdrawal.address, ADDRESS);
+            assert.equal(withdrawal.amount, '0.6');
+            assert.equal(withdrawal.request.params.trade_pwd, '[REDACTED]');
+            assert.equal(JSON.stringify(withdrawal).indexOf('password'), -1);
+            assert.equal(JSON.stringify(withdrawal).indexOf('secret'), -1);
+            assert.equal(withdrawals().length, 0);
+            assert.equal(okex.withdrawalGuard.withdrawnToday('btc').toString(), '0');
+            done();
+        });
+    });
+});
@@ -0,0 +1,383 @@
+const util = require('util');
+const querystring = require('querystring');
+const _ = require('underscore');
+const request = require('request');
+const VError = require('verror');
+const sign = require('./sign');
+const errors = require('./errors');
+const InstrumentRegistry = require('./instruments');
+
+/**
+ * Transports turn an OKEX API method and its parameters into a HTTP request, sign it and send it.
+ *
+ * A transport has
+ *  version                                 v1 or v3
+ *  buildRequest(method, params, isPrivate) returns {options, requestDesc} with the request options or an Error
+ *  authorize(options)                      signs the request options. Called before every attempt of a private request
+ *  send(options, callback)                 sends the request and calls back with the error, response and body
+ *  errorOf(data)                           returns {code, message} of an error response or null
+ *
+ * Method names and parameters are the v1 ones. eg trade with symbol, type, amount and price
+ */
+
+var headers = {
+    "contentType": "application/x-www-form-urlencoded",
+    "User-Agent": "OKEX JavaScript API Wrapper"
+};
+
+// v1 methods that are not at /api/v1/<method>.do
+var v1Paths = {
+    products: '/v2/spot/markets/products'
+};
+
+/**
+ * Transport of the v1 API. Private requests are form posts signed with md5
+ * @param  {Object}  config   server, timeout, api_key, secret and optional signer: function(params, secret) that
+ *                            returns the sign. Defaults to sign.signMessage
+ */
+var V1Transport = function (config) {
+    this.server = config.server;
+    this.timeout = config.timeout;
+    this.api_key = config.api_key;
+    this.secret = config.secret;
+    this.signer = config.signer || sign.signMessage;
+};
+
+V1Transport.prototype.version = 'v1';
+
+V1Transport.prototype.buildRequest = function (method, params, isPrivate) {
+    var url = this.server + (v1Paths[method] || '/api/v1/' + method + '.do'),
+        options;
+
+    if (isPrivate) {
+        options = {
+            url: url,
+            method: 'POST',
+            headers: headers,
+            form: params
+        };
+
+        return {
+            options: options,
+            requestDesc: util.format('%s request to url %s with method %s and params %s',
+                options.method, options.url, method, JSON.stringify(errors.redactParams(params)))
+        };
+    }
+
+    options = {
+        url: url,
+        method: 'GET',
+        headers: headers,
+        timeout: this.timeout,
+        qs: params,
+        json: {}        // request will parse the json response into an object
+    };
+
+    return {
+        options: options,
+        requestDesc: util.format('%s request to url %s with parameters %s', options.method, options.url, JSON.stringify(params))
+    };
+};
+
+V1Transport.prototype.authorize = function (options) {
+    var form = _.extend(_.omit(options.form, 'sign'), {api_key: this.api_key});
+
+    form.sign = this.signer(form, this.secret);
+    options.form = form;
+};
+
+V1Transport.prototype.send = function (options, callback) {
+    request(options, callback);
+};
+
+V1Transport.prototype.errorOf = function (data) {
+    if (!_.has(data, 'error_code')) return null;
+
+    return {code: data.error_code, message: errors.messageFor(data.error_code)};
+};
+
+// v1 kline types in seconds. v3 has no 3day candles
+var granularities = {
+    '1min': 60, '3min': 180, '5min': 300, '15min': 900, '30min': 1800, '1hour': 3600, '2hour': 7200,
+    '4hour': 14400, '6hour': 21600, '12hour': 43200, '1day': 86400, '1week': 604800
+};
+
+// btc_usdt -> BTC-USDT
+function spotInstrumentId(symbol) {
+    return String(symbol).toUpperCase().replace('_', '-');
+}
+
+// btc_usd and quarter -> BTC-USD-181228
+function futureInstrumentId(symbol, contract_type) {
+    var delivery = InstrumentRegistry.deliveryDates()[contract_type || 'quarter'];
+
+    return spotInstrumentId(symbol) + '-' + delivery.toISOString().slice(2, 10).replace(/-/g, '');
+}
+
+function unsupportedKline(type) {
+    return new VError('V3Transport.buildRequest() kline type %s must be one of %s', type,
+        _.keys(granularities).join(', '));
+}
+
+function toIsoDate(since) {
+    return _.isUndefined(since) ? undefined : new Date(Number(since)).toISOString();
+}
+
+function get(path, query) {
+    return {method: 'GET', path: path, query: query};
+}
+
+function post(path, body) {
+    return {method: 'POST', path: path, body: body || {}};
+}
+
+function spotOrder(params) {
+    var order = {
+        instrument_id: spotInstrumentId(params.symbol),
+        side: params.type.indexOf('buy') === 0 ? 'buy' : 'sell'
+    };
+
+    if (params.type == 'buy_market') {
+        // v1 market buys have the amount to spend as the price
+        return _.extend(order, {type: 'market', notional: params.price});
+    }
+    if (params.type == 'sell_market') {
+        return _.extend(order, {type: 'market', size: params.amount});
+    }
+
+    return _.extend(order, {type: 'limit', price: params.price, size: params.amount});
+}
+
+/**
+ * v3 routes of the v1 methods. Each returns the HTTP method, path and query or body of a request, or an Error.
+ * The other methods, eg the batch orders, order lists by id, account records, trade history and lending methods,
+ * need the v1 API
+ */
+var v3Routes = {
+    // spot
+    ticker: function (params) {
+        return get('/api/spot/v3/instruments/' + spotInstrumentId(params.symbol) + '/ticker');
+    },
+    depth: function (params) {
+        return get('/api/spot/v3/instruments/' + spotInstrumentId(params.symbol) + '/book', {size: params.size});
+    },
+    trades: function (params) {
+        // before gets the trades after a trade id
+        return get('/api/spot/v3/instruments/' + spotInstrumentId(params.symbol) + '/trades', {before: params.since});
+    },
+    kline: function (params) {
+        if (!granularities[params.type]) return unsupportedKline(params.type);
+
+        return get('/api/spot/v3/instruments/' + spotInstrumentId(params.symbol) + '/candles', {
+            granularity: granularities[params.type],
+            start: toIsoDate(params.since)
+        });
+    },
+    products: function () {
+        return get('/api/spot/v3/instruments');
+    },
+    userinfo: function () {
+        return get('/api/spot/v3/accounts');
+    },
+    trade: function (params) {
+        return post('/api/spot/v3/orders', spotOrder(params));
+    },
+    cancel_order: function (params) {
+        return post('/api/spot/v3/cancel_orders/' + params.order_id, {instrument_id: spotInstrumentId(params.symbol)});
+    },
+    order_info: function (params) {
+        var query = {instrument_id: spotInstrumentId(params.symbol)};
+
+        if (params.order_id == -1) return get('/api/spot/v3/orders_pending', query);
+        return get('/api/spot/v3/orders/' + params.order_id, query);
+    },
+    order_history: function (params) {
+        return get('/api/spot/v3/orders', {
+            instrument_id: spotInstrumentId(params.symbol),
+            status: params.status == 1 ? 'filled' : 'open',
+            limit: params.page_length
+        });
+    },
+    withdraw: function (params) {
+        return post('/api/account/v3/withdrawal', {
+            currency: params.symbol.split('_')[0],
+            amount: params.withdraw_amount,
+            destination: 4,     // a digital currency address
+            to_address: params.withdraw_address,
+            trade_pwd: params.trade_pwd,
+            fee: params.chargefee
+        });
+    },
+    wallet_info: function () {
+        return get('/api/account/v3/wallet');
+    },
+
+    // futures
+    future_ticker: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol, params.contract_type) + '/ticker');
+    },
+    future_depth: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol, params.contract_type) + '/book',
+            {size: params.size});
+    },
+    future_trades: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol, params.contract_type) + '/trades');
+    },
+    future_index: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol) + '/index');
+    },
+    exchange_rate: function () {
+        return get('/api/futures/v3/rate');
+    },
+    future_estimated_price: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol) + '/estimated_price');
+    },
+    future_kline: function (params) {
+        if (!granularities[params.type]) return unsupportedKline(params.type);
+
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol, params.contract_type) + '/candles', {
+            granularity: granularities[params.type],
+            start: toIsoDate(params.since)
+        });
+    },
+    future_hold_amount: function (params) {
+        return get('/api/futures/v3/instruments/' + futureInstrumentId(params.symbol, params.contract_type) + '/open_interest');
+    },
+    future_userinfo: function () {
+        return get('/api/futures/v3/accounts');
+    },
+    future_position: function (params) {
+        return get('/api/futures/v3/' + futureInstrumentId(params.symbol, params.contract_type) + '/position');
+    },
+    future_trade: function (params) {
+        return post('/api/futures/v3/order', {
+            instrument_id: futureInstrumentId(params.symbol, params.contract_type),
+            type: params.type,
+            price: params.price,
+            size: params.amount,
+            match_price: params.match_price,
+            leverage: params.lever_rate
+        });
+    },
+    future_cancel: function (params) {
+        return post('/api/futures/v3/cancel_order/' + futureInstrumentId(params.symbol, params.contract_type) + '/' +
+            params.order_id);
+    },
+    future_order_info: function (params) {
+        var instrumentId = futureInstrumentId(params.symbol, params.contract_type);
+
+        // v1 status 1 unfilled and 2 filled are v3 6 open and 7 completed
+        if (params.order_id == -1) return get('/api/futures/v3/orders/' + instrumentId, {status: params.status == 2 ? 7 : 6});
+        return get('/api/futures/v3/orders/' + instrumentId + '/' + params.order_id);
+    },
+    future_devolve: function (params) {
+        // account types 1 spot and 3 futures
+        return post('/api/account/v3/transfer', {
+            currency: params.symbol.split('_')[0],
+            amount: params.amount,
+            from: params.type == 1 ? 1 : 3,
+            to: params.type == 1 ? 3 : 1
+        });
+    }
+};
+
+/**
+ * Transport of the v3 API. Requests have JSON bodies and private requests are signed with HMAC-SHA256 and a passphrase
+ * @param  {Object}  config   server, timeout, api_key, secret, passphrase and optional signer: function(message, secret)
+ *                            that returns the sign. Defaults to sign.signV3Message
+ */
+var V3Transport = function (config) {
+    this.server = config.server;
+    this.timeout = config.timeout;
+    this.api_key = config.api_key;
+    this.secret = config.secret;
+    this.passphrase = config.passphrase;
+    this.signer = config.signer || sign.signV3Message;
+};
+
+V3Transport.prototype.version = 'v3';
+
+V3Transport.prototype.buildRequest = function (method, params, isPrivate) {
+    var functionName = 'V3Transport.buildRequest()',
+        route = v3Routes[method];
+
+    if (!route) {
+        return new VError('%s method %s is not supported by the v3 API. Use the v1 API for it', functionName, method);
+    }
+
+    if (isPrivate && !this.passphrase) {
+        return new VError('%s must provide a passphrase to make v3 API request %s', functionName, method);
+    }
+
+    route = route(params);
+    if (route instanceof Error) return route;
+
+    var query = querystring.stringify(_.omit(route.query, _.isUndefined)),
+        path = route.path + (query ? '?' + query : '');
+
+    var options = {
+        url: this.server + path,
+        method: route.method,
+        headers: _.extend({}, headers, {'Content-Type': 'application/json'}),
+        timeout: this.timeout
+    };
+
+    // the body is signed so it is sent as it is and the response is parsed by executeRequest
+    if (route.method == 'POST') options.body = JSON.stringify(_.omit(route.body, _.isUndefined));
+    else options.json = true;   // request will parse the json response into an object
+
+    return {
+        options: options,
+        requestDesc: util.format('%s request to url %s for method %s with params %s',
+            options.method, options.url, method, JSON.stringify(errors.redactParams(params)))
+    };
+};
+
+V3Transport.prototype.authorize = function (options) {
+    var timestamp = new Date().toISOString(),
+        path = options.url.slice(this.server.length);
+
+    // the timestamp must be within 30 seconds of the server time so requests are signed again on every attempt
+    options.headers = _.extend({}, options.headers, {
+        'OK-ACCESS-KEY': this.api_key,
+        'OK-ACCESS-SIGN': this.signer(timestamp + options.method + path + (options.body || ''), this.secret),
+        'OK-ACCESS-TIMESTAMP': timestamp,
+        'OK-ACCESS-PASSPHRASE': this.passphrase
+    });
+};
+
+V3Transport.prototype.send = function (options, callback) {
+    request(options, callback);
+};
+
+V3Transport.prototype.errorOf = function (data) {
+    if (!_.isObject(data)) return null;
+
+    // errors have a code and message. Orders have an error_code that is 0 or empty when they succeed
+    var code = _.has(data, 'code') && Number(data.code) !== 0 ? data.code :
+        data.error_code && Number(data.error_code) !== 0 ? data.error_code : null;
+
+    if (code === null) return null;
+
+    return {code: code, message: data.message || data.error_message || errors.messageFor(code)};
+};
+
+/**
+ * Returns the transport of an API version
+ * @param  {String}  version   v1 or v3
+ * @param  {Object}  config    server, timeout, api_key, secret, passphrase and signer
+ * @return {Object}            The transport
+ */
+function createTransport(version, config) {
+    if (version == 'v3') return new V3Transport(config);
+    if (!version || version == 'v1') return new V1Transport(config);
+
+    throw new VError('createTransport() API version %s must be v1 or v3', version);
+}
+
+module.exports = {
+    V1Transport: V1Transport,
+    V3Transport: V3Transport,
+    v3Routes: v3Routes,
+    createTransport: createTransport
+};
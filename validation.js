@@ -0,0 +1,450 @@
+const util = require('util');
+const _ = require('underscore');
+const errors = require('./errors');
+const helpers = require('./helpers');
+
+var contractTypes = ['this_week', 'next_week', 'quarter'];
+
+var klineTypes = ['1min', '3min', '5min', '15min', '30min', '1hour', '2hour', '4hour', '6hour', '12hour',
+    '1day', '3day', '1week'];
+
+var symbol = {required: true, type: 'string'},
+    optionalSymbol = {type: 'string'},
+    contractType = {required: true, enum: contractTypes},
+    orderId = {required: true, type: 'id'},
+    page = {type: 'integer', min: 1},
+    leverRate = {enum: [10, 20]};
+
+/**
+ * Parameter schemas for each OKEX API method keyed by the method name in the url.
+ *
+ * Each field can have the following rules
+ *  required  the field must be set
+ *  type      string, number, integer, date (yyyy-MM-dd) or id (a number or a string of comma separated numbers)
+ *  enum      list of allowed values
+ *  min, max  inclusive numeric range
+ *  above     exclusive numeric minimum
+ *
+ * A schema can also have a check function for rules across fields that returns an error message or nothing.
+ * Fields that are not in the schema are rejected.
+ */
+var schemas = {
+    // spot public
+    ticker: {
+        fields: {symbol: symbol}
+    },
+    depth: {
+        fields: {
+            symbol: symbol,
+            size: {type: 'integer', min: 1, max: 200},
+            merge: {type: 'number', min: 0}
+        }
+    },
+    trades: {
+        fields: {
+            symbol: optionalSymbol,
+            since: {type: 'integer', min: 0}
+        }
+    },
+    kline: {
+        fields: {
+            symbol: symbol,
+            type: {enum: klineTypes},
+            size: {type: 'integer', min: 1},
+            since: {type: 'integer', min: 0}
+        }
+    },
+
+    // spot private
+    userinfo: {
+        fields: {}
+    },
+    trade: {
+        fields: {
+            symbol: symbol,
+            type: {required: true, enum: ['buy', 'sell', 'buy_market', 'sell_market']},
+            amount: {type: 'number', above: 0},
+            price: {type: 'number', above: 0}
+        },
+        check: function (params) {
+            if (params.type == 'buy_market' && _.has(params, 'amount')) {
+                return 'amount must not be set for a buy_market order. Set price to the total to spend';
+            }
+            if (params.type == 'sell_market' && _.has(params, 'price')) {
+                return 'price must not be set for a sell_market order';
+            }
+            if (params.type != 'sell_market' && !_.has(params, 'price')) {
+                return 'price is required for a ' + params.type + ' order';
+            }
+            if (params.type != 'buy_market' && !_.has(params, 'amount')) {
+                return 'amount is required for a ' + params.type + ' order';
+            }
+        }
+    },
+    batch_trade: {
+        fields: {
+            symbol: symbol,
+            type: {enum: ['buy', 'sell']},
+            orders_data: {required: true}
+        },
+        check: function (params) {
+            return checkBatchOrders(params.orders_data, spotBatchOrder, function (order) {
+                if (!_.has(order, 'type') && !_.has(params, 'type')) {
+                    return 'type is required when the batch has no type';
+                }
+            });
+        }
+    },
+    cancel_order: {
+        fields: {symbol: symbol, order_id: orderId}
+    },
+    order_info: {
+        fields: {symbol: symbol, order_id: orderId}
+    },
+    orders_info: {
+        fields: {
+            symbol: symbol,
+            type: {required: true, enum: [0, 1]},
+            order_id: orderId
+        }
+    },
+    account_records: {
+        fields: {
+            symbol: symbol,
+            type: {required: true, enum: [0, 1]},
+            current_page: page,
+            page_length: {type: 'integer', min: 1, max: 50}
+        }
+    },
+    trade_history: {
+        fields: {
+            symbol: symbol,
+            since: {required: true, type: 'integer', min: 0}
+        }
+    },
+    order_history: {
+        fields: {
+            symbol: symbol,
+            status: {required: true, enum: [0, 1]},
+            current_page: page,
+            page_length: {type: 'integer', min: 1, max: 200}
+        }
+    },
+    withdraw: {
+        fields: {
+            symbol: symbol,
+            chargefee: {required: true, type: 'number', min: 0},
+            trade_pwd: {required: true, type: 'string'},
+            withdraw_address: {required: true, type: 'string'},
+            withdraw_amount: {required: true, type: 'number', above: 0}
+        }
+    },
+    cancel_withdraw: {
+        fields: {symbol: symbol, withdraw_id: {required: true, type: 'id'}}
+    },
+    wallet_info: {
+        fields: {}
+    },
+
+    // lending and margin
+    lend_depth: {
+        fields: {symbol: symbol}
+    },
+    borrows_info: {
+        fields: {symbol: symbol}
+    },
+    borrow_money: {
+        fields: {
+            symbol: symbol,
+            days: {required: true, enum: ['fifteen', 'thirty', 'sixty', 'ninety']},
+            amount: {required: true, type: 'number', above: 0},
+            rate: {required: true, type: 'number', min: 0.0001, max: 0.01}
+        }
+    },
+    cancel_borrow: {
+        fields: {symbol: symbol, borrow_id: {required: true, type: 'id'}}
+    },
+    repayment: {
+        fields: {symbol: symbol, borrow_id: {required: true, type: 'id'}}
+    },
+    unrepayments_info: {
+        fields: {
+            symbol: symbol,
+            current_page: page,
+            page_length: {type: 'integer', min: 1, max: 50}
+        }
+    },
+    margin_userinfo: {
+        fields: {symbol: optionalSymbol}
+    },
+
+    // futures public
+    future_ticker: {
+        fields: {symbol: symbol, contract_type: contractType}
+    },
+    future_depth: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            size: {type: 'integer', min: 1, max: 200},
+            merge: {enum: [0, 1]}
+        }
+    },
+    future_trades: {
+        fields: {symbol: symbol, contract_type: contractType}
+    },
+    future_index: {
+        fields: {symbol: symbol}
+    },
+    exchange_rate: {
+        fields: {}
+    },
+    future_kline: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            type: {enum: klineTypes},
+            size: {type: 'integer', min: 1},
+            since: {type: 'integer', min: 0}
+        }
+    },
+    future_hold_amount: {
+        fields: {symbol: symbol, contract_type: contractType}
+    },
+    future_estimated_price: {
+        fields: {symbol: symbol}
+    },
+
+    // futures private
+    future_userinfo: {
+        fields: {}
+    },
+    future_position: {
+        fields: {symbol: symbol, contract_type: contractType}
+    },
+    future_trade: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            // 1 open long, 2 open short, 3 close long, 4 close short
+            type: {required: true, enum: [1, 2, 3, 4]},
+            amount: {required: true, type: 'integer', min: 1},
+            price: {type: 'number', above: 0},
+            // 1 trades at the best counterparty price and ignores price
+            match_price: {enum: [0, 1]},
+            lever_rate: leverRate
+        },
+        check: function (params) {
+            if (params.match_price != 1 && !_.has(params, 'price')) {
+                return 'price is required unless match_price is 1';
+            }
+        }
+    },
+    future_trades_history: {
+        fields: {
+            symbol: symbol,
+            date: {required: true, type: 'date'},
+            since: {required: true, type: 'integer', min: 0}
+        }
+    },
+    future_batch_trade: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            orders_data: {required: true},
+            lever_rate: leverRate
+        },
+        check: function (params) {
+            return checkBatchOrders(params.orders_data, futureBatchOrder, function (order) {
+                if (order.match_price != 1 && !_.has(order, 'price')) return 'price is required unless match_price is 1';
+            });
+        }
+    },
+    future_cancel: {
+        fields: {symbol: symbol, contract_type: contractType, order_id: orderId}
+    },
+    future_order_info: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            order_id: {required: true, type: 'integer', min: -1},
+            // 1 unfilled, 2 filled. Only used when order_id is -1
+            status: {enum: [1, 2]},
+            current_page: page,
+            page_length: {type: 'integer', min: 1, max: 50}
+        }
+    },
+    future_orders_info: {
+        fields: {symbol: symbol, contract_type: contractType, order_id: orderId}
+    },
+    future_userinfo_4fix: {
+        fields: {}
+    },
+    future_position_4fix: {
+        fields: {symbol: symbol, contract_type: contractType}
+    },
+    future_explosive: {
+        fields: {
+            symbol: symbol,
+            contract_type: contractType,
+            // 0 unfilled and 1 filled in the last 7 days
+            status: {required: true, enum: [0, 1]},
+            current_page: page,
+            page_length: {type: 'integer', min: 1, max: 50}
+        }
+    },
+    future_devolve: {
+        fields: {
+            symbol: symbol,
+            // 1 spot to futures, 2 futures to spot
+            type: {required: true, enum: [1, 2]},
+            amount: {required: true, type: 'number', above: 0}
+        }
+    }
+};
+
+// fields of each order in a batch_trade. Orders without a type use the type of the batch
+var spotBatchOrder = {
+    price: {required: true, type: 'number', above: 0},
+    amount: {required: true, type: 'number', above: 0},
+    type: {enum: ['buy', 'sell']}
+};
+
+// fields of each order in a future_batch_trade
+var futureBatchOrder = {
+    price: {type: 'number', above: 0},
+    amount: {required: true, type: 'integer', min: 1},
+    type: {required: true, enum: [1, 2, 3, 4]},
+    match_price: {enum: [0, 1]}
+};
+
+/**
+ * Returns why the orders of a batch trade do not match their fields or nothing if they do
+ * @param  {Array|String}  ordersData   The orders or their JSON
+ * @param  {Object}        fields       The field rules of each order
+ * @param  {Function}      check        function(order) that returns an error message of rules across fields or nothing
+ * @return {String}                     error message
+ */
+function checkBatchOrders(ordersData, fields, check) {
+    var orders = _.isString(ordersData) ? helpers.safeParse(ordersData) : ordersData;
+
+    if (!_.isArray(orders) || orders.length < 1 || orders.length > 5) {
+        return 'orders_data must be a list of 1 to 5 orders';
+    }
+
+    var problems = [];
+    _.each(orders, function (order, i) {
+        if (!_.isObject(order) || _.isArray(order)) return problems.push('orders_data[' + i + '] must be an object');
+
+        var orderProblems = checkFields(fields, order),
+            problem = check(order);
+
+        if (problem) orderProblems.push(problem);
+        if (orderProblems.length) problems.push('orders_data[' + i + '] ' + orderProblems.join(', '));
+    });
+    return problems.join('; ');
+}
+
+function isNumeric(value) {
+    if (_.isNumber(value)) return _.isFinite(value);
+    return _.isString(value) && value.trim() !== '' && _.isFinite(Number(value));
+}
+
+/**
+ * Returns why a value does not match a field rule or nothing if it does
+ * @param  {Object}  rule     The field rule from a schema
+ * @param  {*}       value    The parameter value
+ * @return {String}           error message
+ */
+function checkField(rule, value) {
+    if (rule.enum) {
+        var allowed = _.map(rule.enum, String);
+        if (!_.contains(allowed, String(value))) {
+            return 'must be one of ' + allowed.join(', ');
+        }
+        return;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (!_.isString(value) || value === '') return 'must be a non empty string';
+            return;
+        case 'date':
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return 'must be a date formatted as yyyy-MM-dd';
+            return;
+        case 'id':
+            if (!/^-?\d+(,\d+)*$/.test(String(value))) return 'must be an id or comma separated list of ids';
+            return;
+        case 'integer':
+            if (!isNumeric(value) || Number(value) % 1 !== 0) return 'must be an integer';
+            break;
+        case 'number':
+            if (!isNumeric(value)) return 'must be a number';
+            break;
+    }
+
+    var number = Number(value);
+    if (_.has(rule, 'min') && number < rule.min) return 'must be at least ' + rule.min;
+    if (_.has(rule, 'max') && number > rule.max) return 'must be at most ' + rule.max;
+    if (_.has(rule, 'above') && number <= rule.above) return 'must be greater than ' + rule.above;
+}
+
+/**
+ * Returns why parameters do not match the field rules of a schema
+ * @param  {Object}  fields   The field rules keyed by parameter name
+ * @param  {Object}  params   The parameters
+ * @param  {String}  method   optional OKEX API method for the unknown parameter messages
+ * @return {Array}            problem messages
+ */
+function checkFields(fields, params, method) {
+    var problems = [];
+
+    _.each(_.keys(params), function (name) {
+        if (!_.has(fields, name)) problems.push(name + ' is not a parameter' + (method ? ' of ' + method : ''));
+    });
+
+    _.each(fields, function (rule, name) {
+        var value = params[name];
+
+        if (_.isUndefined(value) || _.isNull(value)) {
+            if (rule.required) problems.push(name + ' is required');
+            return;
+        }
+
+        var problem = checkField(rule, value);
+        // secrets like trade_pwd are not put in the message
+        if (problem) problems.push(name + ' ' + problem + '. Got ' + JSON.stringify(errors.redactParams(params)[name]));
+    });
+
+    return problems;
+}
+
+/**
+ * Validates the parameters of an OKEX API method against its schema
+ * @param  {String}  functionName   The name of the calling function used in the error message
+ * @param  {String}  method         The OKEX API method. eg trade or future_position
+ * @param  {Object}  params         The request parameters
+ * @return {InvalidParameterError}  error describing the invalid parameters or null if they are valid.
+ *                                  Methods that do not have a schema are not validated.
+ */
+function validateParams(functionName, method, params) {
+    var schema = schemas[method];
+    if (!schema) return null;
+
+    var problems = checkFields(schema.fields, params, method);
+
+    if (!problems.length && schema.check) {
+        var problem = schema.check(params);
+        if (problem) problems.push(problem);
+    }
+
+    if (!problems.length) return null;
+
+    return new errors.InvalidParameterError({endpoint: method, params: params}, null,
+        util.format('%s invalid parameters for %s: %s', functionName, method, problems.join('; ')));
+}
+
+module.exports = {
+    schemas: schemas,
+    validateParams: validateParams
+};
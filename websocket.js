@@ -0,0 +1,338 @@
+const util = require('util');
+const zlib = require('zlib');
+const EventEmitter = require('events').EventEmitter;
+const _ = require('underscore');
+const VError = require('verror');
+const WebSocket = require('ws');
+const sign = require('./sign');
+const errors = require('./errors');
+
+var defaults = {
+    url: 'wss://real.okex.com:10440/websocket/okexapi',
+    pingInterval: 30000,    // milliseconds between pings
+    pongTimeout: 10000,     // milliseconds to wait for a pong before reconnecting
+    reconnectDelay: 1000,   // milliseconds before the first reconnect. Doubles for each failed reconnect
+    maxReconnectDelay: 60000
+};
+
+/**
+ * Channel names of the OKEX streaming API.
+ * Passing a contract_type returns the futures channel of the symbol. eg btc_usd this_week
+ */
+var channels = {
+    ticker: function (symbol, contract_type) {
+        if (contract_type) return futurePrefix(symbol) + '_ticker_' + contract_type;
+        return 'ok_sub_spot_' + symbol + '_ticker';
+    },
+    depth: function (symbol, size, contract_type) {
+        if (contract_type) return futurePrefix(symbol) + '_depth_' + contract_type + (size ? '_' + size : '');
+        return 'ok_sub_spot_' + symbol + '_depth' + (size ? '_' + size : '');
+    },
+    trades: function (symbol, contract_type) {
+        if (contract_type) return futurePrefix(symbol) + '_trade_' + contract_type;
+        return 'ok_sub_spot_' + symbol + '_deals';
+    },
+    kline: function (symbol, type, contract_type) {
+        if (contract_type) return futurePrefix(symbol) + '_kline_' + contract_type + '_' + type;
+        return 'ok_sub_spot_' + symbol + '_kline_' + type;
+    },
+    index: function (symbol) {
+        return futurePrefix(symbol) + '_index';
+    },
+
+    // private channels are pushed after login
+    orders: function (symbol) {
+        return 'ok_sub_spot_' + symbol + '_order';
+    },
+    balance: function (symbol) {
+        return 'ok_sub_spot_' + symbol + '_balance';
+    },
+    futureTrades: function () {
+        return 'ok_sub_futureusd_trades';
+    },
+    futureUserInfo: function () {
+        return 'ok_sub_futureusd_userinfo';
+    },
+    futurePositions: function () {
+        return 'ok_sub_futureusd_positions';
+    }
+};
+
+// btc_usd -> ok_sub_futureusd_btc
+function futurePrefix(symbol) {
+    return 'ok_sub_futureusd_' + symbol.split('_')[0];
+}
+
+/**
+ * Client for the OKEX streaming API.
+ *
+ * Emits
+ *  open, close, reconnect
+ *  login           after the api key is accepted
+ *  message         (channel, data) for every channel message
+ *  <channel name>  (data) for messages of that channel
+ *  error           (error) for connection errors and OKEX error codes
+ *
+ * @param  {String}  api_key    optional api key for private channels
+ * @param  {String}  secret     optional secret for private channels
+ * @param  {Object}  options    url, pingInterval, pongTimeout, reconnectDelay and maxReconnectDelay
+ */
+var OKEXWebSocket = function (api_key, secret, options) {
+    EventEmitter.call(this);
+
+    this.api_key = api_key;
+    this.secret = secret;
+    this.options = _.extend({}, defaults, options);
+
+    this.socket = null;
+    this.channels = [];
+    this.loggedIn = false;
+    this.wantLogin = false;
+    this.closing = false;
+    this.reconnectAttempts = 0;
+};
+util.inherits(OKEXWebSocket, EventEmitter);
+
+OKEXWebSocket.channels = channels;
+
+/**
+ * Opens the connection. Subscribed channels and the login are restored on every reconnect.
+ * Does nothing while a connection is opening or open
+ */
+OKEXWebSocket.prototype.connect = function () {
+    var self = this,
+        socket;
+
+    this.closing = false;
+    clearTimeout(this.reconnectTimer);
+
+    if (this.socket && _.contains([WebSocket.CONNECTING, WebSocket.OPEN], this.socket.readyState)) return this;
+
+    socket = this.socket = new WebSocket(this.options.url);
+
+    socket.on('open', function () {
+        self.reconnectAttempts = 0;
+        self.startHeartbeat();
+
+        if (self.wantLogin) self.sendLogin();
+        _.each(self.channels, function (channel) {
+            self.send({event: 'addChannel', channel: channel});
+        });
+
+        self.emit('open');
+    });
+
+    socket.on('message', function (message) {
+        self.handleMessage(message);
+    });
+
+    socket.on('error', function (err) {
+        self.emit('error', new errors.NetworkError({retryable: true, messageEn: err.message}, err,
+            util.format('OKEXWebSocket connection to %s failed', self.options.url)));
+    });
+
+    socket.on('close', function () {
+        // a closing socket replaced by connect() must not drop or reconnect the new one
+        if (self.socket !== socket) return;
+
+        self.stopHeartbeat();
+        self.loggedIn = false;
+        self.socket = null;
+        self.emit('close');
+
+        if (!self.closing) self.scheduleReconnect();
+    });
+
+    return this;
+};
+
+/**
+ * Closes the connection without reconnecting
+ */
+OKEXWebSocket.prototype.close = function () {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+
+    if (this.socket) this.socket.close();
+};
+
+OKEXWebSocket.prototype.scheduleReconnect = function () {
+    var self = this,
+        delay = Math.min(this.options.maxReconnectDelay,
+            this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts));
+
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(function () {
+        self.emit('reconnect', self.reconnectAttempts);
+        self.connect();
+    }, delay);
+};
+
+OKEXWebSocket.prototype.startHeartbeat = function () {
+    var self = this;
+
+    this.stopHeartbeat();
+
+    this.pingTimer = setInterval(function () {
+        self.send({event: 'ping'});
+
+        if (!self.pongTimer) {
+            self.pongTimer = setTimeout(function () {
+                // the connection is dead so drop it and let the close handler reconnect
+                if (self.socket) self.socket.terminate();
+            }, self.options.pongTimeout);
+        }
+    }, this.options.pingInterval);
+};
+
+OKEXWebSocket.prototype.stopHeartbeat = function () {
+    clearInterval(this.pingTimer);
+    clearTimeout(this.pongTimer);
+    this.pingTimer = null;
+    this.pongTimer = null;
+};
+
+OKEXWebSocket.prototype.send = function (message) {
+    if (!this.socket || this.socket.readyState != WebSocket.OPEN) return false;
+
+    this.socket.send(JSON.stringify(message));
+    return true;
+};
+
+/**
+ * Subscribes to a channel. The subscription is sent when the connection opens if it is not open yet
+ * @param  {String}  channel   The channel name. See OKEXWebSocket.channels
+ * @return {String}            The channel name
+ */
+OKEXWebSocket.prototype.subscribe = function (channel) {
+    if (!_.contains(this.channels, channel)) this.channels.push(channel);
+    this.send({event: 'addChannel', channel: channel});
+    return channel;
+};
+
+OKEXWebSocket.prototype.unsubscribe = function (channel) {
+    this.channels = _.without(this.channels, channel);
+    this.send({event: 'removeChannel', channel: channel});
+};
+
+OKEXWebSocket.prototype.subscribeTicker = function (symbol, contract_type) {
+    return this.subscribe(channels.ticker(symbol, contract_type));
+};
+
+OKEXWebSocket.prototype.subscribeDepth = function (symbol, size, contract_type) {
+    return this.subscribe(channels.depth(symbol, size, contract_type));
+};
+
+OKEXWebSocket.prototype.subscribeTrades = function (symbol, contract_type) {
+    return this.subscribe(channels.trades(symbol, contract_type));
+};
+
+/**
+ * @param  {String}  symbol          eg btc_usdt or btc_usd for futures
+ * @param  {String}  type            1min/3min/5min/15min/30min/1hour/2hour/4hour/6hour/12hour/day/3day/week
+ * @param  {String}  contract_type   optional this_week, next_week or quarter for futures
+ */
+OKEXWebSocket.prototype.subscribeKline = function (symbol, type, contract_type) {
+    return this.subscribe(channels.kline(symbol, type, contract_type));
+};
+
+/**
+ * Logs in so OKEX pushes the private order, balance and position channels.
+ * The login is sent again after every reconnect
+ * @param  {Function}  callback   optional. called with an error if the login is rejected
+ */
+OKEXWebSocket.prototype.login = function (callback) {
+    if (!this.api_key || !this.secret) {
+        var error = new VError('OKEXWebSocket.login() must provide api_key and secret to login.');
+        if (callback) return callback(error);
+        throw error;
+    }
+
+    this.wantLogin = true;
+    this.loginCallback = callback;
+    this.sendLogin();
+};
+
+OKEXWebSocket.prototype.sendLogin = function () {
+    var params = {api_key: this.api_key};
+    params.sign = sign.signMessage(params, this.secret);
+
+    this.send({event: 'login', parameters: params});
+};
+
+OKEXWebSocket.prototype.handleMessage = function (message) {
+    var self = this,
+        payload;
+
+    // some OKEX servers deflate their messages
+    if (Buffer.isBuffer(message)) {
+        try {
+            message = zlib.inflateRawSync(message).toString();
+        }
+        catch (e) {
+            message = message.toString();
+        }
+    }
+
+    try {
+        payload = JSON.parse(message);
+    }
+    catch (e) {
+        return this.emit('error', new errors.InvalidResponseError({}, e,
+            'OKEXWebSocket could not parse message: ' + message));
+    }
+
+    // valid JSON such as null or a number is not a message
+    if (!_.isObject(payload)) {
+        return this.emit('error', new errors.InvalidResponseError({}, null,
+            'OKEXWebSocket message is not an object: ' + message));
+    }
+
+    // any message shows the connection is alive
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+
+    if (payload.event == 'pong') return;
+
+    _.each(_.isArray(payload) ? payload : [payload], function (item) {
+        if (!_.isObject(item)) return;
+
+        self.handleChannelMessage(item.channel, _.isObject(item.data) ? item.data : {});
+    });
+};
+
+OKEXWebSocket.prototype.handleChannelMessage = function (channel, data) {
+    var error = null;
+
+    if (_.has(data, 'error_code')) {
+        error = errors.fromCode(data.error_code, {endpoint: channel}, util.format(
+            'OKEXWebSocket channel %s returned error code %s, message: "%s"',
+            channel, data.error_code, errors.messageFor(data.error_code)));
+    }
+
+    if (channel == 'login') {
+        this.loggedIn = !error && data.result !== false;
+
+        if (!error && !this.loggedIn) {
+            error = new errors.AuthError({endpoint: channel}, null, 'OKEXWebSocket login was rejected');
+        }
+
+        var callback = this.loginCallback;
+        this.loginCallback = null;
+
+        if (this.loggedIn) this.emit('login');
+        if (callback) return callback(error);
+    }
+
+    if (error) return this.emit('error', error);
+
+    // subscription acknowledgements
+    if (channel == 'addChannel' || channel == 'removeChannel' || channel == 'login') return;
+
+    this.emit('message', channel, data);
+    this.emit(channel, data);
+};
+
+module.exports = OKEXWebSocket;
@@ -0,0 +1,162 @@
+const util = require('util');
+const _ = require('underscore');
+const VError = require('verror');
+const errors = require('./errors');
+const decimals = require('./decimals');
+
+var DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks withdrawals before they are sent to OKEX.
+ *
+ * A withdrawal is only sent when
+ *  its address is in the whitelist of its currency
+ *  its amount is not more than the maxAmount of its currency
+ *  it does not take the amount withdrawn in the last 24 hours over the dailyLimit of its currency
+ *  the confirm function approves it
+ * Currencies are the first part of the symbol. eg btc of btc_usd.
+ * The daily limit counts the withdrawals sent by this client and keeps counting withdrawals whose outcome is unknown,
+ * eg after a timeout. A withdrawal is counted as soon as it passes the limit so withdrawals that are being confirmed
+ * at the same time can not go over it together. Withdrawals that are not confirmed or that OKEX rejects stop counting.
+ *
+ * @param  {Object}  options   whitelist: addresses keyed by currency. Currencies without addresses can not be withdrawn.
+ *                             Required unless anyAddress is set
+ *                             anyAddress: true to allow withdrawals to any address without a whitelist
+ *                             maxAmount: largest amount of one withdrawal keyed by currency
+ *                             dailyLimit: largest amount withdrawn in 24 hours keyed by currency
+ *                             confirm: function (withdrawal, callback) called with each withdrawal that passed the
+ *                             checks. callback(err, true) sends it. Required unless dryRun is set
+ *                             dryRun: true to return the withdrawal that would be sent instead of sending it
+ */
+var WithdrawalGuard = function (options) {
+    options = options || {};
+
+    if (!options.whitelist && options.anyAddress !== true) {
+        throw new VError('WithdrawalGuard() needs a whitelist of addresses, or anyAddress set to allow any address');
+    }
+
+    this.whitelist = options.whitelist ? lowerCaseKeys(options.whitelist) : null;
+    this.maxAmount = lowerCaseKeys(options.maxAmount || {});
+    this.dailyLimit = lowerCaseKeys(options.dailyLimit || {});
+    this.confirm = options.confirm || null;
+    this.dryRun = !!options.dryRun;
+
+    // {time, currency, amount} of the withdrawals sent
+    this.sent = [];
+};
+
+/**
+ * Returns the amount of a currency withdrawn in the last 24 hours
+ * @param  {String}  currency   eg btc
+ * @return {Big}
+ */
+WithdrawalGuard.prototype.withdrawnToday = function (currency) {
+    var since = Date.now() - DAY;
+
+    this.sent = _.filter(this.sent, function (withdrawal) {
+        return withdrawal.time > since;
+    });
+
+    return _.reduce(this.sent, function (total, withdrawal) {
+        return withdrawal.currency == currency ? total.plus(withdrawal.amount) : total;
+    }, decimals.toDecimal(0));
+};
+
+/**
+ * Checks a withdrawal and asks the confirm function to approve it
+ * @param  {Object}    params     The withdraw request parameters
+ * @param  {Object}    options    The request options that would be sent
+ * @param  {Function}  callback   called with a WithdrawalBlockedError or the withdrawal.
+ *                                The withdrawal has currency, address, amount, chargefee, dryRun and the request
+ *                                with the secrets redacted. It is reserved unless it is a dry run
+ */
+WithdrawalGuard.prototype.approve = function (params, options, callback) {
+    var self = this,
+        functionName = 'WithdrawalGuard.approve()',
+        currency = String(params.symbol).split('_')[0].toLowerCase(),
+        amount = decimals.toDecimal(params.withdraw_amount),
+        withdrawal = {
+            currency: currency,
+            address: params.withdraw_address,
+            amount: String(params.withdraw_amount),
+            chargefee: String(params.chargefee),
+            dryRun: this.dryRun,
+            request: {
+                method: options.method,
+                url: options.url,
+                params: errors.redactParams(params)
+            }
+        };
+
+    function blocked(format) {
+        var message = util.format.apply(util, [functionName + ' ' + format].concat(_.rest(arguments)));
+        callback(new errors.WithdrawalBlockedError({endpoint: 'withdraw', params: params}, null, message));
+    }
+
+    if (this.whitelist && !_.contains(this.whitelist[currency] || [], params.withdraw_address)) {
+        return blocked('address %s is not in the whitelist of %s', params.withdraw_address, currency);
+    }
+
+    if (_.has(this.maxAmount, currency) && amount.gt(this.maxAmount[currency])) {
+        return blocked('amount %s is more than the %s %s limit of a withdrawal', withdrawal.amount,
+            this.maxAmount[currency], currency);
+    }
+
+    if (_.has(this.dailyLimit, currency)) {
+        var withdrawn = this.withdrawnToday(currency);
+
+        if (withdrawn.plus(amount).gt(this.dailyLimit[currency])) {
+            return blocked('amount %s would take the %s withdrawn in 24 hours over the %s %s daily limit',
+                withdrawal.amount, withdrawn.toString(), this.dailyLimit[currency], currency);
+        }
+    }
+
+    // nothing is sent on a dry run so it is not confirmed
+    if (this.dryRun) return callback(null, withdrawal);
+
+    if (!this.confirm) return blocked('withdrawals must be approved by a confirm function');
+
+    // counted before it is confirmed so the limit holds for withdrawals confirmed at the same time
+    this.reserve(withdrawal);
+
+    this.confirm(withdrawal, function (err, approved) {
+        if (err || approved !== true) self.release(withdrawal);
+
+        if (err) {
+            return callback(new errors.WithdrawalBlockedError({endpoint: 'withdraw', params: params}, err,
+                util.format('%s confirm function failed', functionName)));
+        }
+        if (approved !== true) return blocked('withdrawal of %s %s was not confirmed', withdrawal.amount, currency);
+
+        callback(null, withdrawal);
+    });
+};
+
+/**
+ * Counts a withdrawal towards the daily limit of its currency
+ * @param  {Object}  withdrawal   The withdrawal returned by approve
+ */
+WithdrawalGuard.prototype.reserve = function (withdrawal) {
+    withdrawal.time = Date.now();
+    this.sent.push(withdrawal);
+};
+
+/**
+ * Stops counting a withdrawal that was not confirmed or that OKEX rejected
+ * @param  {Object}  withdrawal   The reserved withdrawal
+ */
+WithdrawalGuard.prototype.release = function (withdrawal) {
+    this.sent = _.without(this.sent, withdrawal);
+};
+
+function lowerCaseKeys(object) {
+    var result = {};
+
+    _.each(object, function (value, key) {
+        result[key.toLowerCase()] = value;
+    });
+
+    return result;
+}
+
+module.exports = WithdrawalGuard;